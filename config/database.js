@@ -1,5 +1,6 @@
 import 'dotenv/config'
 import { Database } from 'arangojs'
+import { PERMISSIONS, ADMIN_ROLE, BUILT_IN_ROLES } from './permissions.js'
 
 const {
   ARANGO_URL = 'https://db.ecsfinancial.tech',
@@ -29,6 +30,14 @@ export const q = async (query, bindVars = {}) => {
 // Helper function to get a collection
 export const getCollection = (name) => db.collection(name)
 
+// Helper function to run several queries in one stream transaction
+// The callback gets a q-like function; everything is rolled back if it throws
+export const transaction = (collections, callback) =>
+  db.withTransaction(collections, (step) => callback(async (query, bindVars = {}) => {
+    const cursor = await step(() => db.query(query, bindVars))
+    return await cursor.all()
+  }))
+
 // Helper function to get user's branch for filtering
 export const getUserBranch = async (userId) => {
   try {
@@ -45,47 +54,140 @@ export const getUserBranch = async (userId) => {
   }
 }
 
+// Branch aliases map the branch names on users and receipts to the customer
+// relationship_manager values; they live in branch_aliases and are cached in process
+const aliasKey = (value) => String(value).trim().toUpperCase()
+
+let branchAliasCache = null
+
+export const loadBranchAliases = () => {
+  if (!branchAliasCache) {
+    branchAliasCache = q(`
+      FOR alias IN branch_aliases
+      RETURN { alias: alias.alias, relationship_manager: alias.relationship_manager, branch_code: alias.branch_code }
+    `).then(aliases => new Map(aliases.map(alias => [aliasKey(alias.alias), alias])))
+    branchAliasCache.catch(() => { branchAliasCache = null })
+  }
+  return branchAliasCache
+}
+
+// Call after every write to branch_aliases
+export const invalidateBranchAliases = () => { branchAliasCache = null }
+
+export const findBranchAlias = async (value) => (value ? (await loadBranchAliases()).get(aliasKey(value)) || null : null)
+
 // Helper function to normalize branch names for customer filtering
-export const normalizeBranchName = (userBranch) => {
+export const normalizeBranchName = async (userBranch) => {
   if (!userBranch) return null
-  
-  // Map user branch names to customer relationship_manager names
-  const branchMapping = {
-    // Head Office mappings
-    'H.O': 'HO',
-    'HO': 'HO',
-    'HEAD OFFICE': 'HO',
-    'HEADOFFICE': 'HO',
-    
-    // Chennai branch mappings
-    'CHENNAI RO': 'CHENNAI',
-    'CHENNAI - MADIPAKKAM': 'MADIPAKKAM',
-    
-    // Mumbai branch mappings
-    'CHEMBUR - MUMBAI': 'CHEMBUR',
-    
-    // Other branch mappings
-    'JAYANAGAR': 'JAYANAGAR',
-    'VIZAG': 'VIZAG',
-    'MALLESWARAM': 'MALLESWARAM',
-    'BAGH AMBERPET': 'BAGH AMBERPET',
-    'KUKAT PALLY': 'KUKATPALLY',
-    'AMEER PET': 'AMEERPET',
-    'RAJAHMUNDRY': 'RAJAHMUNDRY',
-    'DILSUKHNAGAR': 'DILSUKHNAGAR',
-    'MADHAPUR': 'MADHAPUR',
-    'MALKAJGIRI': 'MALKAJGIRI',
-    'SUCHITRA': 'SUCHITRA',
-    'TRIMULGHERRY': 'TRIMULGHERRY',
-    'WARANGAL': 'WARANGAL',
-    'GAJUWAKA': 'GAJUWAKA',
-    'VIJAYAWADA': 'VIJAYAWADA',
-    'BASHEERBAGH': 'BASHEERBAGH',
-    'HABSIGUDA': 'HABSIGUDA',
-    'COIMBATORE': 'COIMBATORE'
+  const alias = await findBranchAlias(userBranch)
+  return alias?.relationship_manager || userBranch
+}
+
+// Roles (permission sets and a data scope) live in roles, keyed by role name, and
+// are cached in process. Built-in roles not in the collection yet use their defaults.
+let roleCache = null
+
+export const loadRoles = () => {
+  if (!roleCache) {
+    roleCache = q(`
+      FOR role IN roles
+      RETURN { role: role._key, name: role.name, scope: role.scope, permissions: role.permissions }
+    `).then(stored => {
+      const roles = new Map(Object.entries(BUILT_IN_ROLES).map(([role, defaults]) => [role, { role, ...defaults, built_in: true }]))
+      for (const role of stored) {
+        roles.set(role.role, { ...role, built_in: role.role in BUILT_IN_ROLES })
+      }
+      // admin always has every permission, including ones added after it was stored
+      roles.set(ADMIN_ROLE, { role: ADMIN_ROLE, ...BUILT_IN_ROLES[ADMIN_ROLE], permissions: Object.keys(PERMISSIONS), built_in: true })
+      return roles
+    })
+    roleCache.catch(() => { roleCache = null })
+  }
+  return roleCache
+}
+
+// Call after every write to roles
+export const invalidateRoles = () => { roleCache = null }
+
+/**
+ * What a role may do: { scope, permissions (Set) }. Unknown roles get nothing
+ * beyond their own records.
+ */
+export const getRoleAccess = async (role) => {
+  const found = (await loadRoles()).get(String(role))
+  return found
+    ? { scope: found.scope, permissions: new Set(found.permissions) }
+    : { scope: 'own', permissions: new Set() }
+}
+
+// Branch hierarchy: branch_hierarchy edges run from a parent branch (e.g. a regional
+// office) to each branch it supervises
+const MAX_HIERARCHY_DEPTH = 10
+
+/**
+ * A branch and every branch below it: [{ code, name }]
+ */
+export const getBranchSubtree = async (branchCode) => {
+  if (!branchCode) return []
+  return q(`
+    FOR start IN branches
+    FILTER start.branch_code == @branchCode
+    LIMIT 1
+    FOR branch IN 0..@depth OUTBOUND start branch_hierarchy
+    OPTIONS { uniqueVertices: 'global', order: 'bfs' }
+    RETURN { code: branch.branch_code, name: branch.branch_name }
+  `, { branchCode, depth: MAX_HIERARCHY_DEPTH })
+}
+
+// Branch code of a branch value on a user or receipt (its name, code or an alias)
+export const resolveBranchCode = async (value) => {
+  if (!value) return null
+  const alias = await findBranchAlias(value)
+  if (alias?.branch_code) return alias.branch_code
+  const branches = await q(`
+    FOR branch IN branches
+    FILTER UPPER(branch.branch_code) == @value OR UPPER(branch.branch_name) IN @names
+    LIMIT 1
+    RETURN branch.branch_code
+  `, { value: String(value).trim().toUpperCase(), names: [String(value).trim().toUpperCase(), String(alias?.relationship_manager || '').toUpperCase()] })
+  return branches[0] || null
+}
+
+/**
+ * What a user's branch covers once the hierarchy is applied:
+ * branch_codes and branch_names of the user's branch subtree, the branch values
+ * receipts may carry for them (names and aliases, upper-cased) and the customer
+ * relationship_manager values
+ */
+export const getUserBranchScope = async (userId) => {
+  const users = await q(`
+    FOR user IN users
+    FILTER user._key == @id
+    LIMIT 1
+    RETURN { branch: user.branch, branch_code: user.branch_code }
+  `, { id: String(userId) })
+  const user = users[0] || {}
+  const ownRelationshipManager = await normalizeBranchName(user.branch)
+
+  const branchCode = user.branch_code || await resolveBranchCode(user.branch)
+  const subtree = await getBranchSubtree(branchCode)
+  const codes = new Set(subtree.map(branch => branch.code))
+  const names = subtree.map(branch => branch.name).filter(Boolean)
+
+  // Aliases of any branch in the subtree count as that branch
+  const aliases = [...(await loadBranchAliases()).values()]
+  const relationshipManagers = new Set([ownRelationshipManager, ...await Promise.all(names.map(normalizeBranchName))].filter(Boolean))
+  const subtreeAliases = aliases.filter(alias => codes.has(alias.branch_code) || relationshipManagers.has(alias.relationship_manager))
+  subtreeAliases.forEach(alias => relationshipManagers.add(alias.relationship_manager))
+
+  return {
+    branch: user.branch || null,
+    branch_code: branchCode,
+    branch_codes: [...codes],
+    branch_names: names,
+    receipt_branches: [...new Set([user.branch, ...names, ...subtreeAliases.map(alias => alias.alias)].filter(Boolean).map(value => String(value).trim().toUpperCase()))],
+    relationship_managers: [...relationshipManagers]
   }
-  
-  return branchMapping[userBranch] || userBranch
 }
 
 // Helper function to check if user can access customer (branch-based filtering)
@@ -93,7 +195,7 @@ export const canAccessCustomer = async (userId, customerRelationshipManager) =>
   try {
     console.log(`[Access Check] Checking access for user ${userId} to customer with RM ${customerRelationshipManager}`)
     
-    // Admin users can access all customers
+    // Roles scoped to all branches can access all customers
     const users = await q(`
       FOR user IN users 
       FILTER user._key == @id
@@ -101,20 +203,18 @@ export const canAccessCustomer = async (userId, customerRelationshipManager) =>
       RETURN user.role
     `, { id: userId })
     
-    if (users.length > 0 && users[0] === 'admin') {
-      console.log(`[Access Check] User ${userId} is admin - access granted`)
+    if (users.length > 0 && (await getRoleAccess(users[0])).scope === 'all') {
+      console.log(`[Access Check] User ${userId} has the ${users[0]} role (all branches) - access granted`)
       return true
     }
     
-    // Non-admin users can only access their branch customers
-    const userBranch = await getUserBranch(userId)
-    console.log(`[Access Check] User ${userId} branch: ${userBranch}`)
-    
-    const normalizedUserBranch = normalizeBranchName(userBranch)
-    console.log(`[Access Check] Normalized user branch: ${normalizedUserBranch}`)
+    // Other users can only access customers of their branch and the branches below it
+    const branchScope = await getUserBranchScope(userId)
+    console.log(`[Access Check] User ${userId} branch: ${branchScope.branch}`)
+    console.log(`[Access Check] Branch scope: ${branchScope.relationship_managers.join(', ')}`)
     console.log(`[Access Check] Customer RM: ${customerRelationshipManager}`)
     
-    const hasAccess = normalizedUserBranch && normalizedUserBranch === customerRelationshipManager
+    const hasAccess = branchScope.relationship_managers.includes(customerRelationshipManager)
     console.log(`[Access Check] Access result: ${hasAccess}`)
     
     return hasAccess
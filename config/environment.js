@@ -13,7 +13,28 @@ export const {
   ARANGO_PASSWORD = '',
   ARANGO_DATABASE = 'ecs_backend',
   JWT_SECRET = 'change-me',
-  CORS_ORIGIN = '*'
+  CORS_ORIGIN = '*',
+  RECEIPT_NO_FORMAT = '{branch}/{fy}/{seq:6}',
+  DEFAULT_BROKERAGE_RATE = '1',
+  DEFAULT_SLA_DAYS = '3',
+  ACCESS_TOKEN_TTL = '15m',
+  REFRESH_TOKEN_TTL_DAYS = '30',
+  PASSWORD_RESET_URL = 'http://localhost:3000/reset-password?token={token}',
+  PASSWORD_RESET_TTL_MINUTES = '60',
+  MAIL_TRANSPORT = 'log',
+  MAIL_FROM = 'ECS Financial <no-reply@ecsfinancial.tech>',
+  SMTP_HOST = 'localhost',
+  SMTP_PORT = '1025',
+  SMTP_SECURE = 'false',
+  SMTP_USER = '',
+  SMTP_PASSWORD = '',
+  TWO_FACTOR_ISSUER = 'ECS Financial',
+  TWO_FACTOR_CHALLENGE_TTL = '5m',
+  LOGIN_MAX_FAILURES = '5',
+  LOGIN_MAX_IP_FAILURES = '20',
+  LOGIN_FAILURE_WINDOW_MINUTES = '15',
+  LOGIN_LOCKOUT_MINUTES = '1',
+  LOGIN_MAX_LOCKOUT_MINUTES = '60'
 } = process.env
 
 // File upload configuration
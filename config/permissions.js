@@ -0,0 +1,67 @@
+// Named permissions and the built-in roles
+//
+// A role is a set of permissions plus a data scope: whose receipts, customers and
+// stats its users see. Roles live in the roles collection (keyed by role name) and
+// are managed through /api/roles. setup-arangodb.js seeds the built-in roles below,
+// whose defaults stand in until then; admin is never stored and has every permission.
+
+export const PERMISSIONS = {
+  'receipt.verify': 'Branch-verify or reject submitted receipts',
+  'receipt.approve': 'Give HO approval to, complete or reject branch-verified receipts',
+  'receipt.cancel': 'Cancel receipts created by others',
+  'receipt.edit_any': 'Edit, delete and manage the media of receipts created by others',
+  'receipt.view_deleted': 'Include deleted receipts in lists and stats',
+  'receipt.restore': 'Restore deleted receipts',
+  'receipt.sequences': 'View and reset receipt number sequences',
+  'receipt.export': 'Export receipts to CSV',
+  'receipt.media': 'Upload, view and remove receipt attachments',
+  'customer.export': 'Export customers to CSV',
+  'customer.merge': 'Merge duplicate customers',
+  'mfscheme.edit': 'Manage AMCs and mutual fund schemes',
+  'fdscheme.edit': 'Manage FD issuers, schemes and rate slabs',
+  'fd.maturity.manage': 'Mark FD maturities as renewed or paid out',
+  'instruction.manage': 'Modify, pause, resume and cancel SIP/STP/SWP instructions',
+  'brokerage.manage': 'Manage brokerage rates, statement sources and statements',
+  'incentive.manage': 'Manage incentive policies and compute incentive runs',
+  'incentive.approve': 'Approve incentive runs',
+  'target.manage': 'Set and remove collection targets',
+  'sla.manage': 'Set receipt SLA thresholds',
+  'stats.view': 'View dashboard stats, leaderboards, aging and targets',
+  'notification.view': 'Read in-app notifications',
+  'issue.manage': 'See every reported issue and change its status',
+  'branch.view_all': 'Open the details, stats and receipts of any branch',
+  'branch.manage': 'Create, edit and remove branches, their aliases, hierarchy, logins and users',
+  'user.manage': 'Create, edit and deactivate users and manage their passwords, sessions and 2FA',
+  'security.manage': 'See the login audit trail, lift lockouts and set 2FA policies',
+  'role.manage': 'Create, edit and remove roles'
+}
+
+// all: every branch; region: the user's branch and the branches below it;
+// branch: the user's branch; own: only what the user created
+export const ROLE_SCOPES = ['all', 'region', 'branch', 'own']
+
+// admin cannot be edited or removed, so there is always a role that can manage roles
+export const ADMIN_ROLE = 'admin'
+
+export const BUILT_IN_ROLES = {
+  admin: {
+    name: 'Administrator',
+    scope: 'all',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  manager: {
+    name: 'Regional manager',
+    scope: 'region',
+    permissions: ['receipt.verify', 'receipt.export', 'receipt.media', 'customer.export', 'fd.maturity.manage', 'instruction.manage', 'stats.view', 'notification.view']
+  },
+  branch: {
+    name: 'Branch login',
+    scope: 'branch',
+    permissions: ['receipt.verify', 'receipt.media', 'branch.view_all', 'fd.maturity.manage', 'instruction.manage', 'stats.view', 'notification.view']
+  },
+  employee: {
+    name: 'Employee',
+    scope: 'own',
+    permissions: ['receipt.media', 'fd.maturity.manage', 'instruction.manage', 'stats.view', 'notification.view']
+  }
+}
@@ -1,7 +1,16 @@
 import jwt from 'jsonwebtoken'
 import { JWT_SECRET } from '../config/environment.js'
+import { getUserBranchScope, getRoleAccess } from '../config/database.js'
+import { checkSession } from '../utils/sessions.js'
 
-export const requireAuth = (req, res, next) => {
+/**
+ * Verify the bearer token and its session. Users who must change their password
+ * are turned away (403 password_change_required) unless allowPasswordChange is set
+ * on the route that lets them do so. The role's permissions (a Set) and data scope
+ * are put on req.permissions and req.scope.
+ */
+const authenticate = ({ allowPasswordChange = false } = {}) => async (req, res, next) => {
+  let payload
   try {
     const auth = req.headers.authorization || ''
     const token = auth.startsWith('Bearer ') ? auth.slice(7) : null
@@ -24,10 +33,8 @@ export const requireAuth = (req, res, next) => {
       })
     }
     
-    const payload = jwt.verify(token, JWT_SECRET)
+    payload = jwt.verify(token, JWT_SECRET)
     console.log(`[Auth Debug] Token verified successfully for user: ${payload.emp_code || payload.sub}`)
-    req.user = payload
-    next()
   } catch (error) {
     console.error(`[Auth Debug] Token verification failed:`, error.message)
     console.error(`[Auth Debug] Error type:`, error.name)
@@ -50,10 +57,40 @@ export const requireAuth = (req, res, next) => {
       }
     })
   }
+
+  // The token's session must still be live and its user active; tokens issued
+  // before sessions existed carry no sid and have to log in again
+  try {
+    const session = payload.sid ? await checkSession(payload.sid) : { error: 'session_required' }
+    if (session.error) {
+      console.log(`[Auth Debug] Session rejected for user ${payload.sub}: ${session.error}`)
+      return res.status(401).json({ error: 'unauthorized', detail: session.error })
+    }
+    if (session.must_change_password && !allowPasswordChange) {
+      return res.status(403).json({ error: 'password_change_required', detail: 'Change your password before continuing' })
+    }
+    const access = await getRoleAccess(payload.role)
+    req.permissions = access.permissions
+    req.scope = access.scope
+  } catch (error) {
+    console.error('Error checking session:', error)
+    return res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+
+  req.user = payload
+  next()
 }
 
-export const requireRole = (role) => (req, res, next) => {
-  if (!req.user || req.user.role !== role) return res.status(403).json({ error: 'forbidden' })
+export const requireAuth = authenticate()
+
+// For the routes a user who must change their password can still reach
+export const requireAuthForPasswordChange = authenticate({ allowPasswordChange: true })
+
+// Allow the request if the user's role has every one of the permissions
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: 'unauthorized' })
+  const missing = permissions.filter(permission => !req.permissions?.has(permission))
+  if (missing.length) return res.status(403).json({ error: 'forbidden', detail: `Missing permission: ${missing.join(', ')}` })
   next()
 }
 
@@ -62,22 +99,28 @@ export const requireBranch = (req, res, next) => {
   next()
 }
 
-export const requireBranchAccess = (req, res, next) => {
+export const requireBranchAccess = async (req, res, next) => {
   if (!req.user) return res.status(401).json({ error: 'unauthorized' })
   
-  // Admin and branch users can access any branch
-  if (req.user.role === 'admin' || req.user.role === 'branch') {
+  if (req.permissions?.has('branch.view_all')) {
     return next()
   }
   
-  // For regular users, check if they have access to the requested branch
+  // Otherwise check the requested branch is theirs or one below it (regional managers)
   const requestedBranch = req.params.branchCode || req.query.branch_code
   if (requestedBranch) {
-    const userBranchLower = req.user.branch?.toLowerCase()
-    const requestedBranchLower = requestedBranch.toLowerCase()
-    
-    if (userBranchLower !== requestedBranchLower) {
-      return res.status(403).json({ error: 'branch_access_denied' })
+    try {
+      const requestedBranchLower = requestedBranch.toLowerCase()
+      const branchScope = await getUserBranchScope(req.user.sub)
+      const hasAccess = req.user.branch?.toLowerCase() === requestedBranchLower ||
+        branchScope.branch_codes.some(code => String(code).toLowerCase() === requestedBranchLower)
+      
+      if (!hasAccess) {
+        return res.status(403).json({ error: 'branch_access_denied' })
+      }
+    } catch (error) {
+      console.error('Error checking branch access:', error)
+      return res.status(500).json({ error: 'server_error', detail: error.message })
     }
   }
   
@@ -0,0 +1,138 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import { getCollection } from '../config/database.js'
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex')
+
+// A key left in_progress this long (the process died mid-request) is free for a retry
+const LEASE_MS = 5 * 60 * 1000
+
+// Fingerprint of what the client sent: body fields plus uploaded file names/sizes
+const requestHash = (req) => sha256(JSON.stringify({
+  body: req.body || {},
+  files: (req.files || []).map(file => [file.originalname, file.size])
+}))
+
+// A replayed or rejected request must not leave its uploads behind
+const discardUploads = (req) => {
+  for (const file of req.files || []) {
+    try {
+      fs.unlinkSync(file.path)
+    } catch (unlinkError) {
+      console.error('Failed to clean up file:', unlinkError)
+    }
+  }
+}
+
+/**
+ * Replay the stored response when a client retries with the same Idempotency-Key.
+ * Place after requireAuth and any upload middleware so the body is parsed.
+ */
+export const idempotent = (scope) => async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key')
+  if (!idempotencyKey) return next()
+
+  if (idempotencyKey.length > 255) {
+    discardUploads(req)
+    return res.status(400).json({ error: 'invalid_idempotency_key', detail: 'Idempotency-Key must be at most 255 characters' })
+  }
+
+  const collection = getCollection('idempotency_keys')
+  const docKey = sha256(`${scope}:${req.user.sub}:${idempotencyKey}`)
+  const fingerprint = requestHash(req)
+
+  try {
+    await collection.save({
+      _key: docKey,
+      scope,
+      user_id: req.user.sub,
+      idempotency_key: idempotencyKey,
+      request_hash: fingerprint,
+      state: 'in_progress',
+      created_at: new Date().toISOString()
+    })
+  } catch (error) {
+    if (error.errorNum !== 1210) {
+      console.error('Idempotency key check failed:', error)
+      discardUploads(req)
+      return res.status(500).json({ error: 'server_error', detail: error.message })
+    }
+
+    // Key seen before
+    try {
+      const existing = await collection.document(docKey)
+      if (existing.request_hash !== fingerprint) {
+        discardUploads(req)
+        return res.status(409).json({ error: 'idempotency_key_reused', detail: 'This Idempotency-Key was already used with a different request body' })
+      }
+      if (existing.state === 'completed') {
+        discardUploads(req)
+        res.set('Idempotent-Replayed', 'true')
+        return existing.response_body === null
+          ? res.status(existing.response_status).end()
+          : res.status(existing.response_status).json(existing.response_body)
+      }
+      if (Date.now() - Date.parse(existing.leased_at || existing.created_at) < LEASE_MS) {
+        discardUploads(req)
+        return res.status(409).json({ error: 'request_in_progress', detail: 'A request with this Idempotency-Key is still being processed' })
+      }
+      // Stale lease: take the key over, unless a concurrent retry got there first
+      await collection.update(docKey, { leased_at: new Date().toISOString() }, { ifMatch: existing._rev })
+    } catch (lookupError) {
+      discardUploads(req)
+      if (lookupError.errorNum === 1200) {
+        return res.status(409).json({ error: 'request_in_progress', detail: 'A request with this Idempotency-Key is still being processed' })
+      }
+      console.error('Idempotency key lookup failed:', lookupError)
+      return res.status(500).json({ error: 'server_error', detail: lookupError.message })
+    }
+  }
+
+  // Capture the response so a retry can be answered without running the handler again
+  let responseBody = null
+  const originalJson = res.json.bind(res)
+  res.json = (body) => {
+    responseBody = body
+    return originalJson(body)
+  }
+
+  // Store once the handler has responded. 'finish' never fires when the client has
+  // disconnected, so the response is also stored from end() or 'close', whichever comes last.
+  let stored = false
+  const storeResponse = async () => {
+    if (stored) return
+    stored = true
+    try {
+      if (res.statusCode >= 500) {
+        // Server failures are not final - let the client retry with the same key
+        await collection.remove(docKey)
+      } else {
+        await collection.update(docKey, {
+          state: 'completed',
+          response_status: res.statusCode,
+          response_body: responseBody,
+          completed_at: new Date().toISOString()
+        })
+      }
+    } catch (error) {
+      console.error('Failed to store idempotent response:', error)
+    }
+  }
+
+  let responded = false
+  let clientGone = false
+  const originalEnd = res.end.bind(res)
+  res.end = (...args) => {
+    responded = true
+    const result = originalEnd(...args)
+    if (clientGone) storeResponse()
+    return result
+  }
+  res.on('close', () => {
+    clientGone = true
+    if (responded) storeResponse()
+  })
+  res.on('finish', () => storeResponse())
+
+  next()
+}
@@ -37,4 +37,19 @@ export const upload = multer({
 
 export const uploadSingle = upload.single('screenshot')
 export const uploadMultiple = upload.array('files', 10)
+
+// Brokerage statements are parsed straight from memory, never stored in uploads/
+export const uploadStatement = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(null, true)
+    }
+    cb(new Error('Only .csv and .xlsx statements are allowed'))
+  }
+}).single('file')
+
 export { uploadsDir }
@@ -1,20 +1,57 @@
 import express from 'express'
 import bcrypt from 'bcryptjs'
-import jwt from 'jsonwebtoken'
 import rateLimit from 'express-rate-limit'
 import { q, getCollection, getUserBranch } from '../config/database.js'
-import { JWT_SECRET } from '../config/environment.js'
-import { requireAuth } from '../middleware/auth.js'
+import { requireAuth, requireAuthForPasswordChange } from '../middleware/auth.js'
+import { createSession, refreshSession, revokeSession, revokeUserSessions } from '../utils/sessions.js'
+import { requestPasswordReset, consumePasswordReset } from '../utils/password-reset.js'
+import { validatePassword } from '../utils/validators.js'
+import { isTwoFactorRequired, issueChallenge } from '../utils/two-factor.js'
+import { checkLockout, recordLoginFailure, recordLoginSuccess, logLoginEvent, lockedOutResponse } from '../utils/login-security.js'
 
 const router = express.Router()
 const authLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100 })
 
+// Turn away an attempt whose account or IP is locked out, before the password is checked
+const rejectIfLockedOut = async (req, res, attempt) => {
+  const lockout = await checkLockout(req, attempt)
+  if (!lockout.locked) return false
+  await logLoginEvent(req, attempt, { outcome: 'locked', reason: `${lockout.scope}_locked` })
+  res.set('Retry-After', String(lockout.retry_after)).status(429).json(lockedOutResponse(lockout))
+  return true
+}
+
+// Count and record a failed attempt
+const recordFailedLogin = async (req, attempt, reason) => {
+  await recordLoginFailure(req, attempt)
+  await logLoginEvent(req, attempt, { outcome: 'failure', reason })
+}
+
+// Finish a login whose password checked out: start the session, or hand out a
+// challenge token when the account has 2FA or its role requires it
+const completeLogin = async (req, res, { kind, claims, profile, twoFactor, attempt }) => {
+  if (twoFactor?.enabled || await isTwoFactorRequired(claims.role)) {
+    await logLoginEvent(req, attempt, { outcome: 'challenge', reason: twoFactor?.enabled ? 'two_factor_required' : 'two_factor_enrolment_required' })
+    return res.json({
+      two_factor_required: true,
+      two_factor_enrolled: twoFactor?.enabled === true,
+      ...issueChallenge({ kind, role: claims.role, claims, profile, attempt })
+    })
+  }
+  await recordLoginSuccess(attempt)
+  await logLoginEvent(req, attempt, { outcome: 'success' })
+  res.json({ ...(await createSession(claims, { kind, req })), ...profile })
+}
+
 // User login
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
   try {
     const { emp_code, password } = req.body || {}
     if (!emp_code || !password) return res.status(400).json({ error: 'missing_fields' })
     
+    const attempt = { type: 'login', kind: 'user', identifier: emp_code }
+    if (await rejectIfLockedOut(req, res, attempt)) return
+    
     const users = await q(`
       FOR user IN users 
       FILTER user.emp_code == @emp_code AND user.is_active == true
@@ -22,33 +59,45 @@ router.post('/login', async (req, res) => {
       RETURN user
     `, { emp_code })
     
-    if (!users.length) return res.status(401).json({ error: 'invalid_credentials' })
+    if (!users.length) {
+      await recordFailedLogin(req, attempt, 'unknown_account')
+      return res.status(401).json({ error: 'invalid_credentials' })
+    }
     const user = users[0]
+    attempt.user_id = user._key
+    attempt.branch_code = user.branch_code || null
     const ok = await bcrypt.compare(password, user.password_hash)
-    if (!ok) return res.status(401).json({ error: 'invalid_credentials' })
+    if (!ok) {
+      await recordFailedLogin(req, attempt, 'invalid_password')
+      return res.status(401).json({ error: 'invalid_credentials' })
+    }
     
     await q(`
       UPDATE @id WITH { last_login_at: DATE_NOW() } IN users
     `, { id: user._key })
     
-    const token = jwt.sign({ 
-      sub: user._key, 
-      role: user.role, 
-      emp_code: user.emp_code, 
-      name: user.name, 
-      branch_code: user.branch_code 
-    }, JWT_SECRET, { expiresIn: '8h' })
-    
-    res.json({ 
-      token, 
-      user: { 
-        id: user._key, 
-        emp_code: user.emp_code, 
+    await completeLogin(req, res, {
+      kind: 'user',
+      claims: { 
+        sub: user._key, 
         role: user.role, 
+        emp_code: user.emp_code, 
         name: user.name, 
-        branch: user.branch, 
         branch_code: user.branch_code 
-      } 
+      },
+      profile: {
+        user: { 
+          id: user._key, 
+          emp_code: user.emp_code, 
+          role: user.role, 
+          name: user.name, 
+          branch: user.branch, 
+          branch_code: user.branch_code,
+          must_change_password: user.must_change_password === true
+        }
+      },
+      twoFactor: user.two_factor,
+      attempt
     })
   } catch (error) {
     console.error('Login error:', error)
@@ -62,6 +111,9 @@ router.post('/branch-login', authLimiter, async (req, res) => {
     const { branch_name, password } = req.body || {}
     if (!branch_name || !password) return res.status(400).json({ error: 'missing_fields', detail: 'Branch name and password are required' })
 
+    const attempt = { type: 'branch_login', kind: 'branch', identifier: branch_name }
+    if (await rejectIfLockedOut(req, res, attempt)) return
+
     // Find branch by name (case-insensitive)
     const branches = await q(`
       FOR branch IN branches
@@ -70,23 +122,28 @@ router.post('/branch-login', authLimiter, async (req, res) => {
     `, { branch_name })
 
     if (!branches.length) {
+      await recordFailedLogin(req, attempt, 'unknown_account')
       return res.status(401).json({ error: 'invalid_credentials', detail: 'Invalid branch name or password' })
     }
 
     const branch = branches[0]
+    attempt.branch_code = branch.branch_code
 
     // Check if branch has a password_hash, if not, create one with default password
+    // that has to be changed after the first login
     if (!branch.password_hash) {
       const hashedPassword = await bcrypt.hash('password123', 10)
       await q(`
-        UPDATE @id WITH { password_hash: @hashedPassword } IN branches
+        UPDATE @id WITH { password_hash: @hashedPassword, must_change_password: true } IN branches
       `, { id: branch._key, hashedPassword })
       branch.password_hash = hashedPassword
+      branch.must_change_password = true
     }
 
     // Verify password using bcrypt
     const isValidPassword = await bcrypt.compare(password, branch.password_hash)
     if (!isValidPassword) {
+      await recordFailedLogin(req, attempt, 'invalid_password')
       return res.status(401).json({ error: 'invalid_credentials', detail: 'Invalid branch name or password' })
     }
 
@@ -116,33 +173,33 @@ router.post('/branch-login', authLimiter, async (req, res) => {
       }
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { sub: user._key, role: 'branch', branch: branch.branch_name, branch_code: branch.branch_code },
-      JWT_SECRET,
-      { expiresIn: '8h' }
-    )
-
-    res.json({
-      token,
-      user: {
-        id: user._key,
-        emp_code: user.emp_code,
-        name: user.name,
-        email: user.email,
-        role: 'branch',
-        branch: branch.branch_name,
-        branch_code: branch.branch_code
+    // Start a session for the branch (2FA is the branch's, not the representative user's)
+    await completeLogin(req, res, {
+      kind: 'branch',
+      claims: { sub: user._key, role: 'branch', branch: branch.branch_name, branch_code: branch.branch_code },
+      profile: {
+        user: {
+          id: user._key,
+          emp_code: user.emp_code,
+          name: user.name,
+          email: user.email,
+          role: 'branch',
+          branch: branch.branch_name,
+          branch_code: branch.branch_code,
+          must_change_password: branch.must_change_password === true
+        },
+        branch: {
+          id: branch._key,
+          branch_code: branch.branch_code,
+          branch_name: branch.branch_name,
+          branch_type: branch.branch_type,
+          address: branch.address,
+          phone: branch.phone,
+          email: branch.email
+        }
       },
-      branch: {
-        id: branch._key,
-        branch_code: branch.branch_code,
-        branch_name: branch.branch_name,
-        branch_type: branch.branch_type,
-        address: branch.address,
-        phone: branch.phone,
-        email: branch.email
-      }
+      twoFactor: branch.two_factor,
+      attempt: { ...attempt, user_id: user._key }
     })
   } catch (error) {
     console.error('Branch login error:', error)
@@ -150,6 +207,84 @@ router.post('/branch-login', authLimiter, async (req, res) => {
   }
 })
 
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {}
+    if (!refresh_token) return res.status(400).json({ error: 'missing_fields', detail: 'refresh_token is required' })
+
+    const result = await refreshSession(refresh_token, { req })
+    if (result.error) return res.status(401).json({ error: result.error })
+    res.json(result.tokens)
+  } catch (error) {
+    console.error('Token refresh error:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Log out: revoke the session behind the access token
+router.post('/logout', requireAuthForPasswordChange, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, { reason: 'logout', revokedBy: req.user.sub })
+    res.status(204).end()
+  } catch (error) {
+    console.error('Logout error:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Request a password reset link by email; the response never reveals whether the account exists
+router.post('/forgot', authLimiter, async (req, res) => {
+  try {
+    const { emp_code, email } = req.body || {}
+    if (!emp_code && !email) return res.status(400).json({ error: 'missing_fields', detail: 'emp_code or email is required' })
+
+    const users = await q(`
+      FOR user IN users
+      FILTER user.is_active == true AND (@emp_code != null ? user.emp_code == @emp_code : LOWER(user.email) == LOWER(@email))
+      LIMIT 1
+      RETURN user
+    `, { emp_code: emp_code || null, email: email || null })
+
+    // Not awaited: a slow or failing mail server must not change the response or its timing
+    if (users.length) {
+      requestPasswordReset(users[0], { req }).catch(error => console.error('Error sending password reset:', error))
+    }
+
+    res.status(202).json({ message: 'If the account exists and has an email address, a reset link has been sent' })
+  } catch (error) {
+    console.error('Password reset request error:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Set a new password with a reset token; signs the user out everywhere
+router.post('/reset', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body || {}
+    if (!token) return res.status(400).json({ error: 'missing_fields', detail: 'token is required' })
+
+    const passwordValidation = validatePassword(password, true)
+    if (!passwordValidation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: passwordValidation.error })
+    }
+
+    const userId = await consumePasswordReset(token)
+    if (!userId) return res.status(400).json({ error: 'invalid_reset_token', detail: 'Reset link is invalid or has expired' })
+
+    const hash = await bcrypt.hash(passwordValidation.value, 10)
+    await q(`
+      UPDATE @id WITH { password_hash: @hash, must_change_password: false, password_changed_at: @now } IN users
+    `, { id: userId, hash, now: new Date().toISOString() })
+    await revokeUserSessions(userId, { reason: 'password_reset' })
+
+    res.json({ message: 'Password has been reset. Please log in with the new password.' })
+  } catch (error) {
+    console.error('Password reset error:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
 // Debug endpoint to test authentication
 router.get('/debug', requireAuth, async (req, res) => {
   try {
@@ -163,6 +298,7 @@ router.get('/debug', requireAuth, async (req, res) => {
         branch_code: req.user.branch_code
       },
       token_info: {
+        session_id: req.user.sid,
         issued_at: new Date(req.user.iat * 1000).toISOString(),
         expires_at: new Date(req.user.exp * 1000).toISOString(),
         is_expired: Date.now() > req.user.exp * 1000
@@ -0,0 +1,205 @@
+import express from 'express'
+import { q, loadBranchAliases, invalidateBranchAliases } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { validateRequired } from '../utils/validators.js'
+
+const router = express.Router()
+
+const aliasKey = (value) => String(value).trim().toUpperCase()
+
+const SAMPLE_SIZE = 10
+
+// Validate an alias; returns { valid, error, alias }
+const validateAlias = async ({ alias, relationship_manager, branch_code = null }) => {
+  for (const [value, label] of [[alias, 'Alias'], [relationship_manager, 'Relationship manager']]) {
+    const requiredValidation = validateRequired(value, label)
+    if (!requiredValidation.valid) return requiredValidation
+  }
+
+  if (branch_code) {
+    const branches = await q(`
+      FOR branch IN branches
+      FILTER branch.branch_code == @branch_code
+      LIMIT 1
+      RETURN branch.branch_code
+    `, { branch_code })
+    if (!branches.length) return { valid: false, error: `Branch ${branch_code} not found` }
+  }
+
+  return {
+    valid: true,
+    alias: {
+      alias: String(alias).trim(),
+      alias_key: aliasKey(alias),
+      relationship_manager: String(relationship_manager).trim(),
+      branch_code: branch_code || null
+    }
+  }
+}
+
+// List branch aliases (branch.manage)
+router.get('/', requireAuth, requirePermission('branch.manage'), async (req, res) => {
+  try {
+    const aliases = await q(`
+      FOR alias IN branch_aliases
+      SORT alias.alias_key ASC
+      RETURN MERGE(UNSET(alias, '_id', '_rev'), { id: alias._key })
+    `)
+    res.json(aliases)
+  } catch (error) {
+    console.error('Error fetching branch aliases:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Branch values on users, customers and receipts that resolve to no known branch (branch.manage)
+router.get('/validation', requireAuth, requirePermission('branch.manage'), async (req, res) => {
+  try {
+    const [aliases, branches] = await Promise.all([
+      loadBranchAliases(),
+      q(`
+        FOR branch IN branches
+        RETURN { code: branch.branch_code, name: branch.branch_name }
+      `)
+    ])
+
+    // Users and receipts carry a branch name or code (or an alias of one);
+    // customers carry the relationship_manager value an alias maps to
+    const knownBranches = new Set([...aliases.keys(), ...branches.flatMap(branch => [branch.code, branch.name]).filter(Boolean).map(aliasKey)])
+    const knownRelationshipManagers = new Set([...[...aliases.values()].map(alias => aliasKey(alias.relationship_manager)), ...branches.map(branch => branch.name).filter(Boolean).map(aliasKey)])
+
+    const unresolved = async (query, known) => {
+      const rows = await q(query, { sampleSize: SAMPLE_SIZE })
+      return rows
+        .filter(row => row.value == null || !known.has(aliasKey(row.value)))
+        .sort((a, b) => b.count - a.count)
+    }
+
+    const [users, customers, receipts] = await Promise.all([
+      unresolved(`
+        FOR user IN users
+        FILTER user.is_active != false AND user.role != "admin"
+        COLLECT value = user.branch INTO group = user._key
+        RETURN { value, count: LENGTH(group), sample_ids: SLICE(group, 0, @sampleSize) }
+      `, knownBranches),
+      unresolved(`
+        FOR customer IN customers
+        COLLECT value = customer.relationship_manager INTO group = customer.investor_id
+        RETURN { value, count: LENGTH(group), sample_ids: SLICE(group, 0, @sampleSize) }
+      `, knownRelationshipManagers),
+      unresolved(`
+        FOR receipt IN receipts
+        FILTER receipt.is_deleted == false
+        COLLECT value = receipt.branch INTO group = receipt._key
+        RETURN { value, count: LENGTH(group), sample_ids: SLICE(group, 0, @sampleSize) }
+      `, knownBranches)
+    ])
+
+    const total = (rows) => rows.reduce((sum, row) => sum + row.count, 0)
+    res.json({
+      summary: { users: total(users), customers: total(customers), receipts: total(receipts) },
+      users,
+      customers,
+      receipts
+    })
+  } catch (error) {
+    console.error('Error validating branch values:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Create branch alias (branch.manage)
+router.post('/', requireAuth, requirePermission('branch.manage'), async (req, res) => {
+  try {
+    const validation = await validateAlias(req.body || {})
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: validation.error })
+    }
+
+    const existing = await q(`
+      FOR alias IN branch_aliases
+      FILTER alias.alias_key == @key
+      LIMIT 1
+      RETURN alias._key
+    `, { key: validation.alias.alias_key })
+    if (existing.length) {
+      return res.status(409).json({ error: 'alias_exists', detail: `Alias ${validation.alias.alias} already exists` })
+    }
+
+    const now = new Date().toISOString()
+    const saved = await q(`
+      INSERT @alias INTO branch_aliases
+      RETURN NEW._key
+    `, { alias: { ...validation.alias, created_by: req.user.sub, created_at: now, updated_at: now } })
+    invalidateBranchAliases()
+
+    res.status(201).json({ id: saved[0], message: 'Branch alias created successfully' })
+  } catch (error) {
+    console.error('Error creating branch alias:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Update branch alias (branch.manage)
+router.put('/:id', requireAuth, requirePermission('branch.manage'), async (req, res) => {
+  try {
+    const existing = await q(`
+      FOR alias IN branch_aliases
+      FILTER alias._key == @id
+      LIMIT 1
+      RETURN alias
+    `, { id: req.params.id })
+    if (!existing.length) return res.status(404).json({ error: 'not_found' })
+
+    const body = req.body || {}
+    const validation = await validateAlias({
+      alias: body.alias ?? existing[0].alias,
+      relationship_manager: body.relationship_manager ?? existing[0].relationship_manager,
+      branch_code: 'branch_code' in body ? body.branch_code : existing[0].branch_code
+    })
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: validation.error })
+    }
+
+    const clash = await q(`
+      FOR alias IN branch_aliases
+      FILTER alias.alias_key == @key AND alias._key != @id
+      LIMIT 1
+      RETURN alias._key
+    `, { key: validation.alias.alias_key, id: req.params.id })
+    if (clash.length) {
+      return res.status(409).json({ error: 'alias_exists', detail: `Alias ${validation.alias.alias} already exists` })
+    }
+
+    await q(`
+      UPDATE @id WITH @alias IN branch_aliases
+    `, { id: req.params.id, alias: { ...validation.alias, updated_by: req.user.sub, updated_at: new Date().toISOString() } })
+    invalidateBranchAliases()
+
+    res.json({ id: req.params.id, message: 'Branch alias updated successfully' })
+  } catch (error) {
+    console.error('Error updating branch alias:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Delete branch alias (branch.manage)
+router.delete('/:id', requireAuth, requirePermission('branch.manage'), async (req, res) => {
+  try {
+    const removed = await q(`
+      FOR alias IN branch_aliases
+      FILTER alias._key == @id
+      REMOVE alias IN branch_aliases
+      RETURN OLD._key
+    `, { id: req.params.id })
+    invalidateBranchAliases()
+
+    if (!removed.length) return res.status(404).json({ error: 'not_found' })
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error deleting branch alias:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
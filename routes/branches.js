@@ -1,8 +1,14 @@
 import express from 'express'
 import bcrypt from 'bcryptjs'
-import { q } from '../config/database.js'
-import { requireAuth, requireRole, requireBranchAccess } from '../middleware/auth.js'
-import { validateBranchCode, validateEmail, validateMobile, validatePIN, validateRequired } from '../utils/validators.js'
+import { q, getUserBranchScope } from '../config/database.js'
+import { requireAuth, requireAuthForPasswordChange, requirePermission, requireBranchAccess } from '../middleware/auth.js'
+import { validateBranchCode, validateEmail, validateMobile, validatePIN, validatePassword, validateRequired } from '../utils/validators.js'
+import { commissionStats } from '../utils/brokerage.js'
+import { targetAchievement, currentPeriod } from '../utils/targets.js'
+import { recomputeBranchStats, scheduleBranchStatsRefresh } from '../utils/branch-stats.js'
+import { loadBranchHierarchy, subtreeCodes, ancestorCodes, hierarchyTree } from '../utils/branch-hierarchy.js'
+import { revokeBranchSessions, getSessionKind } from '../utils/sessions.js'
+import { twoFactorSubject, disableTwoFactor } from '../utils/two-factor.js'
 
 const router = express.Router()
 
@@ -35,10 +41,12 @@ router.get('/', requireAuth, async (req, res) => {
         state: branch.state,
         pin_code: branch.pin_code,
         is_active: branch.is_active,
+        parent_branch_code: FIRST(FOR parent IN 1..1 INBOUND branch branch_hierarchy RETURN parent.branch_code),
         total_employees: branch.total_employees,
         total_customers: branch.total_customers,
         total_receipts: branch.total_receipts,
         total_investments: branch.total_investments,
+        stats_as_of: branch.stats_as_of || null,
         created_at: branch.created_at,
         updated_at: branch.updated_at
       }
@@ -52,6 +60,36 @@ router.get('/', requireAuth, async (req, res) => {
   }
 })
 
+// Recompute branch counters now (branch.manage); they are otherwise refreshed after changes
+router.post('/recompute-stats', requireAuth, requirePermission('branch.manage'), async (req, res) => {
+  try {
+    const { branch_codes } = req.body || {}
+    const branches = await recomputeBranchStats(Array.isArray(branch_codes) && branch_codes.length ? branch_codes : null)
+    res.json({ updated: branches.length, stats_as_of: branches[0]?.stats_as_of || null, branches })
+  } catch (error) {
+    console.error('Error recomputing branch stats:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Get the branch hierarchy as a tree; unless the role covers all branches, the user's branch subtree
+router.get('/hierarchy', requireAuth, async (req, res) => {
+  try {
+    const hierarchy = await loadBranchHierarchy()
+    let roots = null
+    if (req.scope === 'branch' && req.user.branch_code) {
+      roots = [req.user.branch_code]
+    } else if (req.scope !== 'all') {
+      const branchScope = await getUserBranchScope(req.user.sub)
+      roots = branchScope.branch_code ? [branchScope.branch_code] : []
+    }
+    res.json(hierarchyTree(hierarchy, roots))
+  } catch (error) {
+    console.error('Error fetching branch hierarchy:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
 // Get single branch
 router.get('/:branchCode', requireAuth, requireBranchAccess, async (req, res) => {
   try {
@@ -61,7 +99,7 @@ router.get('/:branchCode', requireAuth, requireBranchAccess, async (req, res) =>
       FOR branch IN branches
       FILTER branch.branch_code == @branchCode
       LIMIT 1
-      RETURN branch
+      RETURN UNSET(branch, 'password_hash', 'two_factor')
     `, { branchCode })
     
     if (!branches.length) return res.status(404).json({ error: 'not_found' })
@@ -77,7 +115,7 @@ router.get('/:branchCode', requireAuth, requireBranchAccess, async (req, res) =>
 router.get('/:branchCode/stats', requireAuth, requireBranchAccess, async (req, res) => {
   try {
     const { branchCode } = req.params
-    const { from, to, includeDeleted = '0' } = req.query
+    const { from, to, includeDeleted = '0', target_period = currentPeriod() } = req.query
     
     // Get branch info
     const branchQuery = await q(`
@@ -121,6 +159,12 @@ router.get('/:branchCode/stats', requireAuth, requireBranchAccess, async (req, r
     `
     
     const stats = await q(statsQuery, { ...bindVars, branchName: branch.branch_name })
+    const commissions = await commissionStats(`
+      FILTER receipt.branch == @branchName
+      FILTER receipt.status == "Completed"
+      ${dateFilter}
+      ${deletedFilter}
+    `, { ...bindVars, branchName: branch.branch_name })
     
     // Get employee count for this branch
     const employeeCount = await q(`
@@ -141,6 +185,9 @@ router.get('/:branchCode/stats', requireAuth, requireBranchAccess, async (req, r
       RETURN unique_customers
     `, { ...bindVars, branchName: branch.branch_name })
     
+    // Branch and employee targets for the period with achievement
+    const targets = await targetAchievement(target_period, { branch_code: branch.branch_code })
+    
     const result = {
       branch: {
         id: branch._key,
@@ -153,8 +200,10 @@ router.get('/:branchCode/stats', requireAuth, requireBranchAccess, async (req, r
         total_customers: customerCount[0] || 0,
         total_receipts: stats[0]?.total_receipts || 0,
         total_investments: stats[0]?.total_investments || 0,
-        commissions: (stats[0]?.total_investments || 0) * 0.01
-      }
+        commissions: commissions.commissions,
+        commissions_by_rate_card: commissions.by_rate_card
+      },
+      targets
     }
     
     res.json(result)
@@ -274,8 +323,8 @@ router.get('/:branchCode/receipts', requireAuth, requireBranchAccess, async (req
   }
 })
 
-// Create new branch (admin only)
-router.post('/', requireAuth, requireRole('admin'), async (req, res) => {
+// Create new branch (branch.manage)
+router.post('/', requireAuth, requirePermission('branch.manage'), async (req, res) => {
   try {
     const { branch_code, branch_name, branch_type, address, phone, email, password } = req.body
     
@@ -329,13 +378,15 @@ router.post('/', requireAuth, requireRole('admin'), async (req, res) => {
       phone: phone || '',
       email: email || '',
       password_hash: password_hash,
+      // The first branch login has to replace the password the admin set
+      must_change_password: true,
       created_at: new Date().toISOString(),
       is_active: true
     }
 
     const result = await q(`
       INSERT @branch INTO branches
-      RETURN NEW
+      RETURN UNSET(NEW, 'password_hash', 'two_factor')
     `, { branch: newBranch })
 
     res.status(201).json({
@@ -348,8 +399,8 @@ router.post('/', requireAuth, requireRole('admin'), async (req, res) => {
   }
 })
 
-// Update branch (admin only)
-router.put('/:branchCode', requireAuth, requireRole('admin'), async (req, res) => {
+// Update branch (branch.manage)
+router.put('/:branchCode', requireAuth, requirePermission('branch.manage'), async (req, res) => {
   try {
     const { branchCode } = req.params
     const { branch_name, branch_type, address, phone, email, password } = req.body
@@ -389,13 +440,16 @@ router.put('/:branchCode', requireAuth, requireRole('admin'), async (req, res) =
     } else if (email !== undefined) {
       updateData.email = email
     }
-    if (password) updateData.password_hash = await bcrypt.hash(password, 10)
+    if (password) {
+      updateData.password_hash = await bcrypt.hash(password, 10)
+      updateData.must_change_password = true
+    }
 
     const result = await q(`
       FOR branch IN branches
       FILTER branch.branch_code == @branchCode
       UPDATE branch WITH @updateData IN branches
-      RETURN NEW
+      RETURN UNSET(NEW, 'password_hash', 'two_factor')
     `, { branchCode, updateData })
 
     if (!result.length) {
@@ -412,8 +466,8 @@ router.put('/:branchCode', requireAuth, requireRole('admin'), async (req, res) =
   }
 })
 
-// Delete branch (admin only)
-router.delete('/:branchCode', requireAuth, requireRole('admin'), async (req, res) => {
+// Delete branch (branch.manage)
+router.delete('/:branchCode', requireAuth, requirePermission('branch.manage'), async (req, res) => {
   try {
     const { branchCode } = req.params
 
@@ -449,8 +503,112 @@ router.delete('/:branchCode', requireAuth, requireRole('admin'), async (req, res
   }
 })
 
-// Assign users to branch (admin only)
-router.post('/:branchCode/users', requireAuth, requireRole('admin'), async (req, res) => {
+// Change the branch login password (the branch itself, or a branch.manage reset that
+// has to be changed at the next branch login)
+router.patch('/:branchCode/password', requireAuthForPasswordChange, async (req, res) => {
+  try {
+    const { branchCode } = req.params
+    const isOwnLogin = (await getSessionKind(req.user.sid)) === 'branch' && req.user.branch_code === branchCode
+    const isAdminReset = !isOwnLogin && req.permissions.has('branch.manage')
+    if (!isOwnLogin && !isAdminReset) {
+      return res.status(403).json({ error: 'forbidden' })
+    }
+
+    const passwordValidation = validatePassword((req.body || {}).password, true)
+    if (!passwordValidation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: passwordValidation.error })
+    }
+
+    const result = await q(`
+      FOR branch IN branches
+      FILTER branch.branch_code == @branchCode
+      UPDATE branch WITH { password_hash: @hash, must_change_password: @mustChange, password_changed_at: @now } IN branches
+      RETURN NEW._key
+    `, {
+      branchCode,
+      hash: await bcrypt.hash(passwordValidation.value, 10),
+      mustChange: isAdminReset,
+      now: new Date().toISOString()
+    })
+    if (!result.length) {
+      return res.status(404).json({ error: 'not_found', detail: 'Branch not found' })
+    }
+
+    if (isAdminReset) {
+      await revokeBranchSessions(branchCode, { reason: 'password_reset', revokedBy: req.user.sub })
+    }
+    res.status(204).end()
+  } catch (error) {
+    console.error('Branch password change error:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Reset the branch login's 2FA (branch.manage)
+router.delete('/:branchCode/two-factor', requireAuth, requirePermission('branch.manage'), async (req, res) => {
+  try {
+    const { branchCode } = req.params
+    const subject = await twoFactorSubject('branch', { branchCode })
+    if (!subject) return res.status(404).json({ error: 'not_found', detail: 'Branch not found' })
+    await disableTwoFactor(subject)
+    await revokeBranchSessions(branchCode, { reason: 'two_factor_reset', revokedBy: req.user.sub })
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error resetting branch 2FA:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Set or clear the parent of a branch (branch.manage)
+router.put('/:branchCode/parent', requireAuth, requirePermission('branch.manage'), async (req, res) => {
+  try {
+    const { branchCode } = req.params
+    const { parent_branch_code = null } = req.body || {}
+
+    const hierarchy = await loadBranchHierarchy()
+    const branch = hierarchy.branches.get(branchCode)
+    if (!branch) return res.status(404).json({ error: 'branch_not_found' })
+
+    let parent = null
+    if (parent_branch_code) {
+      parent = hierarchy.branches.get(parent_branch_code)
+      if (!parent) {
+        return res.status(400).json({ error: 'validation_error', detail: `Parent branch ${parent_branch_code} not found` })
+      }
+      // A branch cannot sit below itself or below one of its own branches
+      if (subtreeCodes(hierarchy, branchCode).includes(parent_branch_code)) {
+        return res.status(409).json({ error: 'hierarchy_cycle', detail: `${parent_branch_code} is ${branchCode} or one of its branches` })
+      }
+    }
+
+    await q(`
+      FOR edge IN branch_hierarchy
+      FILTER edge._to == @child
+      REMOVE edge IN branch_hierarchy
+    `, { child: `branches/${branch.key}` })
+
+    if (parent) {
+      await q(`
+        INSERT { _from: @parent, _to: @child, created_by: @userId, created_at: DATE_ISO8601(DATE_NOW()) } INTO branch_hierarchy
+      `, { parent: `branches/${parent.key}`, child: `branches/${branch.key}`, userId: req.user.sub })
+      hierarchy.parent.set(branchCode, parent_branch_code)
+    } else {
+      hierarchy.parent.delete(branchCode)
+    }
+
+    res.json({
+      branch_code: branchCode,
+      parent_branch_code: parent ? parent_branch_code : null,
+      ancestors: ancestorCodes(hierarchy, branchCode)
+    })
+  } catch (error) {
+    console.error('Error setting branch parent:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Assign users to branch (branch.manage)
+router.post('/:branchCode/users', requireAuth, requirePermission('branch.manage'), async (req, res) => {
   try {
     const { branchCode } = req.params
     const { user_ids } = req.body
@@ -487,6 +645,7 @@ router.post('/:branchCode/users', requireAuth, requireRole('admin'), async (req,
       }
     }
 
+    scheduleBranchStatsRefresh()
     res.json({
       message: 'Users assigned to branch successfully',
       updated_users: results.length,
@@ -0,0 +1,206 @@
+import express from 'express'
+import { q, getCollection } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { validateDate, validateRequired } from '../utils/validators.js'
+import { RATE_CARD_DIMENSIONS } from '../utils/brokerage.js'
+
+const router = express.Router()
+
+const RATE_CARD_FIELDS = ['name', 'category', 'rate_percent', 'effective_from', 'effective_to', 'tenure_min_months', 'tenure_max_months', 'notes', ...Object.keys(RATE_CARD_DIMENSIONS)]
+
+// Validate a complete rate card; returns { valid, error, card }
+const validateRateCard = (card) => {
+  for (const [value, label] of [[card.category, 'Category'], [card.effective_from, 'Effective from date']]) {
+    const requiredValidation = validateRequired(value, label)
+    if (!requiredValidation.valid) return requiredValidation
+  }
+
+  const rate = Number(card.rate_percent)
+  if (card.rate_percent === null || card.rate_percent === undefined || card.rate_percent === '' || isNaN(rate) || rate < 0 || rate > 100) {
+    return { valid: false, error: 'Rate percent must be a number between 0 and 100' }
+  }
+
+  for (const [value, label] of [[card.effective_from, 'Effective from date'], [card.effective_to, 'Effective to date']]) {
+    const dateValidation = validateDate(value, label)
+    if (!dateValidation.valid) return dateValidation
+  }
+  if (card.effective_to && card.effective_to < card.effective_from) {
+    return { valid: false, error: 'Effective to date must be on or after the effective from date' }
+  }
+
+  for (const field of ['tenure_min_months', 'tenure_max_months']) {
+    if (card[field] != null && (isNaN(Number(card[field])) || Number(card[field]) < 0)) {
+      return { valid: false, error: `${field} must be a non-negative number of months` }
+    }
+  }
+  if (card.tenure_min_months != null && card.tenure_max_months != null && Number(card.tenure_min_months) > Number(card.tenure_max_months)) {
+    return { valid: false, error: 'tenure_min_months must not exceed tenure_max_months' }
+  }
+
+  const normalized = { ...card, category: String(card.category).toUpperCase(), rate_percent: rate }
+  for (const field of ['tenure_min_months', 'tenure_max_months']) {
+    normalized[field] = card[field] == null ? null : Number(card[field])
+  }
+  for (const dim of Object.keys(RATE_CARD_DIMENSIONS)) {
+    normalized[dim] = card[dim] == null || card[dim] === '' ? null : String(card[dim])
+  }
+  return { valid: true, card: normalized }
+}
+
+// An active card with the same dimensions whose dates overlap would make pricing ambiguous
+const findOverlap = async (card, excludeKey = null) => {
+  const rows = await q(`
+    FOR other IN brokerage_rates
+    FILTER other.is_active != false AND other._key != @excludeKey
+    FILTER other.category == @card.category
+    FILTER other.amc_code == @card.amc_code AND other.scheme_code == @card.scheme_code
+    FILTER other.fd_issuer_key == @card.fd_issuer_key AND other.fd_scheme_id == @card.fd_scheme_id
+    FILTER other.tenure_min_months == @card.tenure_min_months AND other.tenure_max_months == @card.tenure_max_months
+    FILTER (other.effective_to == null OR other.effective_to >= @card.effective_from)
+    FILTER (@card.effective_to == null OR other.effective_from <= @card.effective_to)
+    LIMIT 1
+    RETURN { id: other._key, name: other.name, effective_from: other.effective_from, effective_to: other.effective_to }
+  `, { card, excludeKey: excludeKey || '' })
+  return rows[0] || null
+}
+
+// List rate cards
+router.get('/', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const { category, as_of, includeInactive = '0' } = req.query
+
+    const filterConditions = []
+    const bindVars = {}
+    if (includeInactive !== '1') {
+      filterConditions.push('card.is_active != false')
+    }
+    if (category) {
+      filterConditions.push('card.category == @category')
+      bindVars.category = String(category).toUpperCase()
+    }
+    if (as_of) {
+      filterConditions.push('card.effective_from <= @as_of AND (card.effective_to == null OR card.effective_to >= @as_of)')
+      bindVars.as_of = as_of
+    }
+
+    const cards = await q(`
+      FOR card IN brokerage_rates
+      ${filterConditions.length ? `FILTER ${filterConditions.join(' AND ')}` : ''}
+      SORT card.category ASC, card.effective_from DESC
+      RETURN MERGE(UNSET(card, '_id', '_rev'), { id: card._key })
+    `, bindVars)
+
+    res.json(cards)
+  } catch (error) {
+    console.error('Error fetching brokerage rates:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Get rate card by ID
+router.get('/:id', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const cards = await q(`
+      FOR card IN brokerage_rates
+      FILTER card._key == @id
+      LIMIT 1
+      RETURN MERGE(UNSET(card, '_id', '_rev'), { id: card._key })
+    `, { id: req.params.id })
+
+    if (!cards.length) return res.status(404).json({ error: 'not_found' })
+    res.json(cards[0])
+  } catch (error) {
+    console.error('Error fetching brokerage rate:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Create rate card
+router.post('/', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const body = req.body || {}
+    const input = Object.fromEntries(RATE_CARD_FIELDS.map(field => [field, body[field] ?? null]))
+
+    const validation = validateRateCard(input)
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: validation.error })
+    }
+
+    const overlap = await findOverlap(validation.card)
+    if (overlap) {
+      return res.status(409).json({ error: 'overlapping_rate_card', detail: 'An active rate card with the same keys covers these dates', existing: overlap })
+    }
+
+    const now = new Date().toISOString()
+    const result = await getCollection('brokerage_rates').save({
+      ...validation.card,
+      is_active: true,
+      created_by: req.user.sub,
+      created_at: now,
+      updated_at: now
+    })
+
+    res.status(201).json({ id: result._key, message: 'Rate card created successfully' })
+  } catch (error) {
+    console.error('Error creating brokerage rate:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Update rate card
+router.put('/:id', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const existing = await q(`
+      FOR card IN brokerage_rates
+      FILTER card._key == @id AND card.is_active != false
+      LIMIT 1
+      RETURN card
+    `, { id: req.params.id })
+
+    if (!existing.length) return res.status(404).json({ error: 'not_found' })
+
+    const body = req.body || {}
+    const input = Object.fromEntries(RATE_CARD_FIELDS.map(field => [field, field in body ? body[field] : existing[0][field] ?? null]))
+
+    const validation = validateRateCard(input)
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: validation.error })
+    }
+
+    const overlap = await findOverlap(validation.card, req.params.id)
+    if (overlap) {
+      return res.status(409).json({ error: 'overlapping_rate_card', detail: 'An active rate card with the same keys covers these dates', existing: overlap })
+    }
+
+    await getCollection('brokerage_rates').update(req.params.id, {
+      ...validation.card,
+      updated_by: req.user.sub,
+      updated_at: new Date().toISOString()
+    })
+
+    res.json({ id: req.params.id, message: 'Rate card updated successfully' })
+  } catch (error) {
+    console.error('Error updating brokerage rate:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Deactivate rate card (soft delete so past figures stay explainable)
+router.delete('/:id', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const result = await q(`
+      FOR card IN brokerage_rates
+      FILTER card._key == @id AND card.is_active != false
+      UPDATE card WITH { is_active: false, deleted_at: DATE_ISO8601(DATE_NOW()), deleted_by: @userId } IN brokerage_rates
+      RETURN NEW._key
+    `, { id: req.params.id, userId: req.user.sub })
+
+    if (!result.length) return res.status(404).json({ error: 'not_found' })
+    res.json({ message: 'Rate card deactivated successfully' })
+  } catch (error) {
+    console.error('Error deleting brokerage rate:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
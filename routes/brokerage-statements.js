@@ -0,0 +1,355 @@
+import express from 'express'
+import { q, getCollection } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { uploadStatement } from '../middleware/upload.js'
+import { validateRequired } from '../utils/validators.js'
+import { STATEMENT_FIELDS, DATE_FORMATS, parseStatement } from '../utils/statement-parser.js'
+import { reconcile } from '../utils/reconciliation.js'
+import { loadRateCards } from '../utils/brokerage.js'
+
+const router = express.Router()
+
+const SOURCE_FIELDS = ['code', 'name', 'category', 'amc_code', 'fd_issuer_key', 'columns', 'date_format', 'header_row', 'sheet', 'date_tolerance_days']
+
+// Validate a complete source definition; returns { valid, error, source }
+const validateSource = (source) => {
+  for (const [value, label] of [[source.code, 'Source code'], [source.name, 'Source name'], [source.category, 'Category']]) {
+    const requiredValidation = validateRequired(value, label)
+    if (!requiredValidation.valid) return requiredValidation
+  }
+
+  const columns = source.columns || {}
+  const unknown = Object.keys(columns).filter(field => !STATEMENT_FIELDS.includes(field))
+  if (unknown.length) {
+    return { valid: false, error: `Unknown column fields: ${unknown.join(', ')}. Allowed: ${STATEMENT_FIELDS.join(', ')}` }
+  }
+  if (!columns.amount || !columns.date) {
+    return { valid: false, error: 'Column mapping must include amount and date' }
+  }
+  if (!columns.folio && !columns.application_number && !columns.pan) {
+    return { valid: false, error: 'Column mapping must include at least one of folio, application_number or pan' }
+  }
+
+  const dateFormat = source.date_format || 'DD-MM-YYYY'
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    return { valid: false, error: `Date format must be one of: ${DATE_FORMATS.join(', ')}` }
+  }
+
+  return {
+    valid: true,
+    source: {
+      ...source,
+      code: String(source.code).trim().toUpperCase(),
+      category: String(source.category).toUpperCase(),
+      amc_code: source.amc_code || null,
+      fd_issuer_key: source.fd_issuer_key || null,
+      columns,
+      date_format: dateFormat,
+      header_row: Number(source.header_row) || 1,
+      sheet: source.sheet || null,
+      date_tolerance_days: source.date_tolerance_days == null ? 3 : Number(source.date_tolerance_days)
+    }
+  }
+}
+
+const getSource = async (code) => {
+  const rows = await q(`
+    FOR source IN brokerage_statement_sources
+    FILTER source.code == @code AND source.is_active != false
+    LIMIT 1
+    RETURN source
+  `, { code: String(code).trim().toUpperCase() })
+  return rows[0] || null
+}
+
+// Our Completed receipts for the source in the statement month
+const getPeriodReceipts = (source, period) => {
+  const filterConditions = [
+    'receipt.is_deleted == false',
+    'receipt.status == "Completed"',
+    'receipt.product_category == @category',
+    'SUBSTRING(receipt.date, 0, 7) == @period'
+  ]
+  const bindVars = { category: source.category, period }
+
+  if (source.amc_code) {
+    filterConditions.push('receipt.amc_code == @amc_code')
+    bindVars.amc_code = source.amc_code
+  }
+  if (source.fd_issuer_key) {
+    filterConditions.push('receipt.fd_issuer_key == @fd_issuer_key')
+    bindVars.fd_issuer_key = source.fd_issuer_key
+  }
+
+  return q(`
+    FOR receipt IN receipts
+    FILTER ${filterConditions.join(' AND ')}
+    RETURN UNSET(receipt, 'pdf_data', 'files', 'media_documents')
+  `, bindVars)
+}
+
+// Match the statement's lines against current receipts and store the outcome
+const runReconciliation = async (statementKey, source, period, lines) => {
+  const [receipts, rateCards] = await Promise.all([getPeriodReceipts(source, period), loadRateCards()])
+  const result = reconcile(lines, receipts, { dateToleranceDays: source.date_tolerance_days, rateCards })
+
+  await q(`
+    FOR line IN brokerage_statement_lines
+    FILTER line.statement_id == @statementKey
+    REMOVE line IN brokerage_statement_lines
+  `, { statementKey })
+  if (result.lines.length) {
+    await getCollection('brokerage_statement_lines').saveAll(
+      result.lines.map(line => ({ ...line, statement_id: statementKey }))
+    )
+  }
+
+  await getCollection('brokerage_statements').update(statementKey, {
+    summary: result.summary,
+    unmatched_ours: result.unmatched_ours,
+    reconciled_at: new Date().toISOString()
+  })
+  return result
+}
+
+// Full reconciliation report for a statement
+const buildReport = async (statementKey) => {
+  const statements = await q(`
+    FOR statement IN brokerage_statements
+    FILTER statement._key == @statementKey
+    LIMIT 1
+    RETURN MERGE(UNSET(statement, '_id', '_rev', 'unmatched_ours'), { id: statement._key, unmatched_ours: statement.unmatched_ours })
+  `, { statementKey })
+  if (!statements.length) return null
+
+  const lines = await q(`
+    FOR line IN brokerage_statement_lines
+    FILTER line.statement_id == @statementKey
+    SORT line.row ASC
+    RETURN UNSET(line, '_id', '_rev', '_key', 'statement_id')
+  `, { statementKey })
+
+  const { unmatched_ours, ...statement } = statements[0]
+  return {
+    statement,
+    summary: statement.summary,
+    matched: lines.filter(line => line.match_status === 'matched'),
+    amount_mismatches: lines.filter(line => line.match_status === 'amount_mismatch'),
+    unmatched_theirs: lines.filter(line => line.match_status === 'unmatched_theirs'),
+    unmatched_ours: unmatched_ours || []
+  }
+}
+
+// List statement sources and their column mappings
+router.get('/sources', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const sources = await q(`
+      FOR source IN brokerage_statement_sources
+      FILTER source.is_active != false
+      SORT source.code ASC
+      RETURN MERGE(UNSET(source, '_id', '_rev'), { id: source._key })
+    `)
+    res.json(sources)
+  } catch (error) {
+    console.error('Error fetching statement sources:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Create statement source
+router.post('/sources', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const body = req.body || {}
+    const validation = validateSource(Object.fromEntries(SOURCE_FIELDS.map(field => [field, body[field] ?? null])))
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: validation.error })
+    }
+
+    if (await getSource(validation.source.code)) {
+      return res.status(409).json({ error: 'source_exists', detail: `Source ${validation.source.code} already exists` })
+    }
+
+    const now = new Date().toISOString()
+    const result = await getCollection('brokerage_statement_sources').save({
+      ...validation.source,
+      is_active: true,
+      created_by: req.user.sub,
+      created_at: now,
+      updated_at: now
+    })
+    res.status(201).json({ id: result._key, code: validation.source.code, message: 'Statement source created successfully' })
+  } catch (error) {
+    console.error('Error creating statement source:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Update statement source (the code cannot change)
+router.put('/sources/:code', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const existing = await getSource(req.params.code)
+    if (!existing) return res.status(404).json({ error: 'not_found' })
+
+    const body = req.body || {}
+    const input = Object.fromEntries(SOURCE_FIELDS.map(field => [field, field in body ? body[field] : existing[field] ?? null]))
+    input.code = existing.code
+
+    const validation = validateSource(input)
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: validation.error })
+    }
+
+    // columns is replaced as a whole, not merged
+    await getCollection('brokerage_statement_sources').update(existing._key, {
+      ...validation.source,
+      updated_by: req.user.sub,
+      updated_at: new Date().toISOString()
+    }, { mergeObjects: false })
+    res.json({ code: existing.code, message: 'Statement source updated successfully' })
+  } catch (error) {
+    console.error('Error updating statement source:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Deactivate statement source
+router.delete('/sources/:code', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const existing = await getSource(req.params.code)
+    if (!existing) return res.status(404).json({ error: 'not_found' })
+
+    await getCollection('brokerage_statement_sources').update(existing._key, {
+      is_active: false,
+      deleted_at: new Date().toISOString(),
+      deleted_by: req.user.sub
+    })
+    res.json({ message: 'Statement source deactivated successfully' })
+  } catch (error) {
+    console.error('Error deleting statement source:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Upload a statement and reconcile it
+router.post('/', requireAuth, requirePermission('brokerage.manage'), uploadStatement, async (req, res) => {
+  try {
+    const { source_code, period } = req.body || {}
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'missing_file', detail: 'A .csv or .xlsx statement file is required' })
+    }
+    if (!source_code) {
+      return res.status(400).json({ error: 'missing_fields', detail: 'source_code is required' })
+    }
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+      return res.status(400).json({ error: 'validation_error', detail: 'Period must be in YYYY-MM format' })
+    }
+
+    const source = await getSource(source_code)
+    if (!source) {
+      return res.status(404).json({ error: 'source_not_found', detail: `No statement source ${source_code}` })
+    }
+
+    let parsed
+    try {
+      parsed = await parseStatement(req.file.buffer, req.file.originalname, source)
+    } catch (parseError) {
+      return res.status(400).json({ error: 'invalid_statement', detail: parseError.message })
+    }
+
+    const result = await getCollection('brokerage_statements').save({
+      source_code: source.code,
+      source_name: source.name,
+      category: source.category,
+      period,
+      file_name: req.file.originalname,
+      file_size: req.file.size,
+      parse_errors: parsed.errors,
+      uploaded_by: req.user.sub,
+      uploaded_at: new Date().toISOString()
+    })
+
+    await runReconciliation(result._key, source, period, parsed.lines)
+
+    res.status(201).json(await buildReport(result._key))
+  } catch (error) {
+    console.error('Error importing brokerage statement:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// List uploaded statements
+router.get('/', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const { source_code, period } = req.query
+
+    const filterConditions = []
+    const bindVars = {}
+    if (source_code) {
+      filterConditions.push('statement.source_code == @source_code')
+      bindVars.source_code = String(source_code).toUpperCase()
+    }
+    if (period) {
+      filterConditions.push('statement.period == @period')
+      bindVars.period = period
+    }
+
+    const statements = await q(`
+      FOR statement IN brokerage_statements
+      ${filterConditions.length ? `FILTER ${filterConditions.join(' AND ')}` : ''}
+      SORT statement.uploaded_at DESC
+      RETURN MERGE(UNSET(statement, '_id', '_rev', 'unmatched_ours', 'parse_errors'), { id: statement._key })
+    `, bindVars)
+    res.json(statements)
+  } catch (error) {
+    console.error('Error fetching brokerage statements:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Reconciliation report for a statement
+router.get('/:id', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const report = await buildReport(req.params.id)
+    if (!report) return res.status(404).json({ error: 'not_found' })
+    res.json(report)
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Re-run matching after receipts have been corrected
+router.post('/:id/reconcile', requireAuth, requirePermission('brokerage.manage'), async (req, res) => {
+  try {
+    const statements = await q(`
+      FOR statement IN brokerage_statements
+      FILTER statement._key == @id
+      LIMIT 1
+      RETURN statement
+    `, { id: req.params.id })
+    if (!statements.length) return res.status(404).json({ error: 'not_found' })
+
+    const statement = statements[0]
+    const source = await getSource(statement.source_code)
+    if (!source) {
+      return res.status(409).json({ error: 'source_not_found', detail: `Statement source ${statement.source_code} is no longer active` })
+    }
+
+    // Strip the previous match results so every line is matched afresh
+    const lines = await q(`
+      FOR line IN brokerage_statement_lines
+      FILTER line.statement_id == @id
+      SORT line.row ASC
+      RETURN KEEP(line, 'row', 'folio', 'application_number', 'pan', 'investor_name', 'scheme', 'amount', 'date', 'brokerage')
+    `, { id: statement._key })
+
+    await runReconciliation(statement._key, source, statement.period, lines)
+    res.json(await buildReport(statement._key))
+  } catch (error) {
+    console.error('Error reconciling brokerage statement:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
@@ -1,11 +1,40 @@
 import express from 'express'
-import { q, getCollection, getUserBranch, normalizeBranchName, canAccessCustomer } from '../config/database.js'
-import { requireAuth } from '../middleware/auth.js'
+import { q, getCollection, getUserBranch, getUserBranchScope, normalizeBranchName, canAccessCustomer, transaction } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
 import { uploadMultiple } from '../middleware/upload.js'
-import { validatePAN, validateEmail, validateMobile, validateAadhar, validatePIN, validateRequired } from '../utils/validators.js'
+import { idempotent } from '../middleware/idempotency.js'
+import { nextSequentialId } from '../utils/counters.js'
+import { findDuplicatePairs } from '../utils/customer-duplicates.js'
+import { buildPortfolio } from '../utils/portfolio.js'
+import { getInvestorInstructions, currentStatus, upcomingInstalments } from '../utils/mf-instructions.js'
+import { getFinancialYearRange, getFinancialYear } from '../utils/financial-year.js'
+import { scheduleBranchStatsRefresh } from '../utils/branch-stats.js'
+import { generateStatementPDF } from './receipt-pdf.js'
+import { validatePAN, validateEmail, validateMobile, validateAadhar, validatePIN, validateRequired, validateDate } from '../utils/validators.js'
 
 const router = express.Router()
 
+// Follow a merge tombstone: an investor ID that was merged away resolves to the
+// surviving customer. Returns { investorId, mergedFrom } (mergedFrom null if not merged).
+const resolveInvestorId = async (investorId) => {
+  const [mergedInto] = await q(`
+    FOR tombstone IN customer_tombstones
+    FILTER tombstone.investor_id == @id
+    LIMIT 1
+    RETURN tombstone.merged_into
+  `, { id: investorId })
+  return mergedInto == null
+    ? { investorId, mergedFrom: null }
+    : { investorId: mergedInto, mergedFrom: investorId }
+}
+
+// Writes never follow a tombstone: send 410 with the survivor so the client can retry there
+const sendMerged = (res, { investorId, mergedFrom }) => res.status(410).json({
+  error: 'customer_merged',
+  detail: `Customer ${mergedFrom} was merged into ${investorId}`,
+  merged_into: investorId
+})
+
 // Customer search endpoint for receipt creation (branch-filtered)
 router.get('/search', requireAuth, async (req, res) => {
   try {
@@ -22,15 +51,9 @@ router.get('/search', requireAuth, async (req, res) => {
 
     // Get user's branch for filtering
     const userBranch = await getUserBranch(req.user.sub)
-    const normalizedUserBranch = normalizeBranchName(userBranch)
-    const userRole = await q(`
-      FOR user IN users 
-      FILTER user._key == @id
-      LIMIT 1
-      RETURN user.role
-    `, { id: req.user.sub })
-
-    const isAdmin = userRole.length > 0 && userRole[0] === 'admin'
+    const normalizedUserBranch = await normalizeBranchName(userBranch)
+    const branchScope = await getUserBranchScope(req.user.sub)
+    const allBranches = req.scope === 'all'
     
     // Enhanced pagination with larger limits for search
     const searchLimit = Math.min(100, Math.max(10, parseInt(limit, 10) || 20))
@@ -50,10 +73,10 @@ router.get('/search', requireAuth, async (req, res) => {
       offset: searchOffset 
     }
 
-    // Branch-based filtering (unless admin)
-    if (!isAdmin && normalizedUserBranch) {
-      filterClause = `FILTER customer.relationship_manager == @userBranch`
-      bindVars.userBranch = normalizedUserBranch
+    // Branch-based filtering (unless the role covers all branches)
+    if (!allBranches && normalizedUserBranch) {
+      filterClause = `FILTER customer.relationship_manager IN @userBranches`
+      bindVars.userBranches = branchScope.relationship_managers
     }
 
     // Enhanced search filter with more fields and better performance
@@ -146,8 +169,8 @@ router.get('/search', requireAuth, async (req, res) => {
         hasNext: searchPage < totalPages,
         hasPrev: searchPage > 1
       },
-      branch_filter: !isAdmin ? normalizedUserBranch : 'all',
-      user_role: isAdmin ? 'admin' : 'branch_user'
+      branch_filter: !allBranches ? normalizedUserBranch : 'all',
+      user_role: allBranches ? 'admin' : 'branch_user'
     })
   } catch (error) {
     console.error('Error searching customers:', error)
@@ -172,15 +195,9 @@ router.get('/search/advanced', requireAuth, async (req, res) => {
 
     // Get user's branch for filtering
     const userBranch = await getUserBranch(req.user.sub)
-    const normalizedUserBranch = normalizeBranchName(userBranch)
-    const userRole = await q(`
-      FOR user IN users 
-      FILTER user._key == @id
-      LIMIT 1
-      RETURN user.role
-    `, { id: req.user.sub })
-
-    const isAdmin = userRole.length > 0 && userRole[0] === 'admin'
+    const normalizedUserBranch = await normalizeBranchName(userBranch)
+    const branchScope = await getUserBranchScope(req.user.sub)
+    const allBranches = req.scope === 'all'
     
     // Enhanced pagination with larger limits for search
     const searchLimit = Math.min(100, Math.max(10, parseInt(limit, 10) || 20))
@@ -199,7 +216,7 @@ router.get('/search/advanced', requireAuth, async (req, res) => {
       // Use fulltext search for better performance
       query = `
         FOR customer IN FULLTEXT(customers, 'name', @searchQuery)
-        ${!isAdmin && normalizedUserBranch ? 'FILTER customer.relationship_manager == @userBranch' : ''}
+        ${!allBranches && normalizedUserBranch ? 'FILTER customer.relationship_manager IN @userBranches' : ''}
         SORT customer.${orderBy} ${sortDir}
         LIMIT @offset, @limit
         RETURN {
@@ -222,8 +239,8 @@ router.get('/search/advanced', requireAuth, async (req, res) => {
         offset: searchOffset
       }
 
-      if (!isAdmin && normalizedUserBranch) {
-        bindVars.userBranch = normalizedUserBranch
+      if (!allBranches && normalizedUserBranch) {
+        bindVars.userBranches = branchScope.relationship_managers
       }
     } else {
       // Fallback to regular search
@@ -234,10 +251,10 @@ router.get('/search/advanced', requireAuth, async (req, res) => {
         offset: searchOffset 
       }
 
-      // Branch-based filtering (unless admin)
-      if (!isAdmin && normalizedUserBranch) {
-        filterClause = `FILTER customer.relationship_manager == @userBranch`
-        bindVars.userBranch = normalizedUserBranch
+      // Branch-based filtering (unless the role covers all branches)
+      if (!allBranches && normalizedUserBranch) {
+        filterClause = `FILTER customer.relationship_manager IN @userBranches`
+        bindVars.userBranches = branchScope.relationship_managers
       }
 
       // Enhanced search filter
@@ -303,12 +320,12 @@ router.get('/search/advanced', requireAuth, async (req, res) => {
 
     const countQuery = useFulltext === 'true' ? `
       FOR customer IN FULLTEXT(customers, 'name', @searchQuery)
-      ${!isAdmin && normalizedUserBranch ? 'FILTER customer.relationship_manager == @userBranch' : ''}
+      ${!allBranches && normalizedUserBranch ? 'FILTER customer.relationship_manager IN @userBranches' : ''}
       COLLECT WITH COUNT INTO total
       RETURN total
     ` : `
       FOR customer IN customers
-      ${!isAdmin && normalizedUserBranch ? 'FILTER customer.relationship_manager == @userBranch' : ''}
+      ${!allBranches && normalizedUserBranch ? 'FILTER customer.relationship_manager IN @userBranches' : ''}
       FILTER (
         LOWER(customer.name) LIKE LOWER(@searchQuery) 
         OR customer.investor_id == @exactId
@@ -348,8 +365,8 @@ router.get('/search/advanced', requireAuth, async (req, res) => {
         hasNext: searchPage < totalPages,
         hasPrev: searchPage > 1
       },
-      branch_filter: !isAdmin ? normalizedUserBranch : 'all',
-      user_role: isAdmin ? 'admin' : 'branch_user',
+      branch_filter: !allBranches ? normalizedUserBranch : 'all',
+      user_role: allBranches ? 'admin' : 'branch_user',
       search_method: useFulltext === 'true' ? 'fulltext' : 'regular'
     })
   } catch (error) {
@@ -371,15 +388,9 @@ router.get('/', requireAuth, async (req, res) => {
 
     // Get user's branch for filtering
     const userBranch = await getUserBranch(req.user.sub)
-    const normalizedUserBranch = normalizeBranchName(userBranch)
-    const userRole = await q(`
-      FOR user IN users 
-      FILTER user._key == @id
-      LIMIT 1
-      RETURN user.role
-    `, { id: req.user.sub })
-
-    const isAdmin = userRole.length > 0 && userRole[0] === 'admin'
+    const normalizedUserBranch = await normalizeBranchName(userBranch)
+    const branchScope = await getUserBranchScope(req.user.sub)
+    const allBranches = req.scope === 'all'
 
     // Sanitize pagination
     const p = Math.max(1, parseInt(page, 10) || 1)
@@ -398,10 +409,10 @@ router.get('/', requireAuth, async (req, res) => {
     let filterClause = ''
     let bindVars = { limit: numLimit, offset: numOffset }
 
-    // Branch-based filtering (unless admin)
-    if (!isAdmin && normalizedUserBranch) {
-      filterClause = `FILTER customer.relationship_manager == @userBranch`
-      bindVars.userBranch = normalizedUserBranch
+    // Branch-based filtering (unless the role covers all branches)
+    if (!allBranches && normalizedUserBranch) {
+      filterClause = `FILTER customer.relationship_manager IN @userBranches`
+      bindVars.userBranches = branchScope.relationship_managers
     }
 
     // Search functionality (case-insensitive)
@@ -458,8 +469,8 @@ router.get('/', requireAuth, async (req, res) => {
       size: numLimit, 
       total, 
       items: rows,
-      branch_filter: !isAdmin ? normalizedUserBranch : 'all',
-      user_role: isAdmin ? 'admin' : 'branch_user'
+      branch_filter: !allBranches ? normalizedUserBranch : 'all',
+      user_role: allBranches ? 'admin' : 'branch_user'
     })
   } catch (error) {
     console.error('Error fetching customers:', error)
@@ -467,6 +478,173 @@ router.get('/', requireAuth, async (req, res) => {
   }
 })
 
+// Find likely duplicate customers (branch-filtered)
+router.get('/duplicates', requireAuth, async (req, res) => {
+  try {
+    const { min_score = '50', page = '1', size = '50' } = req.query
+
+    // Get user's branch for filtering
+    const userBranch = await getUserBranch(req.user.sub)
+    const normalizedUserBranch = await normalizeBranchName(userBranch)
+    const branchScope = await getUserBranchScope(req.user.sub)
+    const allBranches = req.scope === 'all'
+
+    const minScore = Math.min(100, Math.max(1, parseInt(min_score, 10) || 50))
+    const numLimit = Math.min(200, Math.max(1, parseInt(size, 10) || 50))
+    const numPage = Math.max(1, parseInt(page, 10) || 1)
+
+    let filterClause = ''
+    let bindVars = {}
+    if (!allBranches && normalizedUserBranch) {
+      filterClause = 'FILTER customer.relationship_manager IN @userBranches'
+      bindVars.userBranches = branchScope.relationship_managers
+    }
+
+    const customers = await q(`
+      FOR customer IN customers
+      ${filterClause}
+      RETURN {
+        investor_id: customer.investor_id,
+        name: customer.name,
+        pan: customer.pan,
+        mobile: customer.mobile,
+        email: customer.email,
+        date_of_birth: customer.date_of_birth,
+        city: customer.city,
+        relationship_manager: customer.relationship_manager,
+        created_at: customer.created_at
+      }
+    `, bindVars)
+
+    const pairs = findDuplicatePairs(customers, minScore)
+    const offset = (numPage - 1) * numLimit
+
+    res.json({
+      page: numPage,
+      size: numLimit,
+      total: pairs.length,
+      min_score: minScore,
+      items: pairs.slice(offset, offset + numLimit),
+      branch_filter: !allBranches ? normalizedUserBranch : 'all'
+    })
+  } catch (error) {
+    console.error('Error finding duplicate customers:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Merge duplicate customers into a survivor (customer.merge)
+router.post('/merge', requireAuth, requirePermission('customer.merge'), async (req, res) => {
+  try {
+    const { survivor_id, duplicate_ids } = req.body || {}
+    const survivorId = Number(survivor_id)
+    const duplicateIds = Array.isArray(duplicate_ids) ? [...new Set(duplicate_ids.map(Number))] : []
+
+    if (!survivor_id || isNaN(survivorId) || !duplicateIds.length || duplicateIds.some(isNaN)) {
+      return res.status(400).json({ error: 'missing_fields', detail: 'survivor_id and a duplicate_ids array of investor IDs are required' })
+    }
+    if (duplicateIds.includes(survivorId)) {
+      return res.status(400).json({ error: 'validation_error', detail: 'The survivor cannot also be listed as a duplicate' })
+    }
+
+    const found = await q(`
+      FOR customer IN customers
+      FILTER customer.investor_id IN @ids
+      RETURN customer
+    `, { ids: [survivorId, ...duplicateIds] })
+
+    const survivor = found.find(c => c.investor_id === survivorId)
+    if (!survivor) {
+      return res.status(404).json({ error: 'not_found', detail: `Customer with ID ${survivorId} not found` })
+    }
+    const duplicates = found.filter(c => c.investor_id !== survivorId)
+    const missing = duplicateIds.filter(id => !duplicates.some(c => c.investor_id === id))
+    if (missing.length) {
+      return res.status(404).json({ error: 'not_found', detail: `Customers not found: ${missing.join(', ')}` })
+    }
+
+    const mergedAt = new Date().toISOString()
+    const mediaDocuments = [
+      ...(survivor.media_documents || []),
+      ...duplicates.flatMap(c => c.media_documents || [])
+    ]
+
+    const movedReceipts = await transaction({ write: ['customers', 'receipts', 'mf_instructions', 'tasks', 'customer_tombstones'] }, async (tq) => {
+      // Receipts may hold the investor ID as a number or a string
+      const ids = duplicateIds.flatMap(id => [id, String(id)])
+      const moved = await tq(`
+        FOR receipt IN receipts
+        FILTER receipt.investor_id IN @ids
+        UPDATE receipt WITH {
+          investor_id: @survivorId,
+          investor_name: @survivorName,
+          merged_from_investor_id: TO_NUMBER(receipt.investor_id)
+        } IN receipts
+        RETURN NEW._key
+      `, { ids, survivorId, survivorName: survivor.name })
+
+      // SIP/STP/SWP instructions and FD reminder tasks follow their receipts to the survivor
+      await tq(`
+        FOR instruction IN mf_instructions
+        FILTER instruction.investor_id IN @ids
+        UPDATE instruction WITH { investor_id: @survivorId, investor_name: @survivorName } IN mf_instructions
+      `, { ids, survivorId, survivorName: survivor.name })
+      await tq(`
+        FOR task IN tasks
+        FILTER task.investor_id IN @ids
+        UPDATE task WITH { investor_id: @survivorId, investor_name: @survivorName } IN tasks
+      `, { ids, survivorId, survivorName: survivor.name })
+
+      await tq(`
+        FOR customer IN customers
+        FILTER customer.investor_id == @survivorId
+        UPDATE customer WITH {
+          media_documents: @mediaDocuments,
+          merged_investor_ids: UNION_DISTINCT(customer.merged_investor_ids || [], @duplicateIds),
+          updated_at: @mergedAt
+        } IN customers
+      `, { survivorId, mediaDocuments, duplicateIds, mergedAt })
+
+      // Earlier merges into a now-duplicate customer point straight at the survivor
+      await tq(`
+        FOR tombstone IN customer_tombstones
+        FILTER tombstone.merged_into IN @duplicateIds
+        UPDATE tombstone WITH { merged_into: @survivorId } IN customer_tombstones
+      `, { duplicateIds, survivorId })
+
+      await tq(`
+        FOR customer IN @duplicates
+        INSERT {
+          investor_id: customer.investor_id,
+          merged_into: @survivorId,
+          merged_by: @userId,
+          merged_at: @mergedAt,
+          customer: UNSET(customer, '_id', '_key', '_rev')
+        } INTO customer_tombstones
+      `, { duplicates, survivorId, userId: req.user.sub, mergedAt })
+
+      await tq(`
+        FOR customer IN customers
+        FILTER customer.investor_id IN @duplicateIds
+        REMOVE customer IN customers
+      `, { duplicateIds })
+
+      return moved.length
+    })
+
+    res.json({
+      message: 'Customers merged successfully',
+      survivor_id: survivorId,
+      merged_ids: duplicateIds,
+      receipts_moved: movedReceipts,
+      media_files: mediaDocuments.length
+    })
+  } catch (error) {
+    console.error('Error merging customers:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
 // Get single customer
 router.get('/:id', requireAuth, async (req, res) => {
   try {
@@ -477,15 +655,14 @@ router.get('/:id', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'invalid_customer_id', detail: 'Customer ID must be a valid number' })
     }
     
-    const customerId = Number(id)
-    
-    // Check if customer exists
+    // Check if customer exists, following merge tombstones for old IDs
+    const { investorId: customerId, mergedFrom } = await resolveInvestorId(Number(id))
     const customers = await q(`
       FOR customer IN customers 
       FILTER customer.investor_id == @id
       LIMIT 1
-      RETURN customer
-    `, { id: customerId })
+      RETURN @mergedFrom != null ? MERGE(customer, { merged_from: @mergedFrom }) : customer
+    `, { id: customerId, mergedFrom })
     
     if (!customers.length) {
       return res.status(404).json({ error: 'not_found', detail: `Customer with ID ${customerId} not found` })
@@ -548,8 +725,187 @@ router.get('/:id', requireAuth, async (req, res) => {
   }
 })
 
+// Get customer portfolio (holdings from completed receipts)
+router.get('/:id/portfolio', requireAuth, async (req, res) => {
+  try {
+    const id = req.params.id
+
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ error: 'invalid_customer_id', detail: 'Customer ID must be a valid number' })
+    }
+
+    const { investorId: customerId, mergedFrom } = await resolveInvestorId(Number(id))
+    const customers = await q(`
+      FOR customer IN customers 
+      FILTER customer.investor_id == @id
+      LIMIT 1
+      RETURN { investor_id: customer.investor_id, name: customer.name, pan: customer.pan, relationship_manager: customer.relationship_manager }
+    `, { id: customerId })
+
+    if (!customers.length) {
+      return res.status(404).json({ error: 'not_found', detail: `Customer with ID ${customerId} not found` })
+    }
+
+    const customer = mergedFrom != null ? { ...customers[0], merged_from: mergedFrom } : customers[0]
+
+    const canAccess = await canAccessCustomer(req.user.sub, customer.relationship_manager)
+    if (!canAccess) {
+      return res.status(403).json({ error: 'forbidden', detail: 'Access denied - customer belongs to different branch' })
+    }
+
+    // Receipts may hold the investor ID as a number or a string
+    const receipts = await q(`
+      FOR receipt IN receipts
+      FILTER receipt.investor_id IN [@id, TO_STRING(@id)]
+      FILTER receipt.is_deleted == false AND receipt.status == "Completed"
+      SORT receipt.date ASC
+      RETURN UNSET(receipt, 'pdf_data', 'files')
+    `, { id: customerId })
+    const instructions = await getInvestorInstructions(customerId)
+    const today = new Date().toISOString().slice(0, 10)
+
+    res.json({
+      customer,
+      ...buildPortfolio(receipts, today, instructions)
+    })
+  } catch (error) {
+    console.error('Error fetching customer portfolio:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Get customer SIP/STP/SWP instructions with upcoming instalments
+router.get('/:id/instructions', requireAuth, async (req, res) => {
+  try {
+    const id = req.params.id
+    const { status = 'all', upcoming = '6' } = req.query
+
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ error: 'invalid_customer_id', detail: 'Customer ID must be a valid number' })
+    }
+
+    const { investorId: customerId, mergedFrom } = await resolveInvestorId(Number(id))
+    const customers = await q(`
+      FOR customer IN customers 
+      FILTER customer.investor_id == @id
+      LIMIT 1
+      RETURN { investor_id: customer.investor_id, name: customer.name, relationship_manager: customer.relationship_manager }
+    `, { id: customerId })
+
+    if (!customers.length) {
+      return res.status(404).json({ error: 'not_found', detail: `Customer with ID ${customerId} not found` })
+    }
+
+    const customer = mergedFrom != null ? { ...customers[0], merged_from: mergedFrom } : customers[0]
+
+    const canAccess = await canAccessCustomer(req.user.sub, customer.relationship_manager)
+    if (!canAccess) {
+      return res.status(403).json({ error: 'forbidden', detail: 'Access denied - customer belongs to different branch' })
+    }
+
+    const today = new Date().toISOString().slice(0, 10)
+    const upcomingCount = Math.min(60, Math.max(1, parseInt(upcoming, 10) || 6))
+
+    const instructions = (await getInvestorInstructions(customerId))
+      .map(({ schedule, events, ...instruction }) => ({
+        ...instruction,
+        status: currentStatus({ ...instruction, schedule }, today),
+        upcoming_installments: upcomingInstalments({ schedule }, today, upcomingCount)
+      }))
+      .filter(instruction => status === 'all' || instruction.status === status)
+
+    res.json({ customer, as_of: today, instructions })
+  } catch (error) {
+    console.error('Error fetching customer instructions:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Download consolidated customer statement PDF
+router.get('/:id/statement.pdf', requireAuth, async (req, res) => {
+  try {
+    const id = req.params.id
+
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ error: 'invalid_customer_id', detail: 'Customer ID must be a valid number' })
+    }
+
+    // Default period: current financial year to date
+    const today = new Date().toISOString().slice(0, 10)
+    const from = req.query.from || getFinancialYearRange(getFinancialYear()).from
+    const to = req.query.to || today
+
+    for (const [value, label] of [[from, 'From date'], [to, 'To date']]) {
+      const dateValidation = validateDate(value, label, true)
+      if (!dateValidation.valid) {
+        return res.status(400).json({ error: 'validation_error', detail: dateValidation.error })
+      }
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'validation_error', detail: 'From date must be on or before To date' })
+    }
+
+    const { investorId: customerId, mergedFrom } = await resolveInvestorId(Number(id))
+    const customers = await q(`
+      FOR customer IN customers 
+      FILTER customer.investor_id == @id
+      LIMIT 1
+      RETURN customer
+    `, { id: customerId })
+
+    if (!customers.length) {
+      return res.status(404).json({ error: 'not_found', detail: `Customer with ID ${customerId} not found` })
+    }
+
+    const customer = mergedFrom != null ? { ...customers[0], merged_from: mergedFrom } : customers[0]
+
+    const canAccess = await canAccessCustomer(req.user.sub, customer.relationship_manager)
+    if (!canAccess) {
+      return res.status(403).json({ error: 'forbidden', detail: 'Access denied - customer belongs to different branch' })
+    }
+
+    // Every completed receipt up to the end of the period; the PDF shows the
+    // ones inside the period and summarises all of them as holdings
+    const receipts = await q(`
+      FOR receipt IN receipts
+      FILTER receipt.investor_id IN [@id, TO_STRING(@id)]
+      FILTER receipt.is_deleted == false AND receipt.status == "Completed"
+      FILTER receipt.date <= @to
+      SORT receipt.product_category ASC, receipt.date ASC
+      RETURN UNSET(receipt, 'pdf_data', 'files')
+    `, { id: customerId, to })
+    const instructions = await getInvestorInstructions(customerId)
+
+    const periodReceipts = receipts.filter(r => r.date >= from)
+    const maturities = receipts
+      .filter(r => r.product_category === 'FD')
+      .filter(r => {
+        const maturityDate = String(r.fd_maturity_date || r.renewal_due_date || '').slice(0, 10)
+        return maturityDate && maturityDate >= from && maturityDate <= to
+      })
+      .sort((a, b) => String(a.fd_maturity_date || a.renewal_due_date).localeCompare(String(b.fd_maturity_date || b.renewal_due_date)))
+
+    const pdfBuffer = await generateStatementPDF({
+      customer,
+      receipts: periodReceipts,
+      maturities,
+      portfolio: buildPortfolio(receipts, to, instructions),
+      from,
+      to
+    })
+
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `attachment; filename="Statement-${customer.investor_id}-${from}-to-${to}.pdf"`)
+    res.setHeader('Content-Length', pdfBuffer.length)
+    res.send(pdfBuffer)
+  } catch (error) {
+    console.error('Error generating customer statement:', error)
+    res.status(500).json({ error: 'pdf_generation_failed', detail: error.message })
+  }
+})
+
 // Create new customer
-router.post('/', requireAuth, uploadMultiple, async (req, res) => {
+router.post('/', requireAuth, uploadMultiple, idempotent('customers'), async (req, res) => {
   try {
     const {
       name,
@@ -614,7 +970,7 @@ router.post('/', requireAuth, uploadMultiple, async (req, res) => {
 
     // Get user's branch to assign as relationship manager
     const userBranch = await getUserBranch(req.user.sub)
-    const normalizedUserBranch = normalizeBranchName(userBranch)
+    const normalizedUserBranch = await normalizeBranchName(userBranch)
     if (!normalizedUserBranch) {
       return res.status(400).json({ error: 'invalid_user', detail: 'User branch not found' })
     }
@@ -631,12 +987,7 @@ router.post('/', requireAuth, uploadMultiple, async (req, res) => {
     }
 
     // Get the next investor_id
-    const maxIdResult = await q(`
-      FOR customer IN customers
-      COLLECT AGGREGATE maxId = MAX(customer.investor_id)
-      RETURN maxId
-    `)
-    const nextId = (maxIdResult[0] || 0) + 1
+    const nextId = await nextSequentialId('investor_id', 'customers', 'investor_id')
 
     // Handle uploaded media files
     let mediaDocuments = []
@@ -681,6 +1032,7 @@ router.post('/', requireAuth, uploadMultiple, async (req, res) => {
     }
 
     const result = await getCollection('customers').save(customerDoc)
+    scheduleBranchStatsRefresh()
     res.status(201).json({ 
       investor_id: nextId,
       relationship_manager: normalizedUserBranch,
@@ -731,6 +1083,8 @@ router.patch('/:id', requireAuth, async (req, res) => {
     `, { id: Number(id) })
     
     if (!existing.length) {
+      const resolved = await resolveInvestorId(Number(id))
+      if (resolved.mergedFrom != null) return sendMerged(res, resolved)
       return res.status(404).json({ error: 'not_found', detail: `Customer with ID ${id} not found` })
     }
 
@@ -920,6 +1274,8 @@ router.delete('/:id', requireAuth, async (req, res) => {
       RETURN customer
     `, { id })
     if (!existing.length) {
+      const resolved = await resolveInvestorId(Number(id))
+      if (resolved.mergedFrom != null) return sendMerged(res, resolved)
       return res.status(404).json({ error: 'not_found' })
     }
 
@@ -952,6 +1308,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
       REMOVE customer IN customers
     `, { id })
 
+    scheduleBranchStatsRefresh()
     res.status(204).end()
   } catch (error) {
     console.error('Error deleting customer:', error)
@@ -1,11 +1,11 @@
 import express from 'express'
-import { q } from '../config/database.js'
-import { requireAuth, requireRole } from '../middleware/auth.js'
+import { q, getUserBranch, getUserBranchScope } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
 
 const router = express.Router()
 
-// Export receipts to CSV
-router.get('/receipts', requireAuth, async (req, res) => {
+// Export receipts to CSV (receipt.export), within the role's scope
+router.get('/receipts', requireAuth, requirePermission('receipt.export'), async (req, res) => {
   try {
     const { from, to, branch_code } = req.query
     let query = `
@@ -26,6 +26,16 @@ router.get('/receipts', requireAuth, async (req, res) => {
       query += ` AND receipt.branch == @branch_code`
       bindVars.branch_code = branch_code
     }
+    if (req.scope === 'own') {
+      query += ` AND receipt.user_id == @user_id`
+      bindVars.user_id = req.user.sub
+    } else if (req.scope === 'region') {
+      query += ` AND UPPER(receipt.branch) IN @scopeBranches`
+      bindVars.scopeBranches = (await getUserBranchScope(req.user.sub)).receipt_branches
+    } else if (req.scope !== 'all') {
+      query += ` AND receipt.branch == @scopeBranch`
+      bindVars.scopeBranch = req.user.branch || await getUserBranch(req.user.sub) || ''
+    }
     
     query += `
       SORT receipt.created_at DESC
@@ -91,11 +101,14 @@ router.get('/receipts', requireAuth, async (req, res) => {
   }
 })
 
-// Export customers to CSV
-router.get('/customers', requireAuth, async (req, res) => {
+// Export customers to CSV (customer.export); unless the role covers all branches,
+// the customers of the user's branch and the branches below it
+router.get('/customers', requireAuth, requirePermission('customer.export'), async (req, res) => {
   try {
+    const relationshipManagers = req.scope === 'all' ? null : (await getUserBranchScope(req.user.sub)).relationship_managers
     const customers = await q(`
       FOR customer IN customers
+      FILTER @relationshipManagers == null OR customer.relationship_manager IN @relationshipManagers
       RETURN {
         investor_id: customer.investor_id,
         name: customer.investor_name,
@@ -109,7 +122,7 @@ router.get('/customers', requireAuth, async (req, res) => {
         created_at: customer.created_at,
         updated_at: customer.updated_at
       }
-    `)
+    `, { relationshipManagers })
     
     const headers = [
       'Investor ID', 'Name', 'PAN', 'Phone', 'Email', 'Address', 'City', 'State', 'Pincode', 'Created At', 'Updated At'
@@ -145,8 +158,8 @@ router.get('/customers', requireAuth, async (req, res) => {
   }
 })
 
-// Export users to CSV (admin only)
-router.get('/users', requireAuth, requireRole('admin'), async (req, res) => {
+// Export users to CSV (user.manage)
+router.get('/users', requireAuth, requirePermission('user.manage'), async (req, res) => {
   try {
     const users = await q(`
       FOR user IN users
@@ -193,8 +206,8 @@ router.get('/users', requireAuth, requireRole('admin'), async (req, res) => {
   }
 })
 
-// Export branches to CSV (admin only)
-router.get('/branches', requireAuth, requireRole('admin'), async (req, res) => {
+// Export branches to CSV (branch.manage)
+router.get('/branches', requireAuth, requirePermission('branch.manage'), async (req, res) => {
   try {
     const branches = await q(`
       FOR branch IN branches
@@ -0,0 +1,205 @@
+import express from 'express'
+import { q, getUserBranch, getUserBranchScope } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { validateDate } from '../utils/validators.js'
+import { MATURITY_STATUSES, addDays, daysBetween, findMaturities } from '../utils/fd-maturities.js'
+import { isReceiptInScope } from '../utils/receipt-workflow.js'
+
+const router = express.Router()
+
+// Load an FD receipt the caller may act on, or send the error response
+const loadMaturingReceipt = async (req, res) => {
+  const rows = await q(`
+    FOR receipt IN receipts
+    FILTER receipt._key == @id
+    LIMIT 1
+    RETURN receipt
+  `, { id: req.params.receiptId })
+
+  if (!rows.length) {
+    res.status(404).json({ error: 'receipt_not_found' })
+    return null
+  }
+
+  const receipt = rows[0]
+  if (receipt.product_category !== 'FD' || receipt.is_deleted || receipt.status !== 'Completed') {
+    res.status(400).json({ error: 'not_an_active_fd', detail: 'Only completed FD receipts can be renewed or paid out' })
+    return null
+  }
+
+  // The owning RM, their branch, a regional role over the branch or a role covering all branches may close a maturity
+  const isOwner = String(receipt.user_id) === String(req.user.sub)
+  if (!(isOwner || await isReceiptInScope(receipt, req.user, req.scope))) {
+    res.status(403).json({ error: 'forbidden' })
+    return null
+  }
+  if (receipt.maturity_status && receipt.maturity_status !== 'open') {
+    res.status(409).json({ error: 'maturity_already_closed', detail: `Maturity already marked as ${receipt.maturity_status}` })
+    return null
+  }
+  return receipt
+}
+
+// Close the open reminder tasks once a maturity has been dealt with
+const closeReminders = (receiptId, userId) => q(`
+  FOR task IN tasks
+  FILTER task.type == "fd_maturity_reminder" AND task.receipt_id == @receiptId AND task.status == "open"
+  UPDATE task WITH { status: "done", completed_at: DATE_ISO8601(DATE_NOW()), completed_by: @userId } IN tasks
+`, { receiptId, userId })
+
+// List FD maturities in a date range
+router.get('/maturities', requireAuth, async (req, res) => {
+  try {
+    const today = new Date().toISOString().slice(0, 10)
+    const { branch, status } = req.query
+    const from = req.query.from || today
+
+    const fromValidation = validateDate(from, 'From date', true)
+    if (!fromValidation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: fromValidation.error })
+    }
+    // Default window is the next 30 days
+    const to = req.query.to || addDays(from, 30)
+    const toValidation = validateDate(to, 'To date', true)
+    if (!toValidation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: toValidation.error })
+    }
+    if (status && !MATURITY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'invalid_status', detail: `Status must be one of: ${MATURITY_STATUSES.join(', ')}` })
+    }
+
+    // Employees see their own deposits, managers their branch subtree, branch users their branch,
+    // roles covering all branches everything
+    let branchFilter = branch || null
+    let branchesFilter = null
+    let userFilter = null
+    if (req.scope === 'own') {
+      userFilter = req.user.sub
+    } else if (req.scope === 'region') {
+      branchFilter = null
+      branchesFilter = (await getUserBranchScope(req.user.sub)).receipt_branches
+      if (!branchesFilter.length) return res.status(403).json({ error: 'no_branch', detail: 'No branch on this login' })
+    } else if (req.scope !== 'all') {
+      branchFilter = req.user.branch || await getUserBranch(req.user.sub)
+      if (!branchFilter) return res.status(403).json({ error: 'no_branch', detail: 'No branch on this login' })
+    }
+
+    const items = await findMaturities({ from, to, branch: branchFilter, branches: branchesFilter, userId: userFilter, status })
+
+    res.json({
+      from,
+      to,
+      branch: branchFilter || (branchesFilter ? null : 'all'),
+      branches: branchesFilter,
+      total: items.length,
+      total_maturity_amount: items.reduce((sum, item) => sum + (item.maturity_amount || 0), 0),
+      items: items.map(item => ({ ...item, days_to_maturity: daysBetween(today, item.maturity_date) }))
+    })
+  } catch (error) {
+    console.error('Error fetching FD maturities:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Mark a maturity as renewed into a new receipt
+router.post('/maturities/:receiptId/renew', requireAuth, requirePermission('fd.maturity.manage'), async (req, res) => {
+  try {
+    const { new_receipt_id, comment = null } = req.body || {}
+    if (!new_receipt_id) {
+      return res.status(400).json({ error: 'missing_fields', detail: 'new_receipt_id is required' })
+    }
+
+    const receipt = await loadMaturingReceipt(req, res)
+    if (!receipt) return
+
+    const renewal = await q(`
+      FOR receipt IN receipts
+      FILTER receipt._key == @id AND receipt.is_deleted == false
+      LIMIT 1
+      RETURN { id: receipt._key, investor_id: receipt.investor_id, product_category: receipt.product_category }
+    `, { id: String(new_receipt_id) })
+
+    if (!renewal.length) {
+      return res.status(404).json({ error: 'renewal_receipt_not_found' })
+    }
+    if (renewal[0].id === receipt._key || renewal[0].product_category !== 'FD' || String(renewal[0].investor_id) !== String(receipt.investor_id)) {
+      return res.status(400).json({ error: 'invalid_renewal_receipt', detail: 'The renewal must be a different FD receipt for the same investor' })
+    }
+
+    await q(`
+      UPDATE @id WITH {
+        maturity_status: "renewed",
+        renewed_receipt_id: @newId,
+        maturity_comment: @comment,
+        maturity_action_at: DATE_ISO8601(DATE_NOW()),
+        maturity_action_by: @userId
+      } IN receipts
+    `, { id: receipt._key, newId: renewal[0].id, comment, userId: req.user.sub })
+
+    await q(`
+      UPDATE @id WITH { renewed_from_receipt_id: @oldId } IN receipts
+    `, { id: renewal[0].id, oldId: receipt._key })
+
+    await closeReminders(receipt._key, req.user.sub)
+
+    res.json({ message: 'Maturity marked as renewed', receipt_id: receipt._key, renewed_receipt_id: renewal[0].id })
+  } catch (error) {
+    console.error('Error marking FD as renewed:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Mark a maturity as paid out to the investor
+router.post('/maturities/:receiptId/payout', requireAuth, requirePermission('fd.maturity.manage'), async (req, res) => {
+  try {
+    const { paid_on = new Date().toISOString().slice(0, 10), amount = null, comment = null } = req.body || {}
+
+    const dateValidation = validateDate(paid_on, 'Paid on date', true)
+    if (!dateValidation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: dateValidation.error })
+    }
+
+    const receipt = await loadMaturingReceipt(req, res)
+    if (!receipt) return
+
+    await q(`
+      UPDATE @id WITH {
+        maturity_status: "paid_out",
+        paid_out_on: @paidOn,
+        paid_out_amount: @amount,
+        maturity_comment: @comment,
+        maturity_action_at: DATE_ISO8601(DATE_NOW()),
+        maturity_action_by: @userId
+      } IN receipts
+    `, { id: receipt._key, paidOn: paid_on, amount: amount === null ? null : Number(amount), comment, userId: req.user.sub })
+
+    await closeReminders(receipt._key, req.user.sub)
+
+    res.json({ message: 'Maturity marked as paid out', receipt_id: receipt._key })
+  } catch (error) {
+    console.error('Error marking FD as paid out:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// List my FD maturity reminder tasks
+router.get('/reminders', requireAuth, async (req, res) => {
+  try {
+    const { status = 'open' } = req.query
+
+    const tasks = await q(`
+      FOR task IN tasks
+      FILTER task.type == "fd_maturity_reminder" AND task.assigned_to == @userId
+      FILTER @status == "all" || task.status == @status
+      SORT task.due_date ASC
+      RETURN UNSET(task, '_id', '_rev')
+    `, { userId: req.user.sub, status })
+
+    res.json(tasks)
+  } catch (error) {
+    console.error('Error fetching FD reminders:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
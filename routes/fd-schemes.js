@@ -1,6 +1,6 @@
 import express from 'express'
 import { q, getCollection } from '../config/database.js'
-import { requireAuth, requireRole } from '../middleware/auth.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
 
 const router = express.Router()
 
@@ -257,11 +257,11 @@ router.post('/calculate-rate', async (req, res) => {
 })
 
 // ===================================
-// WRITE OPERATIONS (Admin only)
+// WRITE OPERATIONS (fdscheme.edit)
 // ===================================
 
 // Create issuer
-router.post('/issuer', requireAuth, requireRole('admin'), async (req, res) => {
+router.post('/issuer', requireAuth, requirePermission('fdscheme.edit'), async (req, res) => {
   try {
     const issuerData = req.body
     
@@ -331,7 +331,7 @@ router.post('/issuer', requireAuth, requireRole('admin'), async (req, res) => {
 })
 
 // Update issuer (top-level fields only)
-router.put('/issuer/:issuer_key', requireAuth, requireRole('admin'), async (req, res) => {
+router.put('/issuer/:issuer_key', requireAuth, requirePermission('fdscheme.edit'), async (req, res) => {
   try {
     const { issuer_key } = req.params
     const updateData = req.body
@@ -371,7 +371,7 @@ router.put('/issuer/:issuer_key', requireAuth, requireRole('admin'), async (req,
 })
 
 // Delete issuer
-router.delete('/issuer/:issuer_key', requireAuth, requireRole('admin'), async (req, res) => {
+router.delete('/issuer/:issuer_key', requireAuth, requirePermission('fdscheme.edit'), async (req, res) => {
   try {
     const { issuer_key } = req.params
     
@@ -394,7 +394,7 @@ router.delete('/issuer/:issuer_key', requireAuth, requireRole('admin'), async (r
 })
 
 // Add scheme to issuer
-router.post('/issuer/:issuer_key/scheme', requireAuth, requireRole('admin'), async (req, res) => {
+router.post('/issuer/:issuer_key/scheme', requireAuth, requirePermission('fdscheme.edit'), async (req, res) => {
   try {
     const { issuer_key } = req.params
     const schemeData = req.body
@@ -439,7 +439,7 @@ router.post('/issuer/:issuer_key/scheme', requireAuth, requireRole('admin'), asy
 })
 
 // Update scheme
-router.put('/issuer/:issuer_key/scheme/:scheme_id', requireAuth, requireRole('admin'), async (req, res) => {
+router.put('/issuer/:issuer_key/scheme/:scheme_id', requireAuth, requirePermission('fdscheme.edit'), async (req, res) => {
   try {
     const { issuer_key, scheme_id } = req.params
     const updateData = req.body
@@ -488,7 +488,7 @@ router.put('/issuer/:issuer_key/scheme/:scheme_id', requireAuth, requireRole('ad
 })
 
 // Delete scheme from issuer
-router.delete('/issuer/:issuer_key/scheme/:scheme_id', requireAuth, requireRole('admin'), async (req, res) => {
+router.delete('/issuer/:issuer_key/scheme/:scheme_id', requireAuth, requirePermission('fdscheme.edit'), async (req, res) => {
   try {
     const { issuer_key, scheme_id } = req.params
     
@@ -525,7 +525,7 @@ router.delete('/issuer/:issuer_key/scheme/:scheme_id', requireAuth, requireRole(
 })
 
 // Add rate slab to scheme
-router.post('/issuer/:issuer_key/scheme/:scheme_id/slab', requireAuth, requireRole('admin'), async (req, res) => {
+router.post('/issuer/:issuer_key/scheme/:scheme_id/slab', requireAuth, requirePermission('fdscheme.edit'), async (req, res) => {
   try {
     const { issuer_key, scheme_id } = req.params
     const slabData = req.body
@@ -596,7 +596,7 @@ router.post('/issuer/:issuer_key/scheme/:scheme_id/slab', requireAuth, requireRo
 })
 
 // Update rate slab
-router.put('/issuer/:issuer_key/scheme/:scheme_id/slab/:slab_id', requireAuth, requireRole('admin'), async (req, res) => {
+router.put('/issuer/:issuer_key/scheme/:scheme_id/slab/:slab_id', requireAuth, requirePermission('fdscheme.edit'), async (req, res) => {
   try {
     const { issuer_key, scheme_id, slab_id } = req.params
     const updateData = req.body
@@ -675,7 +675,7 @@ router.put('/issuer/:issuer_key/scheme/:scheme_id/slab/:slab_id', requireAuth, r
 })
 
 // Delete rate slab
-router.delete('/issuer/:issuer_key/scheme/:scheme_id/slab/:slab_id', requireAuth, requireRole('admin'), async (req, res) => {
+router.delete('/issuer/:issuer_key/scheme/:scheme_id/slab/:slab_id', requireAuth, requirePermission('fdscheme.edit'), async (req, res) => {
   try {
     const { issuer_key, scheme_id, slab_id } = req.params
     
@@ -0,0 +1,295 @@
+import express from 'express'
+import { q, getCollection, getUserBranchScope } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { validateDate, validateRequired } from '../utils/validators.js'
+import { PERIOD_PATTERN, validatePolicyCategories, getPolicyForPeriod, computeIncentives, runTotals } from '../utils/incentives.js'
+
+const router = express.Router()
+
+const currentPeriod = () => new Date().toISOString().slice(0, 7)
+
+// The month before the current one, the usual period for a payout run
+const previousPeriod = () => {
+  const d = new Date()
+  d.setUTCDate(1)
+  d.setUTCMonth(d.getUTCMonth() - 1)
+  return d.toISOString().slice(0, 7)
+}
+
+const getRun = async (period) => {
+  const runs = await q(`
+    FOR run IN incentive_runs
+    FILTER run._key == @period
+    LIMIT 1
+    RETURN UNSET(run, '_id', '_rev')
+  `, { period })
+  return runs[0] || null
+}
+
+const validatePolicy = (policy) => {
+  for (const [value, label] of [[policy.name, 'Policy name'], [policy.effective_from, 'Effective from date']]) {
+    const requiredValidation = validateRequired(value, label)
+    if (!requiredValidation.valid) return requiredValidation
+  }
+  for (const [value, label] of [[policy.effective_from, 'Effective from date'], [policy.effective_to, 'Effective to date']]) {
+    const dateValidation = validateDate(value, label)
+    if (!dateValidation.valid) return dateValidation
+  }
+  if (policy.effective_to && policy.effective_to < policy.effective_from) {
+    return { valid: false, error: 'Effective to date must be on or after the effective from date' }
+  }
+  return validatePolicyCategories(policy.categories)
+}
+
+// List incentive policies
+router.get('/policies', requireAuth, requirePermission('incentive.manage'), async (req, res) => {
+  try {
+    const policies = await q(`
+      FOR policy IN incentive_policies
+      FILTER policy.is_active != false
+      SORT policy.effective_from DESC
+      RETURN MERGE(UNSET(policy, '_id', '_rev'), { id: policy._key })
+    `)
+    res.json(policies)
+  } catch (error) {
+    console.error('Error fetching incentive policies:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Create incentive policy
+router.post('/policies', requireAuth, requirePermission('incentive.manage'), async (req, res) => {
+  try {
+    const { name, effective_from, effective_to = null, categories } = req.body || {}
+    const policy = { name, effective_from, effective_to, categories }
+
+    const validation = validatePolicy(policy)
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: validation.error })
+    }
+
+    const now = new Date().toISOString()
+    const result = await getCollection('incentive_policies').save({
+      ...policy,
+      is_active: true,
+      created_by: req.user.sub,
+      created_at: now,
+      updated_at: now
+    })
+    res.status(201).json({ id: result._key, message: 'Incentive policy created successfully' })
+  } catch (error) {
+    console.error('Error creating incentive policy:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Update incentive policy (approved runs keep the copy they were computed with)
+router.put('/policies/:id', requireAuth, requirePermission('incentive.manage'), async (req, res) => {
+  try {
+    const existing = await q(`
+      FOR policy IN incentive_policies
+      FILTER policy._key == @id AND policy.is_active != false
+      LIMIT 1
+      RETURN policy
+    `, { id: req.params.id })
+    if (!existing.length) return res.status(404).json({ error: 'not_found' })
+
+    const body = req.body || {}
+    const policy = Object.fromEntries(['name', 'effective_from', 'effective_to', 'categories'].map(field => [field, field in body ? body[field] : existing[0][field] ?? null]))
+
+    const validation = validatePolicy(policy)
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: validation.error })
+    }
+
+    await getCollection('incentive_policies').update(req.params.id, {
+      ...policy,
+      updated_by: req.user.sub,
+      updated_at: new Date().toISOString()
+    }, { mergeObjects: false })
+    res.json({ id: req.params.id, message: 'Incentive policy updated successfully' })
+  } catch (error) {
+    console.error('Error updating incentive policy:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Compute (or recompute) the run for a month
+router.post('/runs', requireAuth, requirePermission('incentive.manage'), async (req, res) => {
+  try {
+    const { period = previousPeriod() } = req.body || {}
+    if (!PERIOD_PATTERN.test(period)) {
+      return res.status(400).json({ error: 'validation_error', detail: 'Period must be in YYYY-MM format' })
+    }
+
+    const existing = await getRun(period)
+    if (existing?.locked) {
+      return res.status(409).json({ error: 'run_locked', detail: `The ${period} run was approved and can no longer be recomputed` })
+    }
+
+    const policy = await getPolicyForPeriod(period)
+    if (!policy) {
+      return res.status(400).json({ error: 'no_policy', detail: `No incentive policy is in effect for ${period}` })
+    }
+
+    const employees = await computeIncentives(period, policy)
+    const now = new Date().toISOString()
+    const run = {
+      _key: period,
+      period,
+      status: 'draft',
+      locked: false,
+      policy,
+      employees,
+      totals: runTotals(employees),
+      computed_by: req.user.sub,
+      computed_at: now
+    }
+
+    // A draft is replaced wholesale; a run approved meanwhile is written back unchanged
+    const saved = await q(`
+      UPSERT { _key: @period }
+      INSERT @run
+      REPLACE OLD.locked == true ? UNSET(OLD, '_id', '_rev') : @run
+      IN incentive_runs
+      OPTIONS { exclusive: true }
+      RETURN NEW.computed_at == @computedAt
+    `, { period, run, computedAt: now })
+
+    if (!saved[0]) {
+      return res.status(409).json({ error: 'run_locked', detail: `The ${period} run was approved and can no longer be recomputed` })
+    }
+
+    res.status(existing ? 200 : 201).json({ period, status: run.status, totals: run.totals })
+  } catch (error) {
+    console.error('Error computing incentive run:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// List runs
+router.get('/runs', requireAuth, requirePermission('incentive.manage'), async (req, res) => {
+  try {
+    const runs = await q(`
+      FOR run IN incentive_runs
+      SORT run.period DESC
+      RETURN KEEP(run, 'period', 'status', 'locked', 'totals', 'computed_by', 'computed_at', 'approved_by', 'approved_at')
+    `)
+    res.json(runs)
+  } catch (error) {
+    console.error('Error fetching incentive runs:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Get a run with every employee line
+router.get('/runs/:period', requireAuth, requirePermission('incentive.manage'), async (req, res) => {
+  try {
+    const run = await getRun(req.params.period)
+    if (!run) return res.status(404).json({ error: 'not_found' })
+    res.json(run)
+  } catch (error) {
+    console.error('Error fetching incentive run:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Approve and lock a run
+router.post('/runs/:period/approve', requireAuth, requirePermission('incentive.approve'), async (req, res) => {
+  try {
+    const approved = await q(`
+      FOR run IN incentive_runs
+      FILTER run._key == @period AND run.locked != true
+      UPDATE run WITH {
+        status: "approved",
+        locked: true,
+        approved_by: @userId,
+        approved_at: DATE_ISO8601(DATE_NOW())
+      } IN incentive_runs
+      RETURN NEW.totals
+    `, { period: req.params.period, userId: req.user.sub })
+
+    if (!approved.length) {
+      const run = await getRun(req.params.period)
+      return run
+        ? res.status(409).json({ error: 'run_locked', detail: 'Run is already approved' })
+        : res.status(404).json({ error: 'not_found' })
+    }
+    res.json({ period: req.params.period, status: 'approved', totals: approved[0] })
+  } catch (error) {
+    console.error('Error approving incentive run:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// My incentives: lines from recent runs plus a provisional figure for this month
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const empCode = req.user.emp_code
+    if (!empCode) {
+      return res.status(400).json({ error: 'emp_code_required', detail: 'Incentives are tracked per employee code' })
+    }
+
+    const runs = await q(`
+      FOR run IN incentive_runs
+      SORT run.period DESC
+      LIMIT 12
+      LET line = FIRST(FOR employee IN run.employees FILTER employee.emp_code == @empCode RETURN employee)
+      RETURN { period: run.period, status: run.status, locked: run.locked, line }
+    `, { empCode })
+
+    const period = currentPeriod()
+    const policy = await getPolicyForPeriod(period)
+    const provisional = policy ? (await computeIncentives(period, policy, { empCode }))[0] || null : null
+
+    res.json({
+      emp_code: empCode,
+      current: { period, status: 'provisional', line: provisional },
+      runs: runs.filter(run => run.line)
+    })
+  } catch (error) {
+    console.error('Error fetching my incentives:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Branch view for managers: the branch's employees in a month's run
+router.get('/branches/:branchCode', requireAuth, async (req, res) => {
+  try {
+    const { branchCode } = req.params
+    const { period = previousPeriod() } = req.query
+
+    // Regional managers may open any branch in their subtree, branch users their own branch
+    const viewableCodes = req.scope === 'region'
+      ? (await getUserBranchScope(req.user.sub)).branch_codes
+      : req.scope === 'branch' ? [req.user.branch_code] : []
+    const canView = req.scope === 'all' ||
+      viewableCodes.some(code => String(code || '').toLowerCase() === branchCode.toLowerCase())
+    if (!canView) {
+      return res.status(403).json({ error: 'branch_access_denied' })
+    }
+    if (!PERIOD_PATTERN.test(period)) {
+      return res.status(400).json({ error: 'validation_error', detail: 'Period must be in YYYY-MM format' })
+    }
+
+    // Without a run for the month the figures are computed on the fly and marked provisional
+    const run = await getRun(period)
+    let employees
+    let status
+    if (run) {
+      employees = run.employees.filter(employee => String(employee.branch_code || '').toUpperCase() === branchCode.toUpperCase())
+      status = run.status
+    } else {
+      const policy = await getPolicyForPeriod(period)
+      employees = policy ? await computeIncentives(period, policy, { branchCode }) : []
+      status = 'provisional'
+    }
+
+    res.json({ branch_code: branchCode, period, status, locked: !!run?.locked, totals: runTotals(employees), employees })
+  } catch (error) {
+    console.error('Error fetching branch incentives:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
@@ -1,7 +1,8 @@
 import express from 'express'
 import { q, getCollection } from '../config/database.js'
-import { requireAuth, requireRole } from '../middleware/auth.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
 import { uploadSingle } from '../middleware/upload.js'
+import { nextSequentialId } from '../utils/counters.js'
 
 const router = express.Router()
 
@@ -29,12 +30,7 @@ router.post('/', requireAuth, uploadSingle, async (req, res) => {
     }
 
     // Get the next issue ID
-    const maxIdResult = await q(`
-      FOR issue IN issues
-      COLLECT AGGREGATE maxId = MAX(issue.id)
-      RETURN maxId
-    `)
-    const nextId = (maxIdResult[0] || 0) + 1
+    const nextId = await nextSequentialId('issue_id', 'issues', 'id')
 
     const issueDoc = {
       id: nextId,
@@ -80,8 +76,8 @@ router.post('/', requireAuth, uploadSingle, async (req, res) => {
   }
 })
 
-// Get all issues (admin only)
-router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
+// Get all issues (issue.manage)
+router.get('/', requireAuth, requirePermission('issue.manage'), async (req, res) => {
   try {
     const {
       page = '1',
@@ -164,8 +160,8 @@ router.get('/:id', requireAuth, async (req, res) => {
     
     const issue = issues[0]
     
-    // Check if user can access this issue (admin or creator)
-    if (req.user.role !== 'admin' && issue.created_by !== req.user.sub) {
+    // Check if user can access this issue (issue.manage or creator)
+    if (!req.permissions.has('issue.manage') && issue.created_by !== req.user.sub) {
       return res.status(403).json({ error: 'forbidden', detail: 'Access denied' })
     }
     
@@ -176,8 +172,8 @@ router.get('/:id', requireAuth, async (req, res) => {
   }
 })
 
-// Update issue status (admin only)
-router.patch('/:id/status', requireAuth, requireRole('admin'), async (req, res) => {
+// Update issue status (issue.manage)
+router.patch('/:id/status', requireAuth, requirePermission('issue.manage'), async (req, res) => {
   try {
     const { id } = req.params
     const { status } = req.body || {}
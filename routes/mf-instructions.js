@@ -0,0 +1,316 @@
+import express from 'express'
+import { q, getCollection, getUserBranch, getUserBranchScope } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { validateDate, validatePositiveNumber } from '../utils/validators.js'
+import { buildSchedule, currentStatus, normalizeFrequency, upcomingInstalments } from '../utils/mf-instructions.js'
+import { isReceiptInScope } from '../utils/receipt-workflow.js'
+
+const router = express.Router()
+
+const todayDate = () => new Date().toISOString().slice(0, 10)
+
+// Drop the full schedule from list payloads and add the derived status
+const summarize = (instruction, today, upcoming = 3) => {
+  const { schedule, events, _id, _rev, ...rest } = instruction
+  return {
+    ...rest,
+    status: currentStatus(instruction, today),
+    upcoming_installments: upcomingInstalments(instruction, today, upcoming)
+  }
+}
+
+// Load an instruction the caller may change, or send the error response
+const loadInstruction = async (req, res) => {
+  const rows = await q(`
+    FOR instruction IN mf_instructions
+    FILTER instruction._key == @id
+    LIMIT 1
+    RETURN instruction
+  `, { id: req.params.id })
+
+  if (!rows.length) {
+    res.status(404).json({ error: 'not_found' })
+    return null
+  }
+
+  const instruction = rows[0]
+  // Instructions carry the receipt's branch and user_id, so the receipt scope rules apply
+  const isOwner = String(instruction.user_id) === String(req.user.sub)
+  if (!(isOwner || await isReceiptInScope(instruction, req.user, req.scope))) {
+    res.status(403).json({ error: 'forbidden' })
+    return null
+  }
+  return instruction
+}
+
+// Save a changed instruction with an event appended
+const saveInstruction = async (instruction, changes, event, user) => {
+  const now = new Date().toISOString()
+  const updated = { ...instruction, ...changes }
+  updated.schedule_until = updated.schedule?.length ? updated.schedule[updated.schedule.length - 1].due_date : null
+
+  await getCollection('mf_instructions').update(instruction._key, {
+    ...changes,
+    schedule_until: updated.schedule_until,
+    updated_at: now,
+    events: [...(instruction.events || []), { ...event, at: now, by: user.sub }]
+  })
+  return updated
+}
+
+// Live SIP/STP/SWP book with totals per branch and type
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { type, status = 'active', branch, page = '1', size = '50' } = req.query
+    const today = todayDate()
+
+    const filterConditions = []
+    const bindVars = {}
+
+    // Employees see their own instructions, managers their branch subtree, branch users their branch,
+    // roles covering all branches everything
+    if (req.scope === 'own') {
+      filterConditions.push('instruction.user_id == @user_id')
+      bindVars.user_id = req.user.sub
+    } else if (req.scope === 'region') {
+      filterConditions.push('UPPER(instruction.branch) IN @branches')
+      bindVars.branches = (await getUserBranchScope(req.user.sub)).receipt_branches
+      if (!bindVars.branches.length) return res.status(403).json({ error: 'no_branch', detail: 'No branch on this login' })
+    } else if (req.scope !== 'all') {
+      filterConditions.push('instruction.branch == @branch')
+      bindVars.branch = req.user.branch || await getUserBranch(req.user.sub)
+      if (!bindVars.branch) return res.status(403).json({ error: 'no_branch', detail: 'No branch on this login' })
+    } else if (branch) {
+      filterConditions.push('instruction.branch == @branch')
+      bindVars.branch = branch
+    }
+    if (type) {
+      filterConditions.push('instruction.type == @type')
+      bindVars.type = String(type).toUpperCase()
+    }
+
+    const rows = await q(`
+      FOR instruction IN mf_instructions
+      ${filterConditions.length ? `FILTER ${filterConditions.join(' AND ')}` : ''}
+      SORT instruction.created_at DESC
+      RETURN instruction
+    `, bindVars)
+
+    // Status is derived (pauses lapse, schedules run out), so it is filtered here
+    const matching = rows
+      .map(instruction => summarize(instruction, today))
+      .filter(instruction => status === 'all' || instruction.status === status)
+
+    const summary = new Map()
+    for (const instruction of matching) {
+      const key = `${instruction.branch}|${instruction.type}`
+      if (!summary.has(key)) {
+        summary.set(key, { branch: instruction.branch, type: instruction.type, count: 0, installment_amount: 0 })
+      }
+      const group = summary.get(key)
+      group.count += 1
+      group.installment_amount += instruction.amount || 0
+    }
+
+    const p = Math.max(1, parseInt(page, 10) || 1)
+    const s = Math.min(200, Math.max(1, parseInt(size, 10) || 50))
+
+    res.json({
+      total: matching.length,
+      page: p,
+      size: s,
+      summary: [...summary.values()].sort((a, b) => b.installment_amount - a.installment_amount),
+      items: matching.slice((p - 1) * s, p * s)
+    })
+  } catch (error) {
+    console.error('Error fetching instructions:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Get an instruction with its full schedule
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const instruction = await loadInstruction(req, res)
+    if (!instruction) return
+
+    const { _id, _rev, ...rest } = instruction
+    res.json({ ...rest, status: currentStatus(instruction, todayDate()) })
+  } catch (error) {
+    console.error('Error fetching instruction:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Modify amount, frequency or end of an instruction from an effective date
+router.patch('/:id', requireAuth, requirePermission('instruction.manage'), async (req, res) => {
+  try {
+    const { amount, frequency, end_date, installments_count, effective_date = todayDate() } = req.body || {}
+
+    const instruction = await loadInstruction(req, res)
+    if (!instruction) return
+    if (instruction.status === 'cancelled') {
+      return res.status(409).json({ error: 'instruction_cancelled', detail: 'A cancelled instruction cannot be modified' })
+    }
+
+    const effectiveValidation = validateDate(effective_date, 'Effective date', true)
+    if (!effectiveValidation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: effectiveValidation.error })
+    }
+
+    const changes = {}
+    if (amount !== undefined) {
+      const amountValidation = validatePositiveNumber(amount, 'Amount', true)
+      if (!amountValidation.valid) {
+        return res.status(400).json({ error: 'validation_error', detail: amountValidation.error })
+      }
+      changes.amount = amountValidation.value
+    }
+    if (frequency !== undefined) {
+      if (!normalizeFrequency(frequency)) {
+        return res.status(400).json({ error: 'validation_error', detail: 'Frequency must be daily, weekly, fortnightly, monthly, quarterly, half-yearly or annual' })
+      }
+      changes.frequency = frequency
+    }
+    if (end_date !== undefined) {
+      if (end_date !== null) {
+        const endValidation = validateDate(end_date, 'End date', true)
+        if (!endValidation.valid) {
+          return res.status(400).json({ error: 'validation_error', detail: endValidation.error })
+        }
+      }
+      changes.end_date = end_date
+    }
+    if (installments_count !== undefined) {
+      if (installments_count !== null) {
+        const countValidation = validatePositiveNumber(installments_count, 'Number of instalments', true)
+        if (!countValidation.valid) {
+          return res.status(400).json({ error: 'validation_error', detail: countValidation.error })
+        }
+      }
+      changes.installments_count = installments_count === null ? null : Math.floor(Number(installments_count))
+    }
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ error: 'no_changes', detail: 'Provide amount, frequency, end_date or installments_count' })
+    }
+
+    const modified = { ...instruction, ...changes }
+    modified.is_perpetual = !modified.end_date && !modified.installments_count
+    changes.is_perpetual = modified.is_perpetual
+
+    // Instalments before the effective date stay as they were
+    changes.schedule = buildSchedule(modified, todayDate(), effective_date)
+
+    const before = Object.fromEntries(Object.keys(changes).filter(k => k !== 'schedule').map(k => [k, instruction[k] ?? null]))
+    const saved = await saveInstruction(instruction, changes, { action: 'modified', effective_date, before }, req.user)
+
+    res.json(summarize(saved, todayDate(), 6))
+  } catch (error) {
+    console.error('Error modifying instruction:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Pause instalments between two dates (open-ended without `until`)
+router.post('/:id/pause', requireAuth, requirePermission('instruction.manage'), async (req, res) => {
+  try {
+    const { from = todayDate(), until = null, reason = null } = req.body || {}
+
+    for (const [value, label, required] of [[from, 'Pause from date', true], [until, 'Pause until date', false]]) {
+      const dateValidation = validateDate(value, label, required)
+      if (!dateValidation.valid) {
+        return res.status(400).json({ error: 'validation_error', detail: dateValidation.error })
+      }
+    }
+    if (until && until < from) {
+      return res.status(400).json({ error: 'validation_error', detail: 'Pause until date must be on or after the from date' })
+    }
+
+    const instruction = await loadInstruction(req, res)
+    if (!instruction) return
+    if (instruction.status === 'cancelled') {
+      return res.status(409).json({ error: 'instruction_cancelled', detail: 'A cancelled instruction cannot be paused' })
+    }
+
+    // Re-open instalments of an earlier pause before applying the new one
+    const schedule = instruction.schedule.map(item => (item.status === 'paused' ? { ...item, status: 'scheduled' } : item))
+    const changes = {
+      status: 'paused',
+      paused_from: from,
+      paused_until: until,
+      schedule: schedule.map(item => (
+        item.status === 'scheduled' && item.due_date >= from && (!until || item.due_date <= until)
+          ? { ...item, status: 'paused' }
+          : item
+      ))
+    }
+
+    const saved = await saveInstruction(instruction, changes, { action: 'paused', from, until, reason }, req.user)
+    res.json(summarize(saved, todayDate(), 6))
+  } catch (error) {
+    console.error('Error pausing instruction:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Resume a paused instruction; instalments still ahead are scheduled again
+router.post('/:id/resume', requireAuth, requirePermission('instruction.manage'), async (req, res) => {
+  try {
+    const instruction = await loadInstruction(req, res)
+    if (!instruction) return
+    if (instruction.status !== 'paused') {
+      return res.status(409).json({ error: 'not_paused', detail: 'Only a paused instruction can be resumed' })
+    }
+
+    const today = todayDate()
+    const changes = {
+      status: 'active',
+      paused_from: null,
+      paused_until: null,
+      schedule: instruction.schedule.map(item => (
+        item.status === 'paused' && item.due_date >= today ? { ...item, status: 'scheduled' } : item
+      ))
+    }
+
+    const saved = await saveInstruction(instruction, changes, { action: 'resumed' }, req.user)
+    res.json(summarize(saved, today, 6))
+  } catch (error) {
+    console.error('Error resuming instruction:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Cancel an instruction from an effective date
+router.post('/:id/cancel', requireAuth, requirePermission('instruction.manage'), async (req, res) => {
+  try {
+    const { effective_date = todayDate(), reason = null } = req.body || {}
+
+    const dateValidation = validateDate(effective_date, 'Effective date', true)
+    if (!dateValidation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: dateValidation.error })
+    }
+
+    const instruction = await loadInstruction(req, res)
+    if (!instruction) return
+    if (instruction.status === 'cancelled') {
+      return res.status(409).json({ error: 'instruction_cancelled', detail: 'Instruction is already cancelled' })
+    }
+
+    const changes = {
+      status: 'cancelled',
+      cancelled_from: effective_date,
+      cancel_reason: reason,
+      schedule: instruction.schedule.map(item => (
+        item.due_date >= effective_date ? { ...item, status: 'cancelled' } : item
+      ))
+    }
+
+    const saved = await saveInstruction(instruction, changes, { action: 'cancelled', effective_date, reason }, req.user)
+    res.json(summarize(saved, todayDate(), 6))
+  } catch (error) {
+    console.error('Error cancelling instruction:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
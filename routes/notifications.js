@@ -0,0 +1,46 @@
+import express from 'express'
+import { q } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// The current user's notifications, newest first
+router.get('/', requireAuth, requirePermission('notification.view'), async (req, res) => {
+  try {
+    const { unread = '0', limit = 50 } = req.query
+
+    const notifications = await q(`
+      FOR notification IN notifications
+      FILTER notification.user_id == @userId
+      ${unread === '1' ? 'FILTER notification.read_at == null' : ''}
+      SORT notification.created_at DESC
+      LIMIT @limit
+      RETURN MERGE(UNSET(notification, '_id', '_rev'), { id: notification._key })
+    `, { userId: String(req.user.sub), limit: Math.min(200, Math.max(1, parseInt(limit, 10) || 50)) })
+
+    res.json(notifications)
+  } catch (error) {
+    console.error('Error fetching notifications:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Mark a notification as read
+router.post('/:id/read', requireAuth, requirePermission('notification.view'), async (req, res) => {
+  try {
+    const updated = await q(`
+      FOR notification IN notifications
+      FILTER notification._key == @id AND notification.user_id == @userId
+      UPDATE notification WITH { read_at: NOT_NULL(notification.read_at, DATE_ISO8601(DATE_NOW())) } IN notifications
+      RETURN NEW._key
+    `, { id: req.params.id, userId: String(req.user.sub) })
+
+    if (!updated.length) return res.status(404).json({ error: 'not_found' })
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error marking notification read:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
@@ -2,13 +2,13 @@ import express from 'express'
 import fs from 'fs'
 import path from 'path'
 import { q } from '../config/database.js'
-import { requireAuth } from '../middleware/auth.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
 import { uploadMultiple, uploadsDir } from '../middleware/upload.js'
 
 const router = express.Router()
 
 // Upload media for receipt
-router.post('/:id/media', requireAuth, uploadMultiple, async (req, res) => {
+router.post('/:id/media', requireAuth, requirePermission('receipt.media'), uploadMultiple, async (req, res) => {
   try {
     const receiptId = req.params.id
     
@@ -24,7 +24,7 @@ router.post('/:id/media', requireAuth, uploadMultiple, async (req, res) => {
     }
     
     const receipt = receiptRows[0]
-    if (!(req.user.role === 'admin' || String(receipt.user_id) === String(req.user.sub))) {
+    if (!(req.permissions.has('receipt.edit_any') || String(receipt.user_id) === String(req.user.sub))) {
       return res.status(403).json({ error: 'forbidden' })
     }
     
@@ -83,7 +83,7 @@ router.post('/:id/media', requireAuth, uploadMultiple, async (req, res) => {
 })
 
 // List media for receipt
-router.get('/:id/media', requireAuth, async (req, res) => {
+router.get('/:id/media', requireAuth, requirePermission('receipt.media'), async (req, res) => {
   try {
     const receiptId = req.params.id
     
@@ -99,7 +99,7 @@ router.get('/:id/media', requireAuth, async (req, res) => {
     }
     
     const receipt = receiptRows[0]
-    if (!(req.user.role === 'admin' || String(receipt.user_id) === String(req.user.sub))) {
+    if (!(req.scope === 'all' || String(receipt.user_id) === String(req.user.sub))) {
       return res.status(403).json({ error: 'forbidden' })
     }
     
@@ -139,7 +139,7 @@ router.get('/:id/media', requireAuth, async (req, res) => {
 })
 
 // Download media file
-router.get('/:id/media/:mediaId', requireAuth, async (req, res) => {
+router.get('/:id/media/:mediaId', requireAuth, requirePermission('receipt.media'), async (req, res) => {
   try {
     const receiptId = req.params.id
     const mediaId = req.params.mediaId // Keep as string since it's generated as timestamp + random
@@ -156,7 +156,7 @@ router.get('/:id/media/:mediaId', requireAuth, async (req, res) => {
     }
     
     const receipt = receiptRows[0]
-    if (!(req.user.role === 'admin' || String(receipt.user_id) === String(req.user.sub))) {
+    if (!(req.scope === 'all' || String(receipt.user_id) === String(req.user.sub))) {
       return res.status(403).json({ error: 'forbidden' })
     }
     
@@ -199,7 +199,7 @@ router.get('/:id/media/:mediaId', requireAuth, async (req, res) => {
 })
 
 // Delete media file
-router.delete('/:id/media/:mediaId', requireAuth, async (req, res) => {
+router.delete('/:id/media/:mediaId', requireAuth, requirePermission('receipt.media'), async (req, res) => {
   try {
     const receiptId = req.params.id
     const mediaId = req.params.mediaId // Keep as string since it's generated as timestamp + random
@@ -216,7 +216,7 @@ router.delete('/:id/media/:mediaId', requireAuth, async (req, res) => {
     }
     
     const receipt = receiptRows[0]
-    if (!(req.user.role === 'admin' || String(receipt.user_id) === String(req.user.sub))) {
+    if (!(req.permissions.has('receipt.edit_any') || String(receipt.user_id) === String(req.user.sub))) {
       return res.status(403).json({ error: 'forbidden' })
     }
     
@@ -1,10 +1,25 @@
 import express from 'express'
 import PDFDocument from 'pdfkit'
 import { q, getCollection } from '../config/database.js'
-import { requireAuth } from '../middleware/auth.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
 
 const router = express.Router()
 
+// Branded header box shared by receipts and statements
+const drawBrandHeader = (doc) => {
+  doc.rect(40, 40, 515, 80).strokeColor('#dc2626').lineWidth(2).stroke()
+  doc.fontSize(32).font('Helvetica-Bold').fillColor('#dc2626').text('ECS FINANCIAL', 60, 55)
+  doc.fontSize(11).font('Helvetica').fillColor('#666').text('AMFI Registered Mutual Fund Distributor', 60, 85)
+}
+
+const formatINR = (value) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 2
+}).format(Number(value) || 0)
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN') : '-')
+
 // Generate professional receipt PDF
 export function generateReceiptPDF(receipt) {
   return new Promise((resolve, reject) => {
@@ -42,9 +57,7 @@ export function generateReceiptPDF(receipt) {
       }
       
       // Header Section with Box
-      doc.rect(40, 40, 515, 80).strokeColor('#dc2626').lineWidth(2).stroke()
-      doc.fontSize(32).font('Helvetica-Bold').fillColor('#dc2626').text('ECS FINANCIAL', 60, 55)
-      doc.fontSize(11).font('Helvetica').fillColor('#666').text('AMFI Registered Mutual Fund Distributor', 60, 85)
+      drawBrandHeader(doc)
       
       // Receipt Number and Date (Right Aligned in header box)
       const receiptNo = receipt.receipt_no || receipt.receiptNo || 'N/A'
@@ -276,6 +289,186 @@ export function generateReceiptPDF(receipt) {
   })
 }
 
+// Generate consolidated customer statement PDF
+// `receipts` are the customer's Completed receipts in the period, `maturities` the FD
+// maturities falling in the period and `portfolio` the output of buildPortfolio()
+export function generateStatementPDF({ customer, receipts, maturities, portfolio, from, to }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true })
+    const buffers = []
+    
+    doc.on('data', buffers.push.bind(buffers))
+    doc.on('end', () => resolve(Buffer.concat(buffers)))
+    doc.on('error', reject)
+    
+    try {
+      const pageBottom = 770
+      let yPos = 0
+      
+      // Start a new page when the next block would not fit
+      const ensureSpace = (height) => {
+        if (yPos + height > pageBottom) {
+          doc.addPage()
+          yPos = 50
+        }
+      }
+      
+      const addSectionHeader = (title) => {
+        ensureSpace(50)
+        doc.fontSize(14).font('Helvetica-Bold').fillColor('#dc2626').text(title, 50, yPos)
+        const textWidth = doc.widthOfString(title)
+        doc.moveTo(50, yPos + 15).lineTo(50 + textWidth, yPos + 15).strokeColor('#dc2626').lineWidth(2).stroke()
+        yPos += 30
+      }
+      
+      // Table row; columns are [text, x, width, align]
+      const addRow = (columns, { bold = false, color = '#000' } = {}) => {
+        ensureSpace(18)
+        doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(color)
+        const heights = columns.map(([text, , width]) => doc.heightOfString(String(text ?? '-'), { width }))
+        columns.forEach(([text, x, width, align = 'left']) => {
+          doc.text(String(text ?? '-'), x, yPos, { width, align })
+        })
+        yPos += Math.max(14, ...heights) + 4
+      }
+      
+      const addRule = () => {
+        doc.moveTo(50, yPos).lineTo(545, yPos).strokeColor('#ddd').lineWidth(1).stroke()
+        yPos += 6
+      }
+      
+      // Header
+      drawBrandHeader(doc)
+      doc.fontSize(14).font('Helvetica-Bold').fillColor('#000').text('Consolidated Statement', 340, 60, { align: 'right', width: 200 })
+      doc.fontSize(10).font('Helvetica').fillColor('#666').text(`${formatDate(from)} to ${formatDate(to)}`, 340, 80, { align: 'right', width: 200 })
+      yPos = 150
+      
+      // Investor details
+      addSectionHeader('INVESTOR INFORMATION')
+      addRow([['Investor ID', 60, 120], [customer.investor_id, 180, 360]])
+      addRow([['Name', 60, 120], [customer.name, 180, 360]])
+      if (customer.pan) addRow([['PAN', 60, 120], [customer.pan, 180, 360]])
+      const address = [customer.address1, customer.address2, customer.address3, customer.city, customer.state, customer.pin].filter(Boolean).join(', ')
+      if (address) addRow([['Address', 60, 120], [address, 180, 360]])
+      yPos += 15
+      
+      // Transactions grouped by category with subtotals
+      addSectionHeader('TRANSACTIONS IN PERIOD')
+      const tableHeader = () => {
+        addRow([
+          ['Date', 50, 60], ['Receipt No', 110, 110], ['Scheme / Issuer', 220, 200], ['Mode', 420, 55], ['Amount', 475, 70, 'right']
+        ], { bold: true, color: '#666' })
+        addRule()
+      }
+      
+      if (!receipts.length) {
+        addRow([['No completed transactions in this period.', 60, 480]], { color: '#666' })
+      }
+      
+      const byCategory = new Map()
+      receipts.forEach(receipt => {
+        const category = receipt.product_category || 'OTHER'
+        if (!byCategory.has(category)) byCategory.set(category, [])
+        byCategory.get(category).push(receipt)
+      })
+      
+      let grandTotal = 0
+      for (const [category, rows] of byCategory) {
+        ensureSpace(60)
+        doc.fontSize(11).font('Helvetica-Bold').fillColor('#dc2626').text(category, 50, yPos)
+        yPos += 18
+        tableHeader()
+        
+        let subtotal = 0
+        rows.forEach(receipt => {
+          const amount = Number(receipt.investment_amount || receipt.fd_deposit_amount) || 0
+          subtotal += amount
+          addRow([
+            [formatDate(receipt.date), 50, 60],
+            [receipt.receipt_no, 110, 110],
+            [receipt.scheme_name || receipt.fd_scheme_name || receipt.fd_issuer_name || receipt.issuer_company, 220, 200],
+            [receipt.transaction_type || receipt.mode, 420, 55],
+            [formatINR(amount), 475, 70, 'right']
+          ])
+        })
+        grandTotal += subtotal
+        
+        addRule()
+        addRow([[`Subtotal ${category} (${rows.length})`, 220, 200], [formatINR(subtotal), 425, 120, 'right']], { bold: true })
+        yPos += 10
+      }
+      
+      if (receipts.length) {
+        addRow([['Total invested in period', 220, 200], [formatINR(grandTotal), 425, 120, 'right']], { bold: true, color: '#dc2626' })
+      }
+      yPos += 15
+      
+      // FD maturities in the period
+      addSectionHeader('FD MATURITIES IN PERIOD')
+      if (!maturities.length) {
+        addRow([['No fixed deposits mature in this period.', 60, 480]], { color: '#666' })
+      } else {
+        addRow([
+          ['Maturity', 50, 60], ['Issuer', 110, 150], ['Scheme', 260, 140], ['Deposit', 400, 70, 'right'], ['Maturity Amt', 470, 75, 'right']
+        ], { bold: true, color: '#666' })
+        addRule()
+        maturities.forEach(m => {
+          addRow([
+            [formatDate(m.fd_maturity_date || m.renewal_due_date), 50, 60],
+            [m.fd_issuer_name || m.issuer_company, 110, 150],
+            [m.fd_scheme_name || m.scheme_name, 260, 140],
+            [formatINR(m.fd_deposit_amount || m.investment_amount), 400, 70, 'right'],
+            [m.fd_maturity_amount || m.maturity_amount ? formatINR(m.fd_maturity_amount || m.maturity_amount) : '-', 470, 75, 'right']
+          ])
+        })
+      }
+      yPos += 15
+      
+      // Holdings summary as at the end of the period
+      addSectionHeader(`HOLDINGS SUMMARY AS ON ${formatDate(to)}`)
+      if (!portfolio.categories.length) {
+        addRow([['No holdings.', 60, 480]], { color: '#666' })
+      } else {
+        addRow([['Category', 50, 120], ['Holdings', 170, 80, 'right'], ['Active SIP/STP/SWP', 250, 120, 'right'], ['Invested', 425, 120, 'right']], { bold: true, color: '#666' })
+        addRule()
+        portfolio.categories.forEach(group => {
+          addRow([
+            [group.category, 50, 120],
+            [group.holdings.length, 170, 80, 'right'],
+            [group.active_instructions.length, 250, 120, 'right'],
+            [formatINR(group.invested), 425, 120, 'right']
+          ])
+        })
+        addRule()
+        addRow([['Total', 50, 120], [formatINR(portfolio.total_invested), 425, 120, 'right']], { bold: true })
+      }
+      
+      // Notes
+      yPos += 20
+      ensureSpace(60)
+      doc.fontSize(8).font('Helvetica').fillColor('#666')
+      doc.text('• This is a system generated statement based on receipts recorded with ECS Financial.', 60, yPos)
+      yPos += 12
+      doc.text('• Values are amounts invested and do not reflect current market value.', 60, yPos)
+      yPos += 12
+      doc.text('• For any queries, please contact your relationship manager.', 60, yPos)
+      
+      // Page numbers
+      const range = doc.bufferedPageRange()
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i)
+        doc.page.margins.bottom = 0 // let the footer sit below the content area
+        doc.fontSize(8).font('Helvetica').fillColor('#999')
+          .text(`Page ${i + 1} of ${range.count}`, 50, 800, { width: 495, align: 'center', lineBreak: false })
+      }
+      
+      doc.end()
+    } catch (error) {
+      reject(error)
+    }
+  })
+}
+
 // Generate or get receipt PDF
 router.get('/:id/pdf', requireAuth, async (req, res) => {
   try {
@@ -296,18 +489,18 @@ router.get('/:id/pdf', requireAuth, async (req, res) => {
     const receipt = receiptRows[0]
     
     // Check permissions
-    if (!(req.user.role === 'admin' || String(receipt.user_id) === String(req.user.sub))) {
+    if (!(req.scope === 'all' || String(receipt.user_id) === String(req.user.sub))) {
       return res.status(403).json({ error: 'forbidden' })
     }
     
     let pdfBuffer
     
-    // Check if PDF already exists in database
-    if (receipt.pdf_data) {
+    // Check if an up-to-date PDF already exists in database
+    if (receipt.pdf_data && !receipt.pdf_stale) {
       // PDF exists, convert from base64
       pdfBuffer = Buffer.from(receipt.pdf_data, 'base64')
     } else {
-      // PDF doesn't exist, generate it
+      // PDF doesn't exist or the receipt was edited since, generate it
       pdfBuffer = await generateReceiptPDF(receipt)
       
       // Store PDF in database as base64
@@ -315,7 +508,8 @@ router.get('/:id/pdf', requireAuth, async (req, res) => {
       
       await receiptsCollection.update(receiptId, {
         pdf_data: pdfBuffer.toString('base64'),
-        pdf_generated_at: new Date().toISOString()
+        pdf_generated_at: new Date().toISOString(),
+        pdf_stale: false
       })
     }
     
@@ -333,14 +527,9 @@ router.get('/:id/pdf', requireAuth, async (req, res) => {
   }
 })
 
-// Generate PDFs for all existing receipts (Admin only)
-router.post('/generate-pdfs', requireAuth, async (req, res) => {
+// Generate PDFs for all existing receipts (receipt.edit_any)
+router.post('/generate-pdfs', requireAuth, requirePermission('receipt.edit_any'), async (req, res) => {
   try {
-    // Only admins can access this
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'admin_only' })
-    }
-    
     const { limit = 100 } = req.body
     
     // Get all receipts
@@ -369,15 +558,10 @@ router.post('/generate-pdfs', requireAuth, async (req, res) => {
 })
 
 // Generate PDF for a specific receipt (for testing/setup)
-router.post('/:id/generate-pdf', requireAuth, async (req, res) => {
+router.post('/:id/generate-pdf', requireAuth, requirePermission('receipt.edit_any'), async (req, res) => {
   try {
     const receiptId = req.params.id
     
-    // Only admins can access this
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'admin_only' })
-    }
-    
     // Get receipt
     const receiptRows = await q(`
       FOR receipt IN receipts
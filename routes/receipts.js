@@ -1,25 +1,37 @@
 import express from 'express'
 import fs from 'fs'
 import path from 'path'
-import { q, getCollection } from '../config/database.js'
-import { requireAuth, requireRole } from '../middleware/auth.js'
+import { q, getCollection, getUserBranchScope } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
 import { uploadMultiple, uploadsDir } from '../middleware/upload.js'
+import { idempotent } from '../middleware/idempotency.js'
 import { validateRequired, validatePositiveNumber, validateDate } from '../utils/validators.js'
+import { PENDING_STATUSES, EDITABLE_STATUSES, normalizeReceiptStatus, checkTransition, recordStatusChange, getStatusHistory, isReceiptInScope } from '../utils/receipt-workflow.js'
+import { allocateReceiptNo, listReceiptSequences, resetReceiptSequence, highestIssuedSeq } from '../utils/receipt-numbers.js'
+import { createInstructionForReceipt } from '../utils/mf-instructions.js'
+import { scheduleBranchStatsRefresh } from '../utils/branch-stats.js'
 
 const router = express.Router()
 
+// Per-field before/after for the fields an edit actually changes
+const diffFields = (receipt, updates) => {
+  const changes = {}
+  for (const [field, value] of Object.entries(updates)) {
+    const before = receipt[field] ?? null
+    const after = value ?? null
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes[field] = { before, after }
+    }
+  }
+  return changes
+}
+
 // Create new receipt
-router.post('/', requireAuth, uploadMultiple, async (req, res) => {
+router.post('/', requireAuth, uploadMultiple, idempotent('receipts'), async (req, res) => {
   try {
     const d = req.body || {}
     const today = new Date().toISOString().slice(0,10)
 
-    // Validate required fields
-    const receiptNoValidation = validateRequired(d.receiptNo || d.receipt_no, 'Receipt number')
-    if (!receiptNoValidation.valid) {
-      return res.status(400).json({ error: 'validation_error', detail: receiptNoValidation.error })
-    }
-
     // Validate investor ID
     const investorIdValidation = validateRequired(d.investorId || d.investor_id, 'Investor ID')
     if (!investorIdValidation.valid) {
@@ -94,11 +106,32 @@ router.post('/', requireAuth, uploadMultiple, async (req, res) => {
     }
 
     // Replace placeholders if needed
-    const receiptNo = (d.receiptNo || '').replace('{{today}}', today)
     const date = d.date === '{{today}}' ? today : d.date || null
 
+    // Receipt numbers come from the branch's sequence for the current financial year
+    let branchCode = req.user.branch_code
+    if (!branchCode && d.branch) {
+      const branchRows = await q(`
+        FOR branch IN branches
+        FILTER LOWER(branch.branch_name) == LOWER(@branch)
+        LIMIT 1
+        RETURN branch.branch_code
+      `, { branch: d.branch })
+      branchCode = branchRows[0]
+    }
+    if (!branchCode) {
+      return res.status(400).json({ error: 'validation_error', detail: 'Branch is required to allocate a receipt number' })
+    }
+    const receiptNumber = await allocateReceiptNo(branchCode)
+
+    // Receipts go straight to the branch for verification unless saved as a draft
+    const initialStatus = d.status === 'Draft' ? 'Draft' : 'Submitted'
+
     const receiptDoc = {
-      receipt_no: receiptNo,
+      receipt_no: receiptNumber.receipt_no,
+      receipt_seq: receiptNumber.receipt_seq,
+      receipt_fy: receiptNumber.receipt_fy,
+      receipt_branch_code: receiptNumber.receipt_branch_code,
       date: date,
       branch: d.branch || null,
       employee_name: d.employeeName || d.employee_name || null,
@@ -195,13 +228,14 @@ router.post('/', requireAuth, uploadMultiple, async (req, res) => {
       fd_deposit_date: d.fd_deposit_date || null,
       fd_tds_applicable: d.fd_tds_applicable || null,
       fd_form_15g_15h: d.fd_form_15g_15h || null,
-      status: 'Pending', // Default status for new receipts
+      status: initialStatus,
       is_deleted: false,
       created_at: new Date().toISOString()
     }
 
     const result = await getCollection('receipts').save(receiptDoc)
     const receiptId = result._key
+    await recordStatusChange(receiptId, null, initialStatus, req.user)
 
     // Handle file uploads if any
     let uploadedFiles = []
@@ -239,8 +273,11 @@ router.post('/', requireAuth, uploadMultiple, async (req, res) => {
       // Don't fail the receipt creation if PDF generation fails
     }
 
+    scheduleBranchStatsRefresh()
+    
     res.status(201).json({ 
       id: receiptId,
+      receipt_no: receiptDoc.receipt_no,
       files: uploadedFiles
     })
   } catch (e) {
@@ -313,13 +350,14 @@ router.get('/', requireAuth, async (req, res) => {
       bindVars.category = category
     }
     if (status) {
-      // Handle status filtering - treat null/undefined as 'Pending'
+      // 'Pending' covers legacy receipts without a status and every open workflow step
       if (status === 'Pending') {
-        filterConditions.push('(receipt.status == null || receipt.status == @status)')
+        filterConditions.push('(receipt.status == null || receipt.status IN @status)')
+        bindVars.status = PENDING_STATUSES
       } else {
         filterConditions.push('receipt.status == @status')
+        bindVars.status = status
       }
-      bindVars.status = status
     }
     if (mode) {
       filterConditions.push('receipt.mode == @mode')
@@ -330,7 +368,7 @@ router.get('/', requireAuth, async (req, res) => {
       bindVars.issuer = `%${issuer}%`
     }
 
-    if (req.user.role === 'employee') {
+    if (req.scope === 'own') {
       filterConditions.push('receipt.user_id == @user_id')
       bindVars.user_id = req.user.sub
     } else if (emp_code) {
@@ -338,8 +376,15 @@ router.get('/', requireAuth, async (req, res) => {
       bindVars.emp_code = emp_code
     }
 
-    // only admins can include deleted
-    if (!(req.user.role === 'admin' && includeDeleted === '1')) {
+    // Regional roles (managers) see their branch and the branches below it
+    if (req.scope === 'region') {
+      const branchScope = await getUserBranchScope(req.user.sub)
+      filterConditions.push('UPPER(receipt.branch) IN @scopeBranches')
+      bindVars.scopeBranches = branchScope.receipt_branches
+    }
+
+    // only roles with receipt.view_deleted can include deleted
+    if (!(req.permissions.has('receipt.view_deleted') && includeDeleted === '1')) {
       filterConditions.push('receipt.is_deleted == false')
     }
 
@@ -400,11 +445,11 @@ router.get('/emp/:empCode', requireAuth, async (req, res) => {
     } = req.query
 
     const requestedEmpCode = req.params.empCode
-    const isAdmin = req.user.role === 'admin'
+    const seesAllBranches = req.scope === 'all'
     const authedEmpCode = req.user.emp_code
 
-    // Role guard: employees can only access their own emp_code
-    if (!isAdmin && requestedEmpCode !== authedEmpCode) {
+    // Role guard: unless the role covers all branches, only the user's own emp_code
+    if (!seesAllBranches && requestedEmpCode !== authedEmpCode) {
       return res.status(403).json({ error: 'forbidden' })
     }
 
@@ -444,13 +489,14 @@ router.get('/emp/:empCode', requireAuth, async (req, res) => {
 
     // Status filter
     if (status) {
-      // Handle status filtering - treat null/undefined as 'Pending'
+      // 'Pending' covers legacy receipts without a status and every open workflow step
       if (status === 'Pending') {
-        filterConditions.push('(receipt.status == null || receipt.status == @status)')
+        filterConditions.push('(receipt.status == null || receipt.status IN @status)')
+        bindVars.status = PENDING_STATUSES
       } else {
         filterConditions.push('receipt.status == @status')
+        bindVars.status = status
       }
-      bindVars.status = status
     }
 
     // Issuer filter (for issuer company)
@@ -459,8 +505,8 @@ router.get('/emp/:empCode', requireAuth, async (req, res) => {
       bindVars.issuer = `%${issuer}%`
     }
 
-    // includeDeleted only for admins
-    if (!(isAdmin && includeDeleted === '1')) {
+    // includeDeleted only with receipt.view_deleted
+    if (!(req.permissions.has('receipt.view_deleted') && includeDeleted === '1')) {
       filterConditions.push('receipt.is_deleted == false')
     }
 
@@ -502,6 +548,56 @@ router.get('/emp/:empCode', requireAuth, async (req, res) => {
   }
 })
 
+// List receipt number sequences (receipt.sequences)
+router.get('/sequences', requireAuth, requirePermission('receipt.sequences'), async (req, res) => {
+  try {
+    const sequences = await listReceiptSequences(req.query.fy)
+    res.json(sequences)
+  } catch (error) {
+    console.error('Error fetching receipt sequences:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Reset a branch's receipt number sequence for a financial year (receipt.sequences)
+router.post('/sequences/reset', requireAuth, requirePermission('receipt.sequences'), async (req, res) => {
+  try {
+    const { branch_code, fy, value = 0 } = req.body || {}
+    if (!branch_code || !fy) {
+      return res.status(400).json({ error: 'missing_fields', detail: 'branch_code and fy are required' })
+    }
+    if (!/^\d{4}-\d{2}$/.test(fy)) {
+      return res.status(400).json({ error: 'validation_error', detail: 'fy must look like 2026-27' })
+    }
+    const startValue = Number(value)
+    if (!Number.isInteger(startValue) || startValue < 0) {
+      return res.status(400).json({ error: 'validation_error', detail: 'value must be a non-negative integer' })
+    }
+
+    const branches = await q(`
+      FOR branch IN branches
+      FILTER UPPER(branch.branch_code) == @code
+      LIMIT 1
+      RETURN branch.branch_code
+    `, { code: String(branch_code).toUpperCase() })
+    if (!branches.length) {
+      return res.status(404).json({ error: 'branch_not_found', detail: `No branch with code ${branch_code}` })
+    }
+
+    // Going below an issued number would hand it out again and fail on the unique receipt_no
+    const highestSeq = await highestIssuedSeq(branch_code, fy)
+    if (startValue < highestSeq) {
+      return res.status(409).json({ error: 'sequence_in_use', detail: `Receipt number ${highestSeq} has already been issued for ${String(branch_code).toUpperCase()} in ${fy}; value must be at least ${highestSeq}`, highest_issued: highestSeq })
+    }
+    
+    const sequence = await resetReceiptSequence(branch_code, fy, startValue)
+    res.json({ message: 'Sequence reset successfully', sequence })
+  } catch (error) {
+    console.error('Error resetting receipt sequence:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
 // Get single receipt
 router.get('/:id', requireAuth, async (req, res) => {
   try {
@@ -520,6 +616,7 @@ router.get('/:id', requireAuth, async (req, res) => {
     if (!receiptRows.length) return res.status(404).json({ error: 'not_found' })
     
     const receipt = receiptRows[0]
+    receipt.status_history = await getStatusHistory(id)
     
     // Get media files if requested
     const includeMedia = req.query.include_media === 'true'
@@ -559,64 +656,174 @@ router.get('/:id', requireAuth, async (req, res) => {
   }
 })
 
-// Update receipt
+// Update receipt (every edit is stored as a new version)
 router.patch('/:id', requireAuth, async (req, res) => {
-  const id = req.params.id
-  const own = await q(`
-    FOR receipt IN receipts
-    FILTER receipt._key == @id
-    LIMIT 1
-    RETURN { id: receipt._key, user_id: receipt.user_id }
-  `, { id })
-  if (!own.length) return res.status(404).json({ error: 'not_found' })
-  if (!(req.user.role === 'admin' || String(own[0].user_id) === String(req.user.sub))) return res.status(403).json({ error: 'forbidden' })
-  
-  const allowed = [
-    'date','branch','scheme_name','scheme_option','investment_amount','folio_policy_no','mode',
-    'period_installments','installments_count','txn_type','from_text','to_text','units_or_amount',
-    'fd_type','client_type','deposit_period_ym','roi_percent','interest_payable','interest_frequency',
-    'instrument_type','instrument_no','instrument_date','bank_name','bank_branch','fdr_demat_policy',
-    'renewal_due_date','maturity_amount','renewal_amount','issuer_company','issuer_category','product_category'
-  ]
-  const d = req.body || {}
-  const updates = {}
-  for (const k of allowed) {
-    if (Object.prototype.hasOwnProperty.call(d, k)) {
-      updates[k] = d[k]
+  try {
+    const id = req.params.id
+    const existing = await q(`
+      FOR receipt IN receipts
+      FILTER receipt._key == @id
+      LIMIT 1
+      RETURN receipt
+    `, { id })
+    if (!existing.length) return res.status(404).json({ error: 'not_found' })
+    if (!(req.permissions.has('receipt.edit_any') || String(existing[0].user_id) === String(req.user.sub))) return res.status(403).json({ error: 'forbidden' })
+    
+    // Verified, approved and closed receipts are locked; reject them to correct them
+    const currentStatus = normalizeReceiptStatus(existing[0].status)
+    if (!EDITABLE_STATUSES.includes(currentStatus)) {
+      return res.status(409).json({ error: 'receipt_locked', detail: `A ${currentStatus} receipt can no longer be edited; only ${EDITABLE_STATUSES.join(', ')} receipts can` })
     }
+    
+    const allowed = [
+      'date','branch','scheme_name','scheme_option','investment_amount','folio_policy_no','mode',
+      'period_installments','installments_count','txn_type','from_text','to_text','units_or_amount',
+      'fd_type','client_type','deposit_period_ym','roi_percent','interest_payable','interest_frequency',
+      'instrument_type','instrument_no','instrument_date','bank_name','bank_branch','fdr_demat_policy',
+      'renewal_due_date','maturity_amount','renewal_amount','issuer_company','issuer_category','product_category'
+    ]
+    const d = req.body || {}
+    const updates = {}
+    for (const k of allowed) {
+      if (Object.prototype.hasOwnProperty.call(d, k)) {
+        updates[k] = d[k]
+      }
+    }
+    if (Object.keys(updates).length === 0) return res.status(400).json({ error: 'no_updates' })
+    
+    // Nothing actually changed - don't create an empty version
+    if (Object.keys(diffFields(existing[0], updates)).length === 0) return res.status(204).end()
+    
+    // Only update if nobody moved the receipt through the workflow in the meantime
+    const rows = await q(`
+      FOR receipt IN receipts
+      FILTER receipt._key == @id AND receipt.status == @current_status
+      UPDATE receipt WITH MERGE(@updates, {
+        version: (receipt.version || 0) + 1,
+        updated_at: DATE_ISO8601(DATE_NOW()),
+        updated_by: @user_id,
+        pdf_stale: true
+      }) IN receipts
+      RETURN { before: OLD, after: NEW }
+    `, { id, updates, current_status: existing[0].status ?? null, user_id: req.user.sub })
+    if (!rows.length) {
+      return res.status(409).json({ error: 'status_conflict', detail: 'Receipt status was changed by another user, reload and try again' })
+    }
+    const { before, after } = rows[0]
+    
+    await getCollection('receipt_versions').save({
+      receipt_id: id,
+      version: after.version,
+      changes: diffFields(before, updates),
+      changed_by: req.user.sub,
+      changed_by_name: req.user.name || req.user.emp_code || null,
+      changed_at: after.updated_at
+    })
+    
+    // Regenerate the stored PDF so it matches the edited receipt
+    try {
+      const pdfModule = await import('./receipt-pdf.js')
+      const pdfBuffer = await pdfModule.generateReceiptPDF(after)
+      await getCollection('receipts').update(id, {
+        pdf_data: pdfBuffer.toString('base64'),
+        pdf_generated_at: new Date().toISOString(),
+        pdf_stale: false
+      })
+    } catch (pdfError) {
+      console.error('Failed to regenerate PDF after receipt edit:', pdfError)
+      // PDF stays marked stale and is regenerated on next download
+    }
+    
+    scheduleBranchStatsRefresh()
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error updating receipt:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
   }
-  if (Object.keys(updates).length === 0) return res.status(400).json({ error: 'no_updates' })
-  
-  await q(`
-    FOR receipt IN receipts
-    FILTER receipt._key == @id
-    UPDATE receipt WITH @updates IN receipts
-  `, { id, updates })
-  res.status(204).end()
 })
 
-// Update receipt status
+// List edit versions of a receipt
+router.get('/:id/versions', requireAuth, async (req, res) => {
+  try {
+    const id = req.params.id
+    const own = await q(`
+      FOR receipt IN receipts
+      FILTER receipt._key == @id
+      LIMIT 1
+      RETURN { id: receipt._key, user_id: receipt.user_id, version: receipt.version }
+    `, { id })
+    if (!own.length) return res.status(404).json({ error: 'not_found' })
+    if (!(req.permissions.has('receipt.edit_any') || String(own[0].user_id) === String(req.user.sub))) return res.status(403).json({ error: 'forbidden' })
+    
+    const versions = await q(`
+      FOR v IN receipt_versions
+      FILTER v.receipt_id == @id
+      SORT v.version DESC
+      RETURN {
+        version: v.version,
+        changed_by: v.changed_by,
+        changed_by_name: v.changed_by_name,
+        changed_at: v.changed_at,
+        fields: ATTRIBUTES(v.changes)
+      }
+    `, { id })
+    
+    res.json({ receipt_id: id, current_version: own[0].version || 0, versions })
+  } catch (error) {
+    console.error('Error fetching receipt versions:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Get a single edit version of a receipt
+router.get('/:id/versions/:n', requireAuth, async (req, res) => {
+  try {
+    const id = req.params.id
+    const n = parseInt(req.params.n, 10)
+    if (isNaN(n) || n < 1) {
+      return res.status(400).json({ error: 'invalid_version', detail: 'Version must be a positive integer' })
+    }
+    
+    const own = await q(`
+      FOR receipt IN receipts
+      FILTER receipt._key == @id
+      LIMIT 1
+      RETURN { id: receipt._key, user_id: receipt.user_id }
+    `, { id })
+    if (!own.length) return res.status(404).json({ error: 'not_found' })
+    if (!(req.permissions.has('receipt.edit_any') || String(own[0].user_id) === String(req.user.sub))) return res.status(403).json({ error: 'forbidden' })
+    
+    const versions = await q(`
+      FOR v IN receipt_versions
+      FILTER v.receipt_id == @id AND v.version == @n
+      LIMIT 1
+      RETURN UNSET(v, '_id', '_rev')
+    `, { id, n })
+    if (!versions.length) return res.status(404).json({ error: 'version_not_found' })
+    
+    res.json(versions[0])
+  } catch (error) {
+    console.error('Error fetching receipt version:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Move receipt to the next workflow status
 router.patch('/:id/status', requireAuth, async (req, res) => {
   try {
     const id = req.params.id
-    const { status } = req.body || {}
+    const { status, comment = null } = req.body || {}
     
     if (!status) {
       return res.status(400).json({ error: 'missing_status', detail: 'Status is required' })
     }
     
-    // Validate status values
-    const validStatuses = ['Pending', 'Completed', 'Cancelled']
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'invalid_status', detail: `Status must be one of: ${validStatuses.join(', ')}` })
-    }
-    
     // Check if receipt exists and get ownership info
     const receiptRows = await q(`
       FOR receipt IN receipts
       FILTER receipt._key == @id
       LIMIT 1
-      RETURN { id: receipt._key, user_id: receipt.user_id, status: receipt.status }
+      RETURN { id: receipt._key, user_id: receipt.user_id, branch: receipt.branch, status: receipt.status, status_updated_by: receipt.status_updated_by }
     `, { id })
     
     if (!receiptRows.length) {
@@ -625,25 +832,52 @@ router.patch('/:id/status', requireAuth, async (req, res) => {
     
     const receipt = receiptRows[0]
     
-    // Check permissions - only admin can update status
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'forbidden', detail: 'Only admin users can update receipt status' })
+    // Checkers only act on receipts of their own branch (or region)
+    if (!(await isReceiptInScope(receipt, req.user, req.scope))) {
+      return res.status(403).json({ error: 'branch_access_denied', detail: 'This receipt belongs to a branch outside your scope' })
     }
     
-    // Update the receipt status
-    await q(`
+    const transition = checkTransition(receipt, status, req.user, req.permissions, comment)
+    if (!transition.valid) {
+      const code = transition.error === 'forbidden' || transition.error === 'maker_checker_violation' ? 403 : 400
+      return res.status(code).json({ error: transition.error, detail: transition.detail })
+    }
+    
+    // Only update if nobody else moved the receipt in the meantime
+    const updated = await q(`
       FOR receipt IN receipts
-      FILTER receipt._key == @id
+      FILTER receipt._key == @id AND receipt.status == @current_status
       UPDATE receipt WITH { 
         status: @status,
+        status_comment: @comment,
         status_updated_at: DATE_ISO8601(DATE_NOW()),
         status_updated_by: @user_id
       } IN receipts
-    `, { id, status, user_id: req.user.sub })
+      RETURN NEW._key
+    `, { id, status, comment, current_status: receipt.status ?? null, user_id: req.user.sub })
+    
+    if (!updated.length) {
+      return res.status(409).json({ error: 'status_conflict', detail: 'Receipt status was changed by another user, reload and try again' })
+    }
+    
+    await recordStatusChange(id, transition.from, status, req.user, comment)
+    
+    // A completed SIP/STP/SWP receipt starts its instruction schedule
+    if (status === 'Completed') {
+      try {
+        const completed = await getCollection('receipts').document(id)
+        await createInstructionForReceipt(completed, req.user.sub)
+      } catch (instructionError) {
+        console.error('Failed to create MF instruction:', instructionError)
+      }
+    }
+    
+    scheduleBranchStatsRefresh()
     
     res.status(200).json({ 
       message: 'Status updated successfully',
       receipt_id: id,
+      previous_status: transition.from,
       new_status: status
     })
     
@@ -653,33 +887,45 @@ router.patch('/:id/status', requireAuth, async (req, res) => {
   }
 })
 
-// Soft delete receipt
+// Soft delete receipt (creator, or receipt.edit_any within the caller's scope)
 router.delete('/:id', requireAuth, async (req, res) => {
-  const id = req.params.id
-  const { reason = null } = req.body || {}
-  const rows = await q(`
-    FOR receipt IN receipts
-    FILTER receipt._key == @id
-    LIMIT 1
-    RETURN { id: receipt._key, user_id: receipt.user_id }
-  `, { id })
-  if (!rows.length) return res.status(404).json({ error: 'not_found' })
+  try {
+    const id = req.params.id
+    const { reason = null } = req.body || {}
+    const rows = await q(`
+      FOR receipt IN receipts
+      FILTER receipt._key == @id
+      LIMIT 1
+      RETURN { id: receipt._key, user_id: receipt.user_id, branch: receipt.branch }
+    `, { id })
+    if (!rows.length) return res.status(404).json({ error: 'not_found' })
 
-  await q(`
-    FOR receipt IN receipts
-    FILTER receipt._key == @id
-    UPDATE receipt WITH {
-      is_deleted: true,
-      deleted_at: DATE_NOW(),
-      deleted_by: @deleted_by,
-      delete_reason: @reason
-    } IN receipts
-  `, { id, deleted_by: req.user.sub, reason })
-  res.status(204).end()
+    const isOwner = String(rows[0].user_id) === String(req.user.sub)
+    if (!(isOwner || req.permissions.has('receipt.edit_any'))) return res.status(403).json({ error: 'forbidden' })
+    if (!isOwner && !(await isReceiptInScope(rows[0], req.user, req.scope))) {
+      return res.status(403).json({ error: 'branch_access_denied', detail: 'This receipt belongs to a branch outside your scope' })
+    }
+
+    await q(`
+      FOR receipt IN receipts
+      FILTER receipt._key == @id
+      UPDATE receipt WITH {
+        is_deleted: true,
+        deleted_at: DATE_NOW(),
+        deleted_by: @deleted_by,
+        delete_reason: @reason
+      } IN receipts
+    `, { id, deleted_by: req.user.sub, reason })
+    scheduleBranchStatsRefresh()
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error deleting receipt:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
 })
 
-// Restore receipt (admin only)
-router.post('/:id/restore', requireAuth, requireRole('admin'), async (req, res) => {
+// Restore receipt (receipt.restore)
+router.post('/:id/restore', requireAuth, requirePermission('receipt.restore'), async (req, res) => {
   const id = req.params.id
   await q(`
     FOR receipt IN receipts
@@ -691,6 +937,7 @@ router.post('/:id/restore', requireAuth, requireRole('admin'), async (req, res)
       delete_reason: null
     } IN receipts
   `, { id })
+  scheduleBranchStatsRefresh()
   res.status(204).end()
 })
 
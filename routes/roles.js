@@ -0,0 +1,119 @@
+import express from 'express'
+import { q, loadRoles, invalidateRoles } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { PERMISSIONS, ROLE_SCOPES, ADMIN_ROLE } from '../config/permissions.js'
+
+const router = express.Router()
+
+const ROLE_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/
+
+// Validate a role body: { name, scope, permissions }; returns { valid, error, value }
+const parseRole = ({ name, scope, permissions } = {}) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { valid: false, error: 'name is required' }
+  }
+  if (!ROLE_SCOPES.includes(scope)) {
+    return { valid: false, error: `scope must be one of ${ROLE_SCOPES.join(', ')}` }
+  }
+  if (!Array.isArray(permissions)) {
+    return { valid: false, error: 'permissions must be an array' }
+  }
+  const unknown = permissions.filter(permission => !(permission in PERMISSIONS))
+  if (unknown.length) {
+    return { valid: false, error: `Unknown permissions: ${unknown.join(', ')}` }
+  }
+  return { valid: true, value: { name: name.trim(), scope, permissions: [...new Set(permissions)].sort() } }
+}
+
+// Active users per role
+const countUsersByRole = async () => new Map((await q(`
+  FOR user IN users
+  FILTER user.is_active != false
+  COLLECT role = user.role WITH COUNT INTO users
+  RETURN [role, users]
+`)))
+
+// The permission catalogue and the data scopes a role can have
+router.get('/permissions', requireAuth, requirePermission('role.manage'), async (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([permission, description]) => ({ permission, description })),
+    scopes: ROLE_SCOPES
+  })
+})
+
+// List roles with their permissions and number of active users (role.manage)
+router.get('/', requireAuth, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const [roles, userCounts] = await Promise.all([loadRoles(), countUsersByRole()])
+    res.json([...roles.values()]
+      .map(role => ({ ...role, editable: role.role !== ADMIN_ROLE, users: userCounts.get(role.role) || 0 }))
+      .sort((a, b) => a.role.localeCompare(b.role)))
+  } catch (error) {
+    console.error('Error fetching roles:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Create a role or replace its name, scope and permissions (role.manage).
+// Changes apply to signed-in users at their next request.
+router.put('/:role', requireAuth, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const role = req.params.role.trim().toLowerCase()
+    if (!ROLE_PATTERN.test(role)) {
+      return res.status(400).json({ error: 'validation_error', detail: 'Role must be 2-32 lowercase letters, digits, _ or -, starting with a letter' })
+    }
+    if (role === ADMIN_ROLE) {
+      return res.status(409).json({ error: 'role_locked', detail: 'The admin role always has every permission' })
+    }
+
+    const parsed = parseRole(req.body || {})
+    if (!parsed.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: parsed.error })
+    }
+
+    const [saved] = await q(`
+      UPSERT { _key: @role }
+      INSERT MERGE(@fields, { _key: @role, created_by: @userId, created_at: DATE_ISO8601(DATE_NOW()), updated_by: @userId, updated_at: DATE_ISO8601(DATE_NOW()) })
+      UPDATE MERGE(@fields, { updated_by: @userId, updated_at: DATE_ISO8601(DATE_NOW()) })
+      IN roles
+      RETURN { created: OLD == null }
+    `, { role, fields: parsed.value, userId: req.user.sub })
+    invalidateRoles()
+
+    res.status(saved.created ? 201 : 200).json({ role, ...parsed.value })
+  } catch (error) {
+    console.error('Error saving role:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Remove a role no active user holds (role.manage); built-in roles stay
+router.delete('/:role', requireAuth, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const role = req.params.role.trim().toLowerCase()
+    const existing = (await loadRoles()).get(role)
+    if (!existing) return res.status(404).json({ error: 'not_found' })
+    if (existing.built_in) {
+      return res.status(409).json({ error: 'role_built_in', detail: `${role} is a built-in role and cannot be removed` })
+    }
+
+    const users = (await countUsersByRole()).get(role) || 0
+    if (users) {
+      return res.status(409).json({ error: 'role_in_use', detail: `${users} active user(s) still have the ${role} role` })
+    }
+
+    await q(`
+      FOR stored IN roles
+      FILTER stored._key == @role
+      REMOVE stored IN roles
+    `, { role })
+    invalidateRoles()
+
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error deleting role:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
@@ -1,6 +1,6 @@
 import express from 'express'
 import { q, getCollection } from '../config/database.js'
-import { requireAuth, requireRole } from '../middleware/auth.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
 
 const router = express.Router()
 
@@ -69,11 +69,11 @@ router.get('/:scheme_code', async (req, res) => {
 })
 
 // ===================================
-// CREATE ROUTES (Admin only)
+// CREATE ROUTES (mfscheme.edit)
 // ===================================
 
 // Create AMC
-router.post('/amc', requireAuth, requireRole('admin'), async (req, res) => {
+router.post('/amc', requireAuth, requirePermission('mfscheme.edit'), async (req, res) => {
   try {
     const { amc_name, amc_code } = req.body
     
@@ -109,7 +109,7 @@ router.post('/amc', requireAuth, requireRole('admin'), async (req, res) => {
 })
 
 // Create Scheme
-router.post('/', requireAuth, requireRole('admin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('mfscheme.edit'), async (req, res) => {
   try {
     const {
       scheme_code,
@@ -167,11 +167,11 @@ router.post('/', requireAuth, requireRole('admin'), async (req, res) => {
 })
 
 // ===================================
-// UPDATE ROUTES (Admin only)
+// UPDATE ROUTES (mfscheme.edit)
 // ===================================
 
 // Update AMC
-router.put('/amc/:amc_code', requireAuth, requireRole('admin'), async (req, res) => {
+router.put('/amc/:amc_code', requireAuth, requirePermission('mfscheme.edit'), async (req, res) => {
   try {
     const { amc_code } = req.params
     const { amc_name } = req.body
@@ -194,7 +194,7 @@ router.put('/amc/:amc_code', requireAuth, requireRole('admin'), async (req, res)
 })
 
 // Update Scheme
-router.put('/:scheme_code', requireAuth, requireRole('admin'), async (req, res) => {
+router.put('/:scheme_code', requireAuth, requirePermission('mfscheme.edit'), async (req, res) => {
   try {
     const { scheme_code } = req.params
     const {
@@ -249,11 +249,11 @@ router.put('/:scheme_code', requireAuth, requireRole('admin'), async (req, res)
 })
 
 // ===================================
-// DELETE ROUTES (Admin only)
+// DELETE ROUTES (mfscheme.edit)
 // ===================================
 
 // Delete AMC (and all its schemes)
-router.delete('/amc/:amc_code', requireAuth, requireRole('admin'), async (req, res) => {
+router.delete('/amc/:amc_code', requireAuth, requirePermission('mfscheme.edit'), async (req, res) => {
   try {
     const { amc_code } = req.params
     
@@ -280,7 +280,7 @@ router.delete('/amc/:amc_code', requireAuth, requireRole('admin'), async (req, r
 })
 
 // Delete Scheme
-router.delete('/:scheme_code', requireAuth, requireRole('admin'), async (req, res) => {
+router.delete('/:scheme_code', requireAuth, requirePermission('mfscheme.edit'), async (req, res) => {
   try {
     const { scheme_code } = req.params
     
@@ -308,11 +308,11 @@ router.delete('/:scheme_code', requireAuth, requireRole('admin'), async (req, re
 })
 
 // ===================================
-// NFO VALIDITY CHECK (Admin/System)
+// NFO VALIDITY CHECK (mfscheme.edit)
 // ===================================
 
 // Check and expire NFOs
-router.post('/check-nfo-validity', requireAuth, requireRole('admin'), async (req, res) => {
+router.post('/check-nfo-validity', requireAuth, requirePermission('mfscheme.edit'), async (req, res) => {
   try {
     const today = new Date().toISOString().split('T')[0]
     
@@ -0,0 +1,43 @@
+import express from 'express'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { parseLoginEventFilters, findLoginEvents, activeLockouts, clearLockout } from '../utils/login-security.js'
+
+const router = express.Router()
+
+// Search the login audit trail (security.manage)
+router.get('/login-events', requireAuth, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const filters = parseLoginEventFilters(req.query)
+    if (!filters.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: filters.error })
+    }
+
+    res.json(await findLoginEvents({ ...filters.value, userId: req.query.user_id }))
+  } catch (error) {
+    console.error('Error fetching login events:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Accounts and IPs locked out right now (security.manage)
+router.get('/lockouts', requireAuth, requirePermission('security.manage'), async (req, res) => {
+  try {
+    res.json(await activeLockouts())
+  } catch (error) {
+    console.error('Error fetching lockouts:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Lift a lockout early (security.manage)
+router.delete('/lockouts/:id', requireAuth, requirePermission('security.manage'), async (req, res) => {
+  try {
+    if (!(await clearLockout(req.params.id))) return res.status(404).json({ error: 'not_found' })
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error clearing lockout:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
@@ -0,0 +1,60 @@
+import express from 'express'
+import { q } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { validatePositiveNumber } from '../utils/validators.js'
+import { loadSlaThresholds } from '../utils/aging.js'
+
+const router = express.Router()
+
+// Get SLA thresholds: the default and the per-category overrides
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    res.json(await loadSlaThresholds())
+  } catch (error) {
+    console.error('Error fetching SLA thresholds:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Set the threshold of a product category (sla.manage)
+router.put('/:category', requireAuth, requirePermission('sla.manage'), async (req, res) => {
+  try {
+    const category = req.params.category.toUpperCase()
+    const daysValidation = validatePositiveNumber(req.body?.max_age_days, 'Max age (days)', true)
+    if (!daysValidation.valid || !Number.isInteger(daysValidation.value)) {
+      return res.status(400).json({ error: 'validation_error', detail: daysValidation.error || 'Max age (days) must be a whole number of days' })
+    }
+
+    await q(`
+      UPSERT { _key: @category }
+      INSERT { _key: @category, max_age_days: @days, updated_by: @userId, updated_at: DATE_ISO8601(DATE_NOW()) }
+      UPDATE { max_age_days: @days, updated_by: @userId, updated_at: DATE_ISO8601(DATE_NOW()) }
+      IN sla_thresholds
+    `, { category, days: daysValidation.value, userId: req.user.sub })
+
+    res.json({ category, max_age_days: daysValidation.value })
+  } catch (error) {
+    console.error('Error saving SLA threshold:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Remove a category's threshold so the default applies again (sla.manage)
+router.delete('/:category', requireAuth, requirePermission('sla.manage'), async (req, res) => {
+  try {
+    const removed = await q(`
+      FOR threshold IN sla_thresholds
+      FILTER threshold._key == @category
+      REMOVE threshold IN sla_thresholds
+      RETURN OLD._key
+    `, { category: req.params.category.toUpperCase() })
+
+    if (!removed.length) return res.status(404).json({ error: 'not_found' })
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error deleting SLA threshold:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
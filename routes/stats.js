@@ -1,11 +1,25 @@
 import express from 'express'
-import { q, getUserBranch, normalizeBranchName } from '../config/database.js'
-import { requireAuth, requireRole } from '../middleware/auth.js'
+import { q, getUserBranch, getUserBranchScope, normalizeBranchName } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { commissionStats } from '../utils/brokerage.js'
+import { targetAchievement, branchTargetSummary, currentPeriod } from '../utils/targets.js'
+import { LEADERBOARD_METRICS, LEADERBOARD_PERIODS, employeeLeaderboard } from '../utils/employee-stats.js'
+import { GRANULARITIES, COMPARE_MODES, BREAKDOWNS, bucketRows, comparisonDate } from '../utils/time-buckets.js'
+import { findPendingReceipts, loadSlaThresholds, agingReport } from '../utils/aging.js'
+import { loadBranchHierarchy, subtreeCodes, branchCodeResolver } from '../utils/branch-hierarchy.js'
 
 const router = express.Router()
 
+// Regional roles (managers) see the receipts of their branch and of the branches below it
+const addManagerScope = async (req, filterConditions, bindVars) => {
+  if (req.scope !== 'region') return
+  const branchScope = await getUserBranchScope(req.user.sub)
+  filterConditions.push('UPPER(receipt.branch) IN @scopeBranches')
+  bindVars.scopeBranches = branchScope.receipt_branches
+}
+
 // Get summary statistics
-router.get('/summary', requireAuth, async (req, res) => {
+router.get('/summary', requireAuth, requirePermission('stats.view'), async (req, res) => {
   const { from, to, emp_code, includeDeleted = '0' } = req.query
   
   let filterClause = ''
@@ -20,14 +34,15 @@ router.get('/summary', requireAuth, async (req, res) => {
     filterConditions.push('receipt.date <= @to')
     bindVars.to = to
   }
-  if (req.user.role === 'employee') {
+  if (req.scope === 'own') {
     filterConditions.push('receipt.user_id == @user_id')
     bindVars.user_id = req.user.sub
   } else if (emp_code) {
       filterConditions.push('receipt.emp_code == @emp_code')
     bindVars.emp_code = emp_code
   }
-  if (!(req.user.role === 'admin' && includeDeleted === '1')) {
+  await addManagerScope(req, filterConditions, bindVars)
+  if (!(req.permissions.has('receipt.view_deleted') && includeDeleted === '1')) {
     filterConditions.push('receipt.is_deleted == false')
   }
   // Only include completed receipts in investment calculations
@@ -64,37 +79,38 @@ router.get('/summary', requireAuth, async (req, res) => {
     RETURN { date, n, amount }
   `
   
-  const [totals, byCat, byDay] = await Promise.all([
+  const [totals, byCat, byDay, commissions] = await Promise.all([
     q(totalsQuery, bindVars),
     q(byCatQuery, bindVars),
-    q(byDayQuery, bindVars)
+    q(byDayQuery, bindVars),
+    commissionStats(filterClause, bindVars, 'product_category')
   ])
   
   const totalCollections = totals[0]?.total_collections || 0
-  const commissions_total = Number(totalCollections) * 0.01
+  const commissions_total = commissions.commissions
   
-  // Get total customers count - filter by branch for non-admin users
+  // Get total customers count - filter by branch unless the role covers all branches
   let customersQuery = ''
   let customersBindVars = {}
   
-  if (req.user.role === 'admin') {
-    // Admin sees all customers
+  if (req.scope === 'all') {
+    // Roles scoped to all branches see all customers
     customersQuery = `
       FOR customer IN customers
       RETURN LENGTH(1)
     `
   } else {
-    // Non-admin users see only their branch customers
+    // Everyone else sees only the customers of their branch and the branches below it
     const userBranch = await getUserBranch(req.user.sub)
-    const normalizedUserBranch = normalizeBranchName(userBranch)
+    const normalizedUserBranch = await normalizeBranchName(userBranch)
     
     if (normalizedUserBranch) {
       customersQuery = `
         FOR customer IN customers
-        FILTER customer.relationship_manager == @userBranch
+        FILTER customer.relationship_manager IN @userBranches
         RETURN LENGTH(1)
       `
-      customersBindVars.userBranch = normalizedUserBranch
+      customersBindVars.userBranches = (await getUserBranchScope(req.user.sub)).relationship_managers
     } else {
       customersQuery = `
         FOR customer IN customers
@@ -112,13 +128,14 @@ router.get('/summary', requireAuth, async (req, res) => {
     total_investments: Number(totalCollections),
     total_customers: totalCustomers,
     commissions_total,
-    by_category: byCat,
+    commissions_by_rate_card: commissions.by_rate_card,
+    by_category: byCat.map(row => ({ ...row, commissions: commissions.groups.get(row.category)?.commissions || 0 })),
     by_day: byDay
   })
 })
 
 // Get statistics by category
-router.get('/by-category', requireAuth, async (req, res) => {
+router.get('/by-category', requireAuth, requirePermission('stats.view'), async (req, res) => {
   const { from, to, emp_code, includeDeleted = '0' } = req.query
   
   let filterClause = ''
@@ -133,14 +150,15 @@ router.get('/by-category', requireAuth, async (req, res) => {
     filterConditions.push('receipt.date <= @to')
     bindVars.to = to
   }
-  if (req.user.role === 'employee') {
+  if (req.scope === 'own') {
     filterConditions.push('receipt.user_id == @user_id')
     bindVars.user_id = req.user.sub
   } else if (emp_code) {
     filterConditions.push('receipt.emp_code == @emp_code')
     bindVars.emp_code = emp_code
   }
-  if (!(req.user.role === 'admin' && includeDeleted === '1')) {
+  await addManagerScope(req, filterConditions, bindVars)
+  if (!(req.permissions.has('receipt.view_deleted') && includeDeleted === '1')) {
     filterConditions.push('receipt.is_deleted == false')
   }
   // Only include completed receipts in investment calculations
@@ -159,34 +177,49 @@ router.get('/by-category', requireAuth, async (req, res) => {
     RETURN { category, n, amount }
   `
   
-  const rows = await q(query, bindVars)
-  res.json(rows)
+  const [rows, commissions] = await Promise.all([
+    q(query, bindVars),
+    commissionStats(filterClause, bindVars, 'product_category')
+  ])
+  res.json(rows.map(row => ({ ...row, commissions: commissions.groups.get(row.category)?.commissions || 0 })))
 })
 
-// Get statistics by day
-router.get('/by-day', requireAuth, async (req, res) => {
-  const { from, to, emp_code, includeDeleted = '0' } = req.query
+// Get statistics by day, or rolled up by week, month, financial quarter or year
+router.get('/by-day', requireAuth, requirePermission('stats.view'), async (req, res) => {
+  const { from, to, emp_code, includeDeleted = '0', granularity = 'day', compare, breakdown } = req.query
+
+  if (!GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: 'validation_error', detail: `granularity must be one of: ${GRANULARITIES.join(', ')}` })
+  }
+  if (compare && !COMPARE_MODES.includes(compare)) {
+    return res.status(400).json({ error: 'validation_error', detail: `compare must be one of: ${COMPARE_MODES.join(', ')}` })
+  }
+  if (breakdown && !BREAKDOWNS[breakdown]) {
+    return res.status(400).json({ error: 'validation_error', detail: `breakdown must be one of: ${Object.keys(BREAKDOWNS).join(', ')}` })
+  }
   
   let filterClause = ''
   let bindVars = {}
   let filterConditions = []
   
+  // A comparison needs the same span of the previous period or year as well
   if (from) { 
     filterConditions.push('receipt.date >= @from')
-    bindVars.from = from
+    bindVars.from = compare ? comparisonDate(from, granularity, compare) : from
   }
   if (to) { 
     filterConditions.push('receipt.date <= @to')
     bindVars.to = to
   }
-  if (req.user.role === 'employee') {
+  if (req.scope === 'own') {
     filterConditions.push('receipt.user_id == @user_id')
     bindVars.user_id = req.user.sub
   } else if (emp_code) {
     filterConditions.push('receipt.emp_code == @emp_code')
     bindVars.emp_code = emp_code
   }
-  if (!(req.user.role === 'admin' && includeDeleted === '1')) {
+  await addManagerScope(req, filterConditions, bindVars)
+  if (!(req.permissions.has('receipt.view_deleted') && includeDeleted === '1')) {
     filterConditions.push('receipt.is_deleted == false')
   }
   // Only include completed receipts in investment calculations
@@ -199,20 +232,36 @@ router.get('/by-day', requireAuth, async (req, res) => {
   const query = `
     FOR receipt IN receipts
     ${filterClause}
-    COLLECT date = receipt.date 
+    COLLECT date = receipt.date${breakdown ? `, key = ${BREAKDOWNS[breakdown]}` : ''}
     AGGREGATE n = LENGTH(1), amount = SUM(receipt.investment_amount || 0)
     SORT date ASC
-    RETURN { date, n, amount }
+    RETURN { date, ${breakdown ? 'key, ' : ''}n, amount }
   `
   
-  const rows = await q(query, bindVars)
-  res.json(rows)
+  const [rows, commissions] = await Promise.all([
+    q(query, bindVars),
+    commissionStats(filterClause, bindVars, 'date')
+  ])
+
+  if (granularity === 'day' && !compare && !breakdown) {
+    return res.json(rows.map(row => ({ ...row, commissions: commissions.groups.get(row.date)?.commissions || 0 })))
+  }
+
+  res.json(bucketRows(rows, {
+    granularity,
+    compare,
+    breakdown: !!breakdown,
+    from: from || null,
+    // Without an end date the running period is compared up to today
+    to: to || (compare ? new Date().toISOString().slice(0, 10) : null),
+    commissions: new Map([...commissions.groups].map(([date, group]) => [date, group.commissions]))
+  }))
 })
 
 // Get branch statistics
-router.get('/branches', requireAuth, async (req, res) => {
+router.get('/branches', requireAuth, requirePermission('stats.view'), async (req, res) => {
   try {
-    const { from, to, includeDeleted = '0' } = req.query
+    const { from, to, includeDeleted = '0', target_period = currentPeriod() } = req.query
     
     let dateFilter = ''
     let bindVars = {}
@@ -229,6 +278,7 @@ router.get('/branches', requireAuth, async (req, res) => {
     }
     // Only include completed receipts in investment calculations
     filterConditions.push('receipt.status == "Completed"')
+    await addManagerScope(req, filterConditions, bindVars)
     
     if (filterConditions.length > 0) {
       dateFilter = `FILTER ${filterConditions.join(' AND ')}\n`
@@ -244,12 +294,17 @@ router.get('/branches', requireAuth, async (req, res) => {
       RETURN {
         branch,
         total_receipts: receipt_count,
-        total_investments,
-        commissions: total_investments * 0.01
+        total_investments
       }
     `
     
-    const branchStats = await q(branchStatsQuery, bindVars)
+    const [branchStats, commissions, targets, hierarchy] = await Promise.all([
+      q(branchStatsQuery, bindVars),
+      commissionStats(dateFilter, bindVars, 'branch'),
+      targetAchievement(target_period, { scope: 'branch' }),
+      loadBranchHierarchy()
+    ])
+    const resolveBranchCode = await branchCodeResolver(hierarchy)
     
     // Get employee count per branch
     const employeeStatsQuery = `
@@ -264,9 +319,16 @@ router.get('/branches', requireAuth, async (req, res) => {
     // Merge branch and employee statistics
     const mergedStats = branchStats.map(branch => {
       const employeeData = employeeStats.find(emp => emp.branch === branch.branch)
+      const branchCommissions = commissions.groups.get(branch.branch)
+      const branchCode = resolveBranchCode(branch.branch)
       return {
         ...branch,
-        total_employees: employeeData?.employee_count || 0
+        branch_code: branchCode,
+        parent_branch_code: hierarchy.parent.get(branchCode) || null,
+        commissions: branchCommissions?.commissions || 0,
+        commissions_by_rate_card: branchCommissions?.by_rate_card || [],
+        total_employees: employeeData?.employee_count || 0,
+        targets: targets ? branchTargetSummary(targets.items, branchCode) : null
       }
     })
     
@@ -274,7 +336,9 @@ router.get('/branches', requireAuth, async (req, res) => {
       total_branches: mergedStats.length,
       total_investments: mergedStats.reduce((sum, branch) => sum + branch.total_investments, 0),
       total_receipts: mergedStats.reduce((sum, branch) => sum + branch.total_receipts, 0),
-      total_commissions: mergedStats.reduce((sum, branch) => sum + branch.commissions, 0),
+      total_commissions: commissions.commissions,
+      commissions_by_rate_card: commissions.by_rate_card,
+      target_period: targets ? { period: targets.period, from: targets.from, to: targets.to } : null,
       branches: mergedStats
     })
   } catch (error) {
@@ -283,4 +347,201 @@ router.get('/branches', requireAuth, async (req, res) => {
   }
 })
 
+// Get statistics rolled up by region: every branch with branches below it, with the totals of its subtree
+router.get('/regions', requireAuth, requirePermission('stats.view'), async (req, res) => {
+  try {
+    const { from, to, includeDeleted = '0' } = req.query
+
+    const filterConditions = ['receipt.status == "Completed"']
+    const bindVars = {}
+    if (from && to) {
+      filterConditions.push('receipt.date >= @from AND receipt.date <= @to')
+      bindVars.from = from
+      bindVars.to = to
+    }
+    if (includeDeleted !== '1') {
+      filterConditions.push('receipt.is_deleted == false')
+    }
+    const filterClause = `FILTER ${filterConditions.join(' AND ')}\n`
+
+    const [rows, commissions, hierarchy] = await Promise.all([
+      q(`
+        FOR receipt IN receipts
+        ${filterClause}
+        COLLECT branch = receipt.branch
+        AGGREGATE total_receipts = LENGTH(1), total_investments = SUM(receipt.investment_amount || 0)
+        RETURN { branch, total_receipts, total_investments }
+      `, bindVars),
+      commissionStats(filterClause, bindVars, 'branch'),
+      loadBranchHierarchy()
+    ])
+    const resolveBranchCode = await branchCodeResolver(hierarchy)
+
+    // Own figures per branch code; receipts whose branch resolves to nothing are left out
+    const own = new Map()
+    for (const row of rows) {
+      const code = resolveBranchCode(row.branch)
+      if (!code) continue
+      if (!own.has(code)) own.set(code, { total_receipts: 0, total_investments: 0, commissions: 0 })
+      const totals = own.get(code)
+      totals.total_receipts += row.total_receipts
+      totals.total_investments += Number(row.total_investments) || 0
+      totals.commissions += commissions.groups.get(row.branch)?.commissions || 0
+    }
+
+    const rollUp = (codes) => codes.reduce((totals, code) => {
+      const branchTotals = own.get(code)
+      if (branchTotals) {
+        totals.total_receipts += branchTotals.total_receipts
+        totals.total_investments += branchTotals.total_investments
+        totals.commissions += branchTotals.commissions
+      }
+      return totals
+    }, { total_receipts: 0, total_investments: 0, commissions: 0 })
+
+    // Regional roles see the regions within their own subtree
+    let visible = null
+    if (req.scope !== 'all') {
+      const branchScope = await getUserBranchScope(req.user.sub)
+      visible = new Set(branchScope.branch_codes)
+    }
+
+    const regions = [...hierarchy.children.keys()]
+      .filter(code => !visible || visible.has(code))
+      .map(code => {
+        const subtree = subtreeCodes(hierarchy, code)
+        return {
+          branch_code: code,
+          branch_name: hierarchy.branches.get(code)?.name || null,
+          parent_branch_code: hierarchy.parent.get(code) || null,
+          total_branches: subtree.length,
+          ...rollUp(subtree),
+          own: own.get(code) || rollUp([]),
+          children: hierarchy.children.get(code).map(child => ({
+            branch_code: child,
+            branch_name: hierarchy.branches.get(child)?.name || null,
+            ...rollUp(subtreeCodes(hierarchy, child))
+          })).sort((a, b) => b.total_investments - a.total_investments)
+        }
+      })
+      .sort((a, b) => b.total_investments - a.total_investments)
+
+    res.json({ total_regions: regions.length, regions })
+  } catch (error) {
+    console.error('Error fetching region stats:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Get employee leaderboard
+router.get('/employees', requireAuth, requirePermission('stats.view'), async (req, res) => {
+  try {
+    const { rank_by = 'collections', period = 'this_month', branch_code, limit } = req.query
+
+    if (!LEADERBOARD_METRICS.includes(rank_by)) {
+      return res.status(400).json({ error: 'validation_error', detail: `rank_by must be one of: ${LEADERBOARD_METRICS.join(', ')}` })
+    }
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({ error: 'validation_error', detail: `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}` })
+    }
+
+    // Roles scoped to all branches see every branch (or one by branch_code), regional roles
+    // their branch subtree, everyone else their own branch
+    let branchCodes = null
+    if (req.scope === 'region') {
+      branchCodes = (await getUserBranchScope(req.user.sub)).branch_codes
+    } else if (req.scope !== 'all') {
+      branchCodes = req.user.branch_code ? [req.user.branch_code] : []
+    } else if (branch_code) {
+      branchCodes = [branch_code]
+    }
+    if (branchCodes && !branchCodes.length) {
+      return res.status(403).json({ error: 'branch_required', detail: 'No branch on this login' })
+    }
+    const branchCode = req.scope === 'all' ? (branch_code || null) : (req.user.branch_code || branchCodes[0])
+    const board = await employeeLeaderboard({ branchCodes, rankBy: rank_by, rankPeriod: period })
+
+    // Employees see their own line, ranked within their branch
+    let employees = board.employees
+    if (req.scope === 'own') {
+      employees = employees.filter(employee => employee.emp_code === req.user.emp_code)
+    } else if (limit) {
+      employees = employees.slice(0, Math.max(1, parseInt(limit, 10) || employees.length))
+    }
+
+    res.json({ ...board, branch_code: branchCode, branch_codes: branchCodes, total_employees: board.employees.length, employees })
+  } catch (error) {
+    console.error('Error fetching employee leaderboard:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Get aging of pending receipts against their SLA
+router.get('/aging', requireAuth, requirePermission('stats.view'), async (req, res) => {
+  try {
+    const { branch, limit = 20 } = req.query
+
+    // Employees see their own receipts, managers their branch subtree, branch users their branch
+    const scope = {}
+    if (req.scope === 'own') {
+      scope.userId = req.user.sub
+    } else if (req.scope === 'region') {
+      scope.branches = (await getUserBranchScope(req.user.sub)).receipt_branches
+      if (!scope.branches.length) return res.status(403).json({ error: 'branch_required', detail: 'No branch on this login' })
+    } else if (req.scope !== 'all') {
+      scope.branch = req.user.branch || await getUserBranch(req.user.sub)
+      if (!scope.branch) return res.status(403).json({ error: 'branch_required', detail: 'No branch on this login' })
+    } else if (branch) {
+      scope.branch = branch
+    }
+
+    const [receipts, thresholds] = await Promise.all([
+      findPendingReceipts(scope),
+      loadSlaThresholds()
+    ])
+    const { aged, ...report } = agingReport(receipts, thresholds, { oldestLimit: Math.min(200, Math.max(1, parseInt(limit, 10) || 20)) })
+
+    res.json(report)
+  } catch (error) {
+    console.error('Error fetching receipt aging:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Get targets vs achievement
+router.get('/targets', requireAuth, requirePermission('stats.view'), async (req, res) => {
+  try {
+    const { period_type = 'month', scope, branch_code } = req.query
+    const period = req.query.period || currentPeriod(period_type)
+
+    // Employees see their own targets, branch users their branch and its employees;
+    // a scoped caller without an employee code or branch sees nothing rather than everything
+    const filter = {}
+    if (scope) filter.scope = scope
+    if (req.scope === 'own') {
+      if (!req.user.emp_code) return res.status(403).json({ error: 'forbidden', detail: 'No employee code on this login' })
+      filter.scope = 'employee'
+      filter.emp_code = req.user.emp_code
+    } else if (req.scope === 'region') {
+      filter.branch_codes = (await getUserBranchScope(req.user.sub)).branch_codes
+      if (!filter.branch_codes.length) return res.status(403).json({ error: 'branch_required', detail: 'No branch on this login' })
+    } else if (req.scope !== 'all') {
+      if (!req.user.branch_code) return res.status(403).json({ error: 'branch_required', detail: 'No branch on this login' })
+      filter.branch_code = req.user.branch_code
+    } else if (branch_code) {
+      filter.branch_code = branch_code
+    }
+
+    const result = await targetAchievement(period, filter)
+    if (!result) {
+      return res.status(400).json({ error: 'invalid_period', detail: 'Period must be a month (YYYY-MM) or a financial quarter (e.g. 2026-27-Q3)' })
+    }
+
+    res.json({ ...result, as_of: new Date().toISOString().slice(0, 10) })
+  } catch (error) {
+    console.error('Error fetching target achievement:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
 export default router
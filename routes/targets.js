@@ -0,0 +1,144 @@
+import express from 'express'
+import { q } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { validatePositiveNumber } from '../utils/validators.js'
+import { TARGET_SCOPES, parsePeriod } from '../utils/targets.js'
+
+const router = express.Router()
+
+// Validate one target and resolve the branch of an employee target; returns { valid, error, target }
+const prepareTarget = async (input) => {
+  const { period, scope, branch_code = null, emp_code = null, category = 'ALL', target_amount } = input || {}
+
+  const range = parsePeriod(period)
+  if (!range) {
+    return { valid: false, error: 'Period must be a month (YYYY-MM) or a financial quarter (e.g. 2026-27-Q3)' }
+  }
+  if (!TARGET_SCOPES.includes(scope)) {
+    return { valid: false, error: `Scope must be one of: ${TARGET_SCOPES.join(', ')}` }
+  }
+  const amountValidation = validatePositiveNumber(target_amount, 'Target amount', true)
+  if (!amountValidation.valid) return amountValidation
+
+  const target = {
+    period,
+    period_type: range.period_type,
+    scope,
+    category: String(category || 'ALL').toUpperCase(),
+    target_amount: amountValidation.value,
+    branch_code: null,
+    emp_code: null
+  }
+
+  if (scope === 'branch') {
+    const branches = await q(`
+      FOR branch IN branches
+      FILTER branch.branch_code == @branch_code
+      LIMIT 1
+      RETURN branch.branch_code
+    `, { branch_code: branch_code || '' })
+    if (!branches.length) return { valid: false, error: `Branch ${branch_code} not found` }
+    target.branch_code = branches[0]
+  } else {
+    // Employee targets carry the employee's branch so branch views include them
+    const users = await q(`
+      FOR user IN users
+      FILTER user.emp_code == @emp_code
+      LIMIT 1
+      RETURN { emp_code: user.emp_code, branch_code: user.branch_code }
+    `, { emp_code: emp_code || '' })
+    if (!users.length) return { valid: false, error: `Employee ${emp_code} not found` }
+    target.emp_code = users[0].emp_code
+    target.branch_code = users[0].branch_code || null
+  }
+
+  return { valid: true, target }
+}
+
+// List targets
+router.get('/', requireAuth, requirePermission('target.manage'), async (req, res) => {
+  try {
+    const { period, scope, branch_code } = req.query
+
+    const filterConditions = []
+    const bindVars = {}
+    if (period) {
+      filterConditions.push('target.period == @period')
+      bindVars.period = period
+    }
+    if (scope) {
+      filterConditions.push('target.scope == @scope')
+      bindVars.scope = scope
+    }
+    if (branch_code) {
+      filterConditions.push('target.branch_code == @branch_code')
+      bindVars.branch_code = branch_code
+    }
+
+    const targets = await q(`
+      FOR target IN targets
+      ${filterConditions.length ? `FILTER ${filterConditions.join(' AND ')}` : ''}
+      SORT target.period DESC, target.scope ASC, target.branch_code ASC, target.emp_code ASC, target.category ASC
+      RETURN MERGE(UNSET(target, '_id', '_rev'), { id: target._key })
+    `, bindVars)
+    res.json(targets)
+  } catch (error) {
+    console.error('Error fetching targets:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Set targets (one object or { targets: [...] }); an existing target for the same
+// period, scope, branch/employee and category is overwritten
+router.put('/', requireAuth, requirePermission('target.manage'), async (req, res) => {
+  try {
+    const inputs = Array.isArray(req.body?.targets) ? req.body.targets : [req.body]
+    if (!inputs.length || inputs.length > 500) {
+      return res.status(400).json({ error: 'validation_error', detail: 'Provide between 1 and 500 targets' })
+    }
+
+    const targets = []
+    for (const [index, input] of inputs.entries()) {
+      const prepared = await prepareTarget(input)
+      if (!prepared.valid) {
+        return res.status(400).json({ error: 'validation_error', detail: `Target ${index + 1}: ${prepared.error}` })
+      }
+      targets.push(prepared.target)
+    }
+
+    const now = new Date().toISOString()
+    const saved = await q(`
+      FOR target IN @targets
+      UPSERT { period: target.period, scope: target.scope, branch_code: target.branch_code, emp_code: target.emp_code, category: target.category }
+      INSERT MERGE(target, { created_by: @userId, created_at: @now, updated_at: @now })
+      UPDATE { target_amount: target.target_amount, updated_by: @userId, updated_at: @now }
+      IN targets
+      RETURN NEW._key
+    `, { targets, userId: req.user.sub, now })
+
+    res.json({ saved: saved.length, ids: saved })
+  } catch (error) {
+    console.error('Error saving targets:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Delete target
+router.delete('/:id', requireAuth, requirePermission('target.manage'), async (req, res) => {
+  try {
+    const removed = await q(`
+      FOR target IN targets
+      FILTER target._key == @id
+      REMOVE target IN targets
+      RETURN OLD._key
+    `, { id: req.params.id })
+
+    if (!removed.length) return res.status(404).json({ error: 'not_found' })
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error deleting target:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
@@ -0,0 +1,229 @@
+import express from 'express'
+import rateLimit from 'express-rate-limit'
+import { q, loadRoles } from '../config/database.js'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { createSession, getSessionKind } from '../utils/sessions.js'
+import {
+  twoFactorSubject, isTwoFactorRequired, beginEnrolment, confirmEnrolment, verifySecondFactor,
+  regenerateBackupCodes, disableTwoFactor, readChallenge
+} from '../utils/two-factor.js'
+import { checkLockout, recordLoginFailure, recordLoginSuccess, logLoginEvent, lockedOutResponse } from '../utils/login-security.js'
+
+const router = express.Router()
+const codeLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100 })
+
+// Enrolment works with a session, or with the challenge token of a login that
+// has to enrol before it gets one (2FA mandatory for its role)
+const requireAuthOrChallenge = (req, res, next) => {
+  const challengeToken = req.body?.challenge_token
+  if (!challengeToken) return requireAuth(req, res, next)
+  req.challenge = readChallenge(challengeToken)
+  if (!req.challenge) return res.status(401).json({ error: 'invalid_challenge', detail: 'Challenge token is invalid or has expired' })
+  next()
+}
+
+// The user or branch whose second factor a request is about
+const subjectOf = async (req) => {
+  if (req.challenge) {
+    return twoFactorSubject(req.challenge.kind, { userId: req.challenge.claims.sub, branchCode: req.challenge.claims.branch_code })
+  }
+  return twoFactorSubject(await getSessionKind(req.user.sid), { userId: req.user.sub, branchCode: req.user.branch_code })
+}
+
+// The second step is audited as its own attempt but counts against the login's account
+const challengeAttempt = (challenge) => ({ ...challenge.attempt, type: 'two_factor' })
+
+// The session a finished challenge gets: the same response as a login without 2FA
+const completeChallenge = async (req, challenge, reason) => {
+  const attempt = challengeAttempt(challenge)
+  await recordLoginSuccess(attempt)
+  await logLoginEvent(req, attempt, { outcome: 'success', reason })
+  return {
+    ...(await createSession(challenge.claims, { kind: challenge.kind, req })),
+    ...challenge.profile
+  }
+}
+
+// 2FA status of the current login
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const subject = await subjectOf(req)
+    if (!subject) return res.status(404).json({ error: 'not_found' })
+    res.json({
+      enabled: subject.two_factor?.enabled === true,
+      enabled_at: subject.two_factor?.enabled_at || null,
+      backup_codes_left: subject.two_factor?.backup_codes?.length || 0,
+      required: await isTwoFactorRequired(req.user.role)
+    })
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Start enrolment: a new secret and its otpauth:// URI for an authenticator app
+router.post('/setup', codeLimiter, requireAuthOrChallenge, async (req, res) => {
+  try {
+    const subject = await subjectOf(req)
+    if (!subject) return res.status(404).json({ error: 'not_found' })
+    if (subject.two_factor?.enabled) {
+      return res.status(409).json({ error: 'two_factor_enabled', detail: 'Two-factor authentication is already enabled' })
+    }
+
+    res.json(await beginEnrolment(subject))
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Confirm enrolment with a code from the app; returns the backup codes once.
+// With a challenge token the login completes too.
+router.post('/verify', codeLimiter, requireAuthOrChallenge, async (req, res) => {
+  try {
+    const subject = await subjectOf(req)
+    if (!subject) return res.status(404).json({ error: 'not_found' })
+    if (subject.two_factor?.enabled) {
+      return res.status(409).json({ error: 'two_factor_enabled', detail: 'Two-factor authentication is already enabled' })
+    }
+    if (!subject.two_factor?.pending_secret) {
+      return res.status(400).json({ error: 'setup_required', detail: 'Call /api/auth/2fa/setup first' })
+    }
+
+    const backupCodes = await confirmEnrolment(subject, req.body?.code)
+    if (!backupCodes) return res.status(400).json({ error: 'invalid_code', detail: 'Code is incorrect or has expired' })
+
+    if (req.challenge) {
+      return res.json({ enabled: true, backup_codes: backupCodes, ...(await completeChallenge(req, req.challenge, 'two_factor_enrolled')) })
+    }
+    res.json({ enabled: true, backup_codes: backupCodes })
+  } catch (error) {
+    console.error('Error verifying 2FA setup:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Second login step: exchange the challenge token and a code (or a backup code) for a session
+router.post('/challenge', codeLimiter, async (req, res) => {
+  try {
+    const { challenge_token, code, backup_code } = req.body || {}
+    if (!challenge_token || (!code && !backup_code)) {
+      return res.status(400).json({ error: 'missing_fields', detail: 'challenge_token and code or backup_code are required' })
+    }
+
+    const challenge = readChallenge(challenge_token)
+    if (!challenge) return res.status(401).json({ error: 'invalid_challenge', detail: 'Challenge token is invalid or has expired' })
+
+    const attempt = challengeAttempt(challenge)
+    const lockout = await checkLockout(req, attempt)
+    if (lockout.locked) {
+      await logLoginEvent(req, attempt, { outcome: 'locked', reason: `${lockout.scope}_locked` })
+      return res.set('Retry-After', String(lockout.retry_after)).status(429).json(lockedOutResponse(lockout))
+    }
+
+    const subject = await twoFactorSubject(challenge.kind, { userId: challenge.claims.sub, branchCode: challenge.claims.branch_code })
+    if (!subject?.two_factor?.enabled) {
+      return res.status(409).json({ error: 'two_factor_not_enrolled', detail: 'Enrol with /api/auth/2fa/setup and /api/auth/2fa/verify' })
+    }
+
+    const result = await verifySecondFactor(subject, { code, backup_code })
+    if (!result.valid) {
+      await recordLoginFailure(req, attempt)
+      await logLoginEvent(req, attempt, { outcome: 'failure', reason: backup_code && !code ? 'invalid_backup_code' : 'invalid_code' })
+      return res.status(401).json({ error: 'invalid_code', detail: 'Code is incorrect, expired or already used' })
+    }
+
+    res.json({
+      ...(await completeChallenge(req, challenge, result.method)),
+      ...(result.method === 'backup_code' ? { backup_codes_left: result.backup_codes_left } : {})
+    })
+  } catch (error) {
+    console.error('Error completing 2FA challenge:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Replace the backup codes (needs a current code from the app)
+router.post('/backup-codes', codeLimiter, requireAuth, async (req, res) => {
+  try {
+    const subject = await subjectOf(req)
+    if (!subject?.two_factor?.enabled) {
+      return res.status(409).json({ error: 'two_factor_not_enrolled' })
+    }
+
+    const result = await verifySecondFactor(subject, { code: req.body?.code })
+    if (!result.valid) return res.status(401).json({ error: 'invalid_code', detail: 'Code is incorrect, expired or already used' })
+
+    res.json({ backup_codes: await regenerateBackupCodes(subject) })
+  } catch (error) {
+    console.error('Error regenerating backup codes:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Turn 2FA off (needs a code or a backup code); not allowed where the role requires it
+router.post('/disable', codeLimiter, requireAuth, async (req, res) => {
+  try {
+    if (await isTwoFactorRequired(req.user.role)) {
+      return res.status(409).json({ error: 'two_factor_required', detail: `Two-factor authentication is mandatory for ${req.user.role}` })
+    }
+
+    const subject = await subjectOf(req)
+    if (!subject?.two_factor?.enabled) {
+      return res.status(409).json({ error: 'two_factor_not_enrolled' })
+    }
+
+    const { code, backup_code } = req.body || {}
+    const result = await verifySecondFactor(subject, { code, backup_code })
+    if (!result.valid) return res.status(401).json({ error: 'invalid_code', detail: 'Code is incorrect, expired or already used' })
+
+    await disableTwoFactor(subject)
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error disabling 2FA:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Roles for which 2FA is mandatory (security.manage)
+router.get('/policies', requireAuth, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const policies = await q(`
+      FOR policy IN two_factor_policies
+      SORT policy._key ASC
+      RETURN { role: policy._key, required: policy.required == true, updated_by: policy.updated_by, updated_at: policy.updated_at }
+    `)
+    res.json(policies)
+  } catch (error) {
+    console.error('Error fetching 2FA policies:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Make 2FA mandatory (or optional again) for a role (security.manage)
+router.put('/policies/:role', requireAuth, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const role = req.params.role.trim().toLowerCase()
+    const { required } = req.body || {}
+    if (!(await loadRoles()).has(role)) {
+      return res.status(404).json({ error: 'not_found', detail: `Unknown role: ${role}` })
+    }
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ error: 'validation_error', detail: 'required must be true or false' })
+    }
+
+    await q(`
+      UPSERT { _key: @role }
+      INSERT { _key: @role, required: @required, updated_by: @userId, updated_at: DATE_ISO8601(DATE_NOW()) }
+      UPDATE { required: @required, updated_by: @userId, updated_at: DATE_ISO8601(DATE_NOW()) }
+      IN two_factor_policies
+    `, { role, required, userId: req.user.sub })
+
+    res.json({ role, required })
+  } catch (error) {
+    console.error('Error saving 2FA policy:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+export default router
@@ -1,11 +1,23 @@
 import express from 'express'
 import bcrypt from 'bcryptjs'
-import { q, getCollection } from '../config/database.js'
-import { requireAuth, requireRole } from '../middleware/auth.js'
+import { q, getCollection, loadRoles } from '../config/database.js'
+import { requireAuth, requireAuthForPasswordChange, requirePermission } from '../middleware/auth.js'
 import { validateEmail, validateEmpCode, validatePassword, validateRequired } from '../utils/validators.js'
+import { scheduleBranchStatsRefresh } from '../utils/branch-stats.js'
+import { listUserSessions, revokeUserSessions } from '../utils/sessions.js'
+import { twoFactorSubject, disableTwoFactor } from '../utils/two-factor.js'
+import { parseLoginEventFilters, findLoginEvents } from '../utils/login-security.js'
 
 const router = express.Router()
 
+// A user's role has to be one defined in /api/roles
+const validateRole = async (role) => {
+  const roles = await loadRoles()
+  return roles.has(role)
+    ? { valid: true, value: role }
+    : { valid: false, error: `Role must be one of: ${[...roles.keys()].sort().join(', ')}` }
+}
+
 // Get current user profile
 router.get('/me', requireAuth, async (req, res) => {
   const users = await q(`
@@ -20,17 +32,19 @@ router.get('/me', requireAuth, async (req, res) => {
       branch: user.branch,
       role: user.role,
       is_active: user.is_active,
+      must_change_password: user.must_change_password == true,
       last_login_at: user.last_login_at,
       created_at: user.created_at
     }
   `, { id: req.user.sub })
   
   if (!users.length) return res.status(404).json({ error: 'not_found' })
-  res.json(users[0])
+  // What the session's role allows, for the client to show or hide actions
+  res.json({ ...users[0], scope: req.scope, permissions: [...req.permissions].sort() })
 })
 
-// Get all users (admin only)
-router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
+// Get all users (user.manage)
+router.get('/', requireAuth, requirePermission('user.manage'), async (req, res) => {
   const users = await q(`
     FOR user IN users 
     SORT user.created_at DESC
@@ -42,6 +56,7 @@ router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
       branch: user.branch,
       role: user.role,
       is_active: user.is_active,
+      must_change_password: user.must_change_password == true,
       last_login_at: user.last_login_at,
       created_at: user.created_at
     }
@@ -49,8 +64,8 @@ router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
   res.json(users)
 })
 
-// Create new user (admin only)
-router.post('/', requireAuth, requireRole('admin'), async (req, res) => {
+// Create new user (user.manage)
+router.post('/', requireAuth, requirePermission('user.manage'), async (req, res) => {
   const { emp_code, name, email, branch, role = 'employee', password } = req.body || {}
   
   // Validate required fields
@@ -78,6 +93,11 @@ router.post('/', requireAuth, requireRole('admin'), async (req, res) => {
       return res.status(400).json({ error: 'validation_error', detail: emailValidation.error })
     }
   }
+
+  const roleValidation = await validateRole(role)
+  if (!roleValidation.valid) {
+    return res.status(400).json({ error: 'validation_error', detail: roleValidation.error })
+  }
   
   const hash = await bcrypt.hash(passwordValidation.value, 10)
   try {
@@ -92,14 +112,15 @@ router.post('/', requireAuth, requireRole('admin'), async (req, res) => {
       created_at: new Date().toISOString()
     }
     const result = await getCollection('users').save(userDoc)
+    scheduleBranchStatsRefresh()
     res.status(201).json({ id: result._key })
   } catch (e) {
     res.status(400).json({ error: 'create_failed', detail: e.code || String(e) })
   }
 })
 
-// Update user (admin only)
-router.patch('/:id', requireAuth, requireRole('admin'), async (req, res) => {
+// Update user (user.manage)
+router.patch('/:id', requireAuth, requirePermission('user.manage'), async (req, res) => {
   const id = req.params.id
   const { name, email, branch, role, is_active } = req.body || {}
   const updates = {}
@@ -111,19 +132,32 @@ router.patch('/:id', requireAuth, requireRole('admin'), async (req, res) => {
   if (is_active !== undefined) updates.is_active = is_active
   
   if (Object.keys(updates).length === 0) return res.status(400).json({ error: 'no_updates' })
+  if (updates.role !== undefined) {
+    const roleValidation = await validateRole(updates.role)
+    if (!roleValidation.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: roleValidation.error })
+    }
+  }
   
   try {
-    await getCollection('users').update(id, updates)
+    const previous = await getCollection('users').update(id, updates, { returnOld: true })
+    if ('branch' in updates || 'is_active' in updates) scheduleBranchStatsRefresh()
+    if (updates.is_active === false) {
+      await revokeUserSessions(id, { reason: 'user_deactivated', revokedBy: req.user.sub })
+    } else if (updates.role !== undefined && previous.old.role !== updates.role) {
+      // Tokens carry the role, so the new one applies from the next login
+      await revokeUserSessions(id, { reason: 'role_changed', revokedBy: req.user.sub })
+    }
     res.status(204).end()
   } catch (e) {
     res.status(404).json({ error: 'not_found' })
   }
 })
 
-// Update user password
-router.patch('/:id/password', requireAuth, async (req, res) => {
+// Update user password; a user.manage reset of someone else's password makes them change it at next login
+router.patch('/:id/password', requireAuthForPasswordChange, async (req, res) => {
   const uid = req.params.id
-  if (!(req.user.role === 'admin' || String(req.user.sub) === String(uid))) return res.status(403).json({ error: 'forbidden' })
+  if (!(req.permissions.has('user.manage') || String(req.user.sub) === String(uid))) return res.status(403).json({ error: 'forbidden' })
   
   const { password } = req.body || {}
   
@@ -135,23 +169,85 @@ router.patch('/:id/password', requireAuth, async (req, res) => {
   
   const hash = await bcrypt.hash(passwordValidation.value, 10)
   
+  const isAdminReset = String(req.user.sub) !== String(uid)
+  
   try {
-    await getCollection('users').update(uid, { password_hash: hash })
+    await getCollection('users').update(uid, {
+      password_hash: hash,
+      must_change_password: isAdminReset,
+      password_changed_at: new Date().toISOString()
+    })
+    // An admin reset signs the user out everywhere; a user's own change keeps the current session
+    if (isAdminReset) {
+      await revokeUserSessions(uid, { reason: 'password_reset', revokedBy: req.user.sub })
+    }
     res.status(204).end()
   } catch (e) {
     res.status(404).json({ error: 'not_found' })
   }
 })
 
-// Delete user (admin only) - soft delete
-router.delete('/:id', requireAuth, requireRole('admin'), async (req, res) => {
+// Delete user (user.manage) - soft delete
+router.delete('/:id', requireAuth, requirePermission('user.manage'), async (req, res) => {
   const id = req.params.id
   try {
     await getCollection('users').update(id, { is_active: false })
+    scheduleBranchStatsRefresh()
+    await revokeUserSessions(id, { reason: 'user_deactivated', revokedBy: req.user.sub })
     res.status(204).end()
   } catch (e) {
     res.status(404).json({ error: 'not_found' })
   }
 })
 
+// A user's login attempts, newest first (user.manage); same filters as /api/security/login-events
+router.get('/:id/login-history', requireAuth, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const filters = parseLoginEventFilters(req.query)
+    if (!filters.valid) {
+      return res.status(400).json({ error: 'validation_error', detail: filters.error })
+    }
+
+    res.json(await findLoginEvents({ ...filters.value, userId: req.params.id }))
+  } catch (error) {
+    console.error('Error fetching login history:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// List a user's active sessions (user.manage)
+router.get('/:id/sessions', requireAuth, requirePermission('user.manage'), async (req, res) => {
+  try {
+    res.json(await listUserSessions(req.params.id))
+  } catch (error) {
+    console.error('Error fetching user sessions:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Revoke all of a user's sessions (user.manage); their tokens stop working at once
+router.delete('/:id/sessions', requireAuth, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.id, { reason: 'revoked_by_admin', revokedBy: req.user.sub })
+    res.json({ revoked })
+  } catch (error) {
+    console.error('Error revoking user sessions:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
+// Reset a user's 2FA, e.g. after a lost phone (user.manage); they enrol again at next login if their role requires it
+router.delete('/:id/two-factor', requireAuth, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const subject = await twoFactorSubject('user', { userId: req.params.id })
+    if (!subject) return res.status(404).json({ error: 'not_found' })
+    await disableTwoFactor(subject)
+    await revokeUserSessions(req.params.id, { reason: 'two_factor_reset', revokedBy: req.user.sub })
+    res.status(204).end()
+  } catch (error) {
+    console.error('Error resetting user 2FA:', error)
+    res.status(500).json({ error: 'server_error', detail: error.message })
+  }
+})
+
 export default router
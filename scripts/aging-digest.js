@@ -0,0 +1,119 @@
+import 'dotenv/config'
+import { q, getRoleAccess, getUserBranchScope } from '../config/database.js'
+import { findPendingReceipts, loadSlaThresholds, agingReport } from '../utils/aging.js'
+
+// Run daily (e.g. from cron). Writes one SLA breach digest per recipient to `notifications`:
+// makers get their own overdue receipts, users whose role covers a branch their branch's,
+// regional roles their branch subtree's, and roles covering all branches the breach count
+// of every branch. Keys are per day and user, so re-running the job on the same day creates nothing new.
+
+const MAX_LISTED = 50
+
+console.log('⏰ Building pending-receipt SLA digest...\n')
+
+const today = new Date().toISOString().split('T')[0]
+
+try {
+  const [receipts, thresholds, activeUsers] = await Promise.all([
+    findPendingReceipts(),
+    loadSlaThresholds(),
+    q(`
+      FOR user IN users
+      FILTER user.is_active == true
+      RETURN { id: user._key, role: user.role, branch: user.branch }
+    `)
+  ])
+  const users = []
+  for (const user of activeUsers) {
+    const { scope } = await getRoleAccess(user.role)
+    if (scope !== 'own') users.push({ ...user, scope })
+  }
+
+  const report = agingReport(receipts, thresholds, { today })
+  const breaches = report.aged.filter(receipt => receipt.sla_breached).sort((a, b) => b.age_days - a.age_days)
+
+  if (breaches.length === 0) {
+    console.log(`✅ ${report.total} pending receipt(s), none past their SLA`)
+    process.exit(0)
+  }
+
+  const listed = (rows) => rows.slice(0, MAX_LISTED).map(receipt => ({
+    receipt_id: receipt.receipt_id,
+    receipt_no: receipt.receipt_no || null,
+    status: receipt.status,
+    product_category: receipt.product_category,
+    branch: receipt.branch,
+    emp_code: receipt.emp_code,
+    investor_name: receipt.investor_name,
+    amount: receipt.amount,
+    age_days: receipt.age_days,
+    sla_days: receipt.sla_days
+  }))
+
+  const notification = (userId, title, rows, extra = {}) => ({
+    _key: `sla-${today}-${userId}`,
+    type: 'sla_breach_digest',
+    user_id: String(userId),
+    date: today,
+    title,
+    breaches: rows.length,
+    receipts: listed(rows),
+    ...extra,
+    read_at: null,
+    created_at: new Date().toISOString()
+  })
+
+  const groupBy = (rows, keyOf) => rows.reduce((groups, row) => {
+    const key = keyOf(row)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(row)
+    return groups
+  }, new Map())
+
+  // One digest per user; a branch digest covers the user's own receipts, an all-branches digest everything
+  const digests = new Map()
+  for (const [userId, rows] of groupBy(breaches.filter(receipt => receipt.user_id), receipt => String(receipt.user_id))) {
+    digests.set(userId, notification(userId, `${rows.length} of your receipt(s) are past their SLA`, rows))
+  }
+
+  const byBranch = groupBy(breaches, receipt => receipt.branch || null)
+  const branchSummary = report.by_branch
+    .filter(branch => branch.breaches > 0)
+    .map(({ branch, breaches, oldest_age_days }) => ({ branch, breaches, oldest_age_days }))
+  for (const user of users) {
+    if (user.scope === 'all') {
+      digests.set(user.id, notification(user.id, `${breaches.length} pending receipt(s) are past their SLA`, breaches, { by_branch: branchSummary }))
+    } else if (user.scope === 'region') {
+      const regionBranches = new Set((await getUserBranchScope(user.id)).receipt_branches)
+      const inRegion = (branch) => regionBranches.has(String(branch || '').trim().toUpperCase())
+      const rows = breaches.filter(receipt => inRegion(receipt.branch))
+      if (rows.length) {
+        digests.set(user.id, notification(user.id, `${rows.length} receipt(s) in your region are past their SLA`, rows, {
+          by_branch: branchSummary.filter(branch => inRegion(branch.branch))
+        }))
+      }
+    } else if (byBranch.has(user.branch)) {
+      const rows = byBranch.get(user.branch)
+      digests.set(user.id, notification(user.id, `${rows.length} receipt(s) in ${user.branch} are past their SLA`, rows))
+    }
+  }
+  const notifications = [...digests.values()]
+
+  const created = await q(`
+    FOR notification IN @notifications
+    INSERT notification INTO notifications OPTIONS { overwriteMode: 'ignore' }
+    RETURN NEW._key
+  `, { notifications })
+
+  console.log(`⚠️  ${breaches.length} of ${report.total} pending receipt(s) past their SLA`)
+  report.by_branch.filter(branch => branch.breaches > 0).forEach(branch => {
+    console.log(`   - ${branch.branch || '(no branch)'}: ${branch.breaches} breach(es), oldest ${branch.oldest_age_days} day(s)`)
+  })
+  console.log(`\n🎉 ${created.length} digest notification(s) processed`)
+
+} catch (error) {
+  console.error('❌ Error building SLA digest:', error)
+  process.exit(1)
+}
+
+process.exit(0)
@@ -0,0 +1,80 @@
+import 'dotenv/config'
+import { q } from '../config/database.js'
+
+// Usage: node scripts/check-duplicate-ids.js [--fix]
+// --fix raises ID counters that have fallen behind the data; duplicates are only reported.
+const fix = process.argv.includes('--fix')
+
+console.log('🔍 Checking for duplicate IDs...\n')
+
+const checks = [
+  { label: 'Customer investor_id', collection: 'customers', field: 'investor_id', counter: 'investor_id' },
+  { label: 'Issue id', collection: 'issues', field: 'id', counter: 'issue_id' },
+  { label: 'Receipt receipt_no', collection: 'receipts', field: 'receipt_no' }
+]
+
+let problems = 0
+
+try {
+  for (const check of checks) {
+    const duplicates = await q(`
+      FOR doc IN @@collection
+      FILTER doc.@field != null
+      COLLECT value = doc.@field INTO docs = doc._key
+      FILTER LENGTH(docs) > 1
+      SORT value ASC
+      RETURN { value, keys: docs }
+    `, { '@collection': check.collection, field: check.field })
+
+    if (duplicates.length === 0) {
+      console.log(`✅ ${check.label}: no duplicates`)
+    } else {
+      problems += duplicates.length
+      console.log(`⚠️  ${check.label}: ${duplicates.length} duplicated value(s)`)
+      duplicates.forEach(dup => {
+        console.log(`   - ${dup.value} used by ${check.collection} keys: ${dup.keys.join(', ')}`)
+      })
+    }
+
+    if (!check.counter) continue
+
+    // The counter must be at least the highest ID already stored
+    const [state] = await q(`
+      LET maxValue = FIRST(
+        FOR doc IN @@collection
+        FILTER IS_NUMBER(doc.@field)
+        SORT doc.@field DESC
+        LIMIT 1
+        RETURN doc.@field
+      )
+      LET counter = DOCUMENT('counters', @counter)
+      RETURN { maxValue: maxValue || 0, counterValue: counter ? counter.value : null }
+    `, { '@collection': check.collection, field: check.field, counter: check.counter })
+
+    if (state.counterValue === null) {
+      console.log(`   ℹ️  Counter '${check.counter}' not created yet (seeded from ${state.maxValue} on first use)`)
+    } else if (state.counterValue < state.maxValue) {
+      problems++
+      console.log(`   ⚠️  Counter '${check.counter}' is at ${state.counterValue} but highest ${check.field} is ${state.maxValue}`)
+      if (fix) {
+        await q(`
+          UPDATE @counter WITH { value: @value, updated_at: DATE_ISO8601(DATE_NOW()) } IN counters
+        `, { counter: check.counter, value: state.maxValue })
+        console.log(`   🔧 Counter '${check.counter}' raised to ${state.maxValue}`)
+      }
+    } else {
+      console.log(`   ✅ Counter '${check.counter}' at ${state.counterValue} (highest ${check.field}: ${state.maxValue})`)
+    }
+  }
+
+  if (problems === 0) {
+    console.log('\n🎉 No duplicate IDs found')
+  } else {
+    console.log(`\n⚠️  ${problems} problem(s) found${fix ? '' : ' - run with --fix to repair counters'}`)
+  }
+} catch (error) {
+  console.error('❌ Error checking IDs:', error)
+  process.exit(1)
+}
+
+process.exit(problems === 0 ? 0 : 2)
@@ -0,0 +1,66 @@
+import 'dotenv/config'
+import { q } from '../config/database.js'
+import { REMINDER_DAYS, addDays, daysBetween, dueReminder, findMaturities } from '../utils/fd-maturities.js'
+
+// Run daily (e.g. from cron). Creates one reminder task per deposit and threshold for the owning RM;
+// task keys are deterministic so re-running the job on the same day creates nothing new.
+
+console.log('🔔 Creating FD maturity reminders...\n')
+
+const today = new Date().toISOString().split('T')[0]
+
+try {
+  const maturities = await findMaturities({
+    from: today,
+    to: addDays(today, Math.max(...REMINDER_DAYS)),
+    status: 'open'
+  })
+
+  const tasks = []
+  for (const maturity of maturities) {
+    const daysLeft = daysBetween(today, maturity.maturity_date)
+    const reminderDays = dueReminder(daysLeft)
+    if (!reminderDays || !maturity.user_id) continue
+
+    tasks.push({
+      _key: `fdm-${maturity.receipt_id}-${reminderDays}`,
+      type: 'fd_maturity_reminder',
+      receipt_id: maturity.receipt_id,
+      receipt_no: maturity.receipt_no || null,
+      assigned_to: String(maturity.user_id),
+      emp_code: maturity.emp_code || null,
+      branch: maturity.branch || null,
+      investor_id: maturity.investor_id,
+      investor_name: maturity.investor_name,
+      title: `FD maturing in ${daysLeft} day(s): ${maturity.investor_name || maturity.investor_id} - ${maturity.issuer || 'FD'}`,
+      reminder_days: reminderDays,
+      due_date: maturity.maturity_date,
+      maturity_amount: maturity.maturity_amount,
+      status: 'open',
+      created_at: new Date().toISOString()
+    })
+  }
+
+  if (tasks.length === 0) {
+    console.log('✅ No reminders due today')
+    process.exit(0)
+  }
+
+  const created = await q(`
+    FOR task IN @tasks
+    INSERT task INTO tasks OPTIONS { overwriteMode: 'ignore' }
+    RETURN NEW._key
+  `, { tasks })
+
+  console.log(`✅ ${maturities.length} open maturit(ies) in the next ${Math.max(...REMINDER_DAYS)} days, ${tasks.length} reminder(s) due`)
+  tasks.forEach(task => {
+    console.log(`   - ${task.title} → RM ${task.emp_code || task.assigned_to} (${task.reminder_days}-day reminder)`)
+  })
+  console.log(`\n🎉 ${created.length} reminder task(s) processed`)
+
+} catch (error) {
+  console.error('❌ Error creating FD maturity reminders:', error)
+  process.exit(1)
+}
+
+process.exit(0)
@@ -23,9 +23,11 @@ try {
   // Hash default password for all users
   const defaultPasswordHash = await bcrypt.hash('password123', 10)
   
+  // Everyone starts on the default password and has to change it at first login
   const usersWithPasswords = usersData.map(user => ({
     ...user,
     password_hash: defaultPasswordHash,
+    must_change_password: true,
     updated_at: new Date().toISOString()
   }))
   
@@ -52,14 +54,17 @@ try {
   const branchesCollection = db.collection('branches')
   await branchesCollection.truncate() // Clear existing branches
   
-  const branchesResult = await branchesCollection.import(branchesData)
+  const branchesResult = await branchesCollection.import(branchesData.map(branch => ({
+    ...branch,
+    must_change_password: true
+  })))
   console.log(`✅ Branches imported: ${branchesResult.imported} records`)
 
   console.log('\n📊 Import Summary:')
   console.log(`👥 Users: ${usersResult.imported} records`)
   console.log(`👤 Customers: ${customersResult.imported} records`)
   console.log(`🏢 Branches: ${branchesResult.imported} records`)
-  console.log('\n🔐 Default password for all users: password123')
+  console.log('\n🔐 Default password for all users: password123 (must be changed at first login)')
   console.log('✅ All data imported successfully!')
 
 } catch (error) {
@@ -0,0 +1,19 @@
+import 'dotenv/config'
+import { recomputeBranchStats } from '../utils/branch-stats.js'
+
+// Run on a schedule (e.g. hourly from cron) so branch counters also catch changes made
+// outside the API, such as imports. Same as POST /api/branches/recompute-stats.
+
+console.log('🏢 Recomputing branch counters...\n')
+
+try {
+  const branches = await recomputeBranchStats()
+  for (const branch of branches) {
+    console.log(`   ${branch.branch_code}: ${branch.total_employees} employees, ${branch.total_customers} customers, ${branch.total_receipts} receipts, ₹${branch.total_investments}`)
+  }
+  console.log(`\n✅ Updated ${branches.length} branch(es)`)
+  process.exit(0)
+} catch (error) {
+  console.error('❌ Error recomputing branch counters:', error)
+  process.exit(1)
+}
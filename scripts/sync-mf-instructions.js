@@ -0,0 +1,63 @@
+import 'dotenv/config'
+import { q, getCollection } from '../config/database.js'
+import { buildSchedule, createInstructionForReceipt, SCHEDULE_HORIZON_MONTHS } from '../utils/mf-instructions.js'
+
+// Backfills instructions for Completed SIP/STP/SWP receipts and keeps perpetual
+// schedules SCHEDULE_HORIZON_MONTHS ahead. Safe to run repeatedly (e.g. weekly from cron).
+
+console.log('🔄 Syncing SIP/STP/SWP instructions...\n')
+
+const today = new Date().toISOString().split('T')[0]
+
+try {
+  // Completed receipts carrying an instruction that has not been created yet
+  const receipts = await q(`
+    FOR receipt IN receipts
+    FILTER receipt.is_deleted == false AND receipt.status == "Completed"
+    FILTER receipt.transaction_type IN ["SIP", "STP", "SWP"] OR receipt.mode IN ["SIP", "STP", "SWP"]
+    FILTER LENGTH(FOR instruction IN mf_instructions FILTER instruction.receipt_id == receipt._key LIMIT 1 RETURN 1) == 0
+    RETURN UNSET(receipt, 'pdf_data', 'files')
+  `)
+
+  let created = 0
+  let skipped = 0
+  for (const receipt of receipts) {
+    const key = await createInstructionForReceipt(receipt)
+    if (key) {
+      created++
+    } else {
+      skipped++
+      console.log(`   - Skipped receipt ${receipt.receipt_no || receipt._key}: no frequency or start date`)
+    }
+  }
+  console.log(`✅ Created ${created} instruction(s)${skipped ? `, skipped ${skipped}` : ''}`)
+
+  // Perpetual schedules running out within half the horizon are extended
+  const extendBefore = new Date(`${today}T00:00:00Z`)
+  extendBefore.setUTCMonth(extendBefore.getUTCMonth() + SCHEDULE_HORIZON_MONTHS / 2)
+
+  const perpetual = await q(`
+    FOR instruction IN mf_instructions
+    FILTER instruction.is_perpetual == true AND instruction.status != "cancelled"
+    FILTER instruction.schedule_until == null OR instruction.schedule_until < @extendBefore
+    RETURN instruction
+  `, { extendBefore: extendBefore.toISOString().slice(0, 10) })
+
+  for (const instruction of perpetual) {
+    const schedule = buildSchedule(instruction, today, today)
+    await getCollection('mf_instructions').update(instruction._key, {
+      schedule,
+      schedule_until: schedule.length ? schedule[schedule.length - 1].due_date : null,
+      updated_at: new Date().toISOString()
+    })
+  }
+  console.log(`✅ Extended ${perpetual.length} perpetual schedule(s)`)
+
+  console.log(`\n🎉 Instruction sync completed successfully!`)
+
+} catch (error) {
+  console.error('❌ Error syncing instructions:', error)
+  process.exit(1)
+}
+
+process.exit(0)
@@ -18,6 +18,18 @@ import exportRoutes from './routes/export.js'
 import issueRoutes from './routes/issues.js'
 import schemeRoutes from './routes/schemes.js'
 import fdSchemeRoutes from './routes/fd-schemes.js'
+import fdMaturityRoutes from './routes/fd-maturities.js'
+import mfInstructionRoutes from './routes/mf-instructions.js'
+import brokerageRateRoutes from './routes/brokerage-rates.js'
+import brokerageStatementRoutes from './routes/brokerage-statements.js'
+import incentiveRoutes from './routes/incentives.js'
+import targetRoutes from './routes/targets.js'
+import slaThresholdRoutes from './routes/sla-thresholds.js'
+import notificationRoutes from './routes/notifications.js'
+import branchAliasRoutes from './routes/branch-aliases.js'
+import twoFactorRoutes from './routes/two-factor.js'
+import securityRoutes from './routes/security.js'
+import roleRoutes from './routes/roles.js'
 
 const app = express()
 
@@ -63,6 +75,18 @@ app.use('/api/export', exportRoutes)
 app.use('/api/issues', issueRoutes)
 app.use('/api/schemes', schemeRoutes) // MF Schemes routes
 app.use('/api/fd-schemes', fdSchemeRoutes) // FD Schemes routes
+app.use('/api/fd', fdMaturityRoutes) // FD maturity tracker
+app.use('/api/instructions', mfInstructionRoutes) // SIP/STP/SWP instructions
+app.use('/api/brokerage-rates', brokerageRateRoutes) // Commission rate cards
+app.use('/api/brokerage-statements', brokerageStatementRoutes) // AMC/issuer statement reconciliation
+app.use('/api/incentives', incentiveRoutes) // Employee incentive runs
+app.use('/api/targets', targetRoutes) // Branch and employee targets
+app.use('/api/sla-thresholds', slaThresholdRoutes) // Pending-receipt SLA per category
+app.use('/api/notifications', notificationRoutes) // In-app notifications
+app.use('/api/branch-aliases', branchAliasRoutes) // Branch name aliases
+app.use('/api/auth/2fa', twoFactorRoutes) // TOTP two-factor authentication
+app.use('/api/security', securityRoutes) // Login audit trail and lockouts
+app.use('/api/roles', roleRoutes) // Roles and their permissions
 
 // Health endpoint for database connection
 app.get('/health', async (req, res) => {
@@ -1,5 +1,7 @@
 import 'dotenv/config'
 import { Database } from 'arangojs'
+import { CollectionType } from 'arangojs/collections'
+import { ADMIN_ROLE, BUILT_IN_ROLES } from './config/permissions.js'
 
 const {
   ARANGO_URL = 'http://localhost:8529',
@@ -87,6 +89,139 @@ async function setupDatabase() {
         options: {
           keyOptions: { type: 'autoincrement' }
         }
+      },
+      {
+        name: 'receipt_status_history',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        name: 'receipt_versions',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        name: 'counters',
+        options: {
+          keyOptions: { type: 'traditional' }
+        }
+      },
+      {
+        name: 'idempotency_keys',
+        options: {
+          keyOptions: { type: 'traditional' }
+        }
+      },
+      {
+        name: 'customer_tombstones',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        name: 'tasks',
+        options: {
+          keyOptions: { type: 'traditional' }
+        }
+      },
+      {
+        name: 'mf_instructions',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        name: 'brokerage_rates',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        name: 'brokerage_statement_sources',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        name: 'brokerage_statements',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        name: 'brokerage_statement_lines',
+        options: {
+          keyOptions: { type: 'traditional' }
+        }
+      },
+      {
+        name: 'incentive_policies',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        name: 'incentive_runs',
+        options: {
+          keyOptions: { type: 'traditional' }
+        }
+      },
+      {
+        name: 'targets',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        name: 'sla_thresholds',
+        options: {
+          keyOptions: { type: 'traditional' }
+        }
+      },
+      {
+        name: 'notifications',
+        options: {
+          keyOptions: { type: 'traditional' }
+        }
+      },
+      {
+        name: 'branch_aliases',
+        options: {
+          keyOptions: { type: 'autoincrement' }
+        }
+      },
+      {
+        // Edges from a parent branch (e.g. a regional office) to the branches it supervises
+        name: 'branch_hierarchy',
+        options: {
+          type: CollectionType.EDGE_COLLECTION
+        }
+      },
+      {
+        // One per login; holds the hashed refresh token
+        name: 'sessions'
+      },
+      {
+        // Hashed one-time password reset tokens
+        name: 'password_resets'
+      },
+      {
+        // Roles for which 2FA is mandatory, keyed by role
+        name: 'two_factor_policies'
+      },
+      {
+        // Audit trail of every login attempt
+        name: 'login_events'
+      },
+      {
+        // Failure counters and lockouts per account and per IP
+        name: 'login_failures'
+      },
+      {
+        // Permission sets and data scope per role, keyed by role
+        name: 'roles'
       }
     ]
     
@@ -242,6 +377,194 @@ async function setupDatabase() {
         collection: 'issues',
         type: 'persistent',
         fields: ['created_at']
+      },
+      {
+        collection: 'receipts',
+        type: 'persistent',
+        fields: ['status']
+      },
+      {
+        collection: 'receipt_status_history',
+        type: 'persistent',
+        fields: ['receipt_id', 'created_at']
+      },
+      {
+        collection: 'receipt_versions',
+        type: 'persistent',
+        fields: ['receipt_id', 'version'],
+        unique: true
+      },
+      {
+        collection: 'receipts',
+        type: 'persistent',
+        fields: ['receipt_no'],
+        unique: true,
+        sparse: true
+      },
+      {
+        collection: 'counters',
+        type: 'persistent',
+        fields: ['scope']
+      },
+      // Stored responses are only replayed for 24 hours
+      {
+        collection: 'idempotency_keys',
+        type: 'ttl',
+        fields: ['created_at'],
+        expireAfter: 24 * 60 * 60
+      },
+      {
+        collection: 'customer_tombstones',
+        type: 'persistent',
+        fields: ['investor_id'],
+        unique: true
+      },
+      {
+        collection: 'customer_tombstones',
+        type: 'persistent',
+        fields: ['merged_into']
+      },
+      {
+        collection: 'receipts',
+        type: 'persistent',
+        fields: ['fd_maturity_date'],
+        sparse: true
+      },
+      {
+        collection: 'tasks',
+        type: 'persistent',
+        fields: ['assigned_to', 'status']
+      },
+      {
+        collection: 'tasks',
+        type: 'persistent',
+        fields: ['receipt_id']
+      },
+      {
+        collection: 'mf_instructions',
+        type: 'persistent',
+        fields: ['receipt_id'],
+        unique: true
+      },
+      {
+        collection: 'mf_instructions',
+        type: 'persistent',
+        fields: ['investor_id']
+      },
+      {
+        collection: 'mf_instructions',
+        type: 'persistent',
+        fields: ['branch', 'type']
+      },
+      {
+        collection: 'brokerage_rates',
+        type: 'persistent',
+        fields: ['category', 'effective_from']
+      },
+      {
+        collection: 'brokerage_statement_sources',
+        type: 'persistent',
+        fields: ['code']
+      },
+      {
+        collection: 'brokerage_statements',
+        type: 'persistent',
+        fields: ['source_code', 'period']
+      },
+      {
+        collection: 'brokerage_statement_lines',
+        type: 'persistent',
+        fields: ['statement_id', 'row']
+      },
+      {
+        collection: 'incentive_policies',
+        type: 'persistent',
+        fields: ['effective_from']
+      },
+      {
+        collection: 'receipts',
+        type: 'persistent',
+        fields: ['emp_code', 'date']
+      },
+      {
+        collection: 'targets',
+        type: 'persistent',
+        fields: ['period', 'scope', 'branch_code', 'emp_code', 'category'],
+        unique: true
+      },
+      {
+        collection: 'notifications',
+        type: 'persistent',
+        fields: ['user_id', 'created_at']
+      },
+      {
+        collection: 'branch_aliases',
+        type: 'persistent',
+        fields: ['alias_key'],
+        unique: true
+      },
+      {
+        // A branch has at most one parent
+        collection: 'branch_hierarchy',
+        type: 'persistent',
+        fields: ['_to'],
+        unique: true
+      },
+      {
+        collection: 'sessions',
+        type: 'persistent',
+        fields: ['user_id', 'revoked_at']
+      },
+      {
+        // Keep expired sessions for a week, then drop them
+        collection: 'sessions',
+        type: 'ttl',
+        fields: ['expires_at'],
+        expireAfter: 7 * 24 * 60 * 60
+      },
+      {
+        collection: 'password_resets',
+        type: 'persistent',
+        fields: ['token_hash'],
+        unique: true
+      },
+      {
+        collection: 'password_resets',
+        type: 'persistent',
+        fields: ['user_id']
+      },
+      {
+        collection: 'password_resets',
+        type: 'ttl',
+        fields: ['expires_at'],
+        expireAfter: 24 * 60 * 60
+      },
+      {
+        collection: 'login_events',
+        type: 'persistent',
+        fields: ['created_at']
+      },
+      {
+        collection: 'login_events',
+        type: 'persistent',
+        fields: ['user_id', 'created_at']
+      },
+      {
+        collection: 'login_events',
+        type: 'persistent',
+        fields: ['ip', 'created_at']
+      },
+      {
+        collection: 'login_failures',
+        type: 'persistent',
+        fields: ['locked_until']
+      },
+      {
+        // Counters untouched for a week are dropped
+        collection: 'login_failures',
+        type: 'ttl',
+        fields: ['last_failed_at'],
+        expireAfter: 7 * 24 * 60 * 60
       }
     ]
     
@@ -260,6 +583,11 @@ async function setupDatabase() {
           indexOptions.minLength = index.minLength || 2
         }
         
+        // Add ttl-specific options
+        if (index.type === 'ttl') {
+          indexOptions.expireAfter = index.expireAfter
+        }
+        
         await collection.ensureIndex(indexOptions)
         console.log(`${index.type} index created on ${index.collection}.${index.fields.join(', ')}`)
       } catch (error) {
@@ -353,6 +681,74 @@ async function setupDatabase() {
       console.warn('Could not add schema validation to fd_issuers:', error.message)
     }
     
+    // Seed the branch aliases that used to be hardcoded; existing aliases are left alone
+    const branchAliases = {
+      'H.O': 'HO',
+      'HO': 'HO',
+      'HEAD OFFICE': 'HO',
+      'HEADOFFICE': 'HO',
+      'CHENNAI RO': 'CHENNAI',
+      'CHENNAI - MADIPAKKAM': 'MADIPAKKAM',
+      'CHEMBUR - MUMBAI': 'CHEMBUR',
+      'JAYANAGAR': 'JAYANAGAR',
+      'VIZAG': 'VIZAG',
+      'MALLESWARAM': 'MALLESWARAM',
+      'BAGH AMBERPET': 'BAGH AMBERPET',
+      'KUKAT PALLY': 'KUKATPALLY',
+      'AMEER PET': 'AMEERPET',
+      'RAJAHMUNDRY': 'RAJAHMUNDRY',
+      'DILSUKHNAGAR': 'DILSUKHNAGAR',
+      'MADHAPUR': 'MADHAPUR',
+      'MALKAJGIRI': 'MALKAJGIRI',
+      'SUCHITRA': 'SUCHITRA',
+      'TRIMULGHERRY': 'TRIMULGHERRY',
+      'WARANGAL': 'WARANGAL',
+      'GAJUWAKA': 'GAJUWAKA',
+      'VIJAYAWADA': 'VIJAYAWADA',
+      'BASHEERBAGH': 'BASHEERBAGH',
+      'HABSIGUDA': 'HABSIGUDA',
+      'COIMBATORE': 'COIMBATORE'
+    }
+    
+    try {
+      const cursor = await appDb.query(`
+        FOR entry IN @aliases
+        UPSERT { alias_key: entry.alias }
+        INSERT { alias: entry.alias, alias_key: entry.alias, relationship_manager: entry.relationship_manager, branch_code: null, created_at: DATE_ISO8601(DATE_NOW()) }
+        UPDATE {}
+        IN branch_aliases
+        RETURN OLD ? null : NEW._key
+      `, { aliases: Object.entries(branchAliases).map(([alias, relationship_manager]) => ({ alias, relationship_manager })) })
+      const seeded = (await cursor.all()).filter(Boolean)
+      console.log(`Branch aliases seeded: ${seeded.length} new`)
+    } catch (error) {
+      console.warn('Could not seed branch aliases:', error.message)
+    }
+    
+    // Seed the built-in roles with their default permissions. Stored roles keep their edits
+    // and only gain defaults added since they were last seeded (seeded_permissions).
+    try {
+      const cursor = await appDb.query(`
+        FOR entry IN @roles
+        UPSERT { _key: entry.role }
+        INSERT { _key: entry.role, name: entry.name, scope: entry.scope, permissions: entry.permissions, seeded_permissions: entry.permissions, created_at: DATE_ISO8601(DATE_NOW()) }
+        UPDATE {
+          permissions: UNION_DISTINCT(OLD.permissions, MINUS(entry.permissions, OLD.seeded_permissions || OLD.permissions)),
+          seeded_permissions: entry.permissions
+        }
+        IN roles
+        RETURN OLD ? null : NEW._key
+      `, {
+        roles: Object.entries(BUILT_IN_ROLES)
+          .filter(([role]) => role !== ADMIN_ROLE)
+          .map(([role, { name, scope, permissions }]) => ({ role, name, scope, permissions }))
+      })
+      const seeded = (await cursor.all()).filter(Boolean)
+      console.log(`Roles seeded: ${seeded.length} new`)
+    } catch (error) {
+      console.warn('Could not seed roles:', error.message)
+    }
+    
     console.log('ArangoDB setup completed successfully!')
     
   } catch (error) {
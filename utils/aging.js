@@ -0,0 +1,131 @@
+// Aging of receipts still waiting in the workflow, and SLA breaches
+//
+// A receipt's age is whole days since it was created (its receipt date for
+// older receipts without created_at). A receipt breaches its SLA once its age
+// exceeds the threshold for its product category.
+
+import { q } from '../config/database.js'
+import { DEFAULT_SLA_DAYS } from '../config/environment.js'
+import { PENDING_STATUSES } from './receipt-workflow.js'
+
+export const AGE_BUCKETS = [
+  { label: '0-1d', min: 0, max: 1 },
+  { label: '2-3d', min: 2, max: 3 },
+  { label: '4-7d', min: 4, max: 7 },
+  { label: '>7d', min: 8, max: null }
+]
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Drafts have not been submitted yet, so they are not waiting on anyone and cannot breach an SLA
+const AGING_STATUSES = PENDING_STATUSES.filter(status => status !== 'Draft')
+
+export const ageInDays = (since, today) =>
+  Math.max(0, Math.floor((new Date(today) - new Date(String(since).slice(0, 10))) / DAY))
+
+export const ageBucket = (age) => AGE_BUCKETS.find(bucket => age >= bucket.min && (bucket.max == null || age <= bucket.max)).label
+
+/**
+ * SLA thresholds: { default, by_category: { MF: 2, ... } }
+ */
+export async function loadSlaThresholds() {
+  const rows = await q(`
+    FOR threshold IN sla_thresholds
+    RETURN { category: threshold._key, max_age_days: threshold.max_age_days }
+  `)
+  return {
+    default: Number(DEFAULT_SLA_DAYS),
+    by_category: Object.fromEntries(rows.map(row => [row.category, row.max_age_days]))
+  }
+}
+
+export const slaDaysFor = (thresholds, category) => thresholds.by_category[category] ?? thresholds.default
+
+/**
+ * Non-deleted receipts still pending, drafts excluded (legacy receipts without a status included)
+ */
+export async function findPendingReceipts({ branch = null, branches = null, userId = null } = {}) {
+  const filterConditions = [
+    'receipt.is_deleted == false',
+    '(receipt.status IN @statuses OR receipt.status == null)'
+  ]
+  const bindVars = { statuses: AGING_STATUSES }
+  if (branch) {
+    filterConditions.push('receipt.branch == @branch')
+    bindVars.branch = branch
+  }
+  if (branches) {
+    // Upper-cased branch values, e.g. a regional manager's subtree
+    filterConditions.push('UPPER(receipt.branch) IN @branches')
+    bindVars.branches = branches
+  }
+  if (userId) {
+    filterConditions.push('receipt.user_id == @user_id')
+    bindVars.user_id = userId
+  }
+
+  return q(`
+    FOR receipt IN receipts
+    FILTER ${filterConditions.join(' AND ')}
+    RETURN {
+      receipt_id: receipt._key,
+      receipt_no: receipt.receipt_no,
+      status: receipt.status || null,
+      date: receipt.date,
+      created_at: receipt.created_at,
+      product_category: receipt.product_category,
+      branch: receipt.branch,
+      emp_code: receipt.emp_code,
+      employee_name: receipt.employee_name,
+      user_id: receipt.user_id,
+      investor_id: receipt.investor_id,
+      investor_name: receipt.investor_name,
+      amount: receipt.investment_amount || receipt.fd_deposit_amount || 0
+    }
+  `, bindVars)
+}
+
+const emptyBuckets = () => Object.fromEntries(AGE_BUCKETS.map(bucket => [bucket.label, 0]))
+
+/**
+ * Age every receipt against its SLA and roll the result up by branch and employee
+ */
+export function agingReport(receipts, thresholds, { today = new Date().toISOString().slice(0, 10), oldestLimit = 20 } = {}) {
+  const aged = receipts.map(receipt => {
+    const age = ageInDays(receipt.created_at || receipt.date, today)
+    const slaDays = slaDaysFor(thresholds, receipt.product_category)
+    return { ...receipt, age_days: age, age_bucket: ageBucket(age), sla_days: slaDays, sla_breached: age > slaDays }
+  })
+
+  const rollUp = (keyOf, describe) => {
+    const groups = new Map()
+    for (const receipt of aged) {
+      const key = keyOf(receipt)
+      if (!groups.has(key)) groups.set(key, { ...describe(receipt), total: 0, breaches: 0, oldest_age_days: 0, buckets: emptyBuckets() })
+      const group = groups.get(key)
+      group.total += 1
+      group.buckets[receipt.age_bucket] += 1
+      if (receipt.sla_breached) group.breaches += 1
+      group.oldest_age_days = Math.max(group.oldest_age_days, receipt.age_days)
+    }
+    return [...groups.values()].sort((a, b) => b.breaches - a.breaches || b.oldest_age_days - a.oldest_age_days)
+  }
+
+  const buckets = emptyBuckets()
+  aged.forEach(receipt => { buckets[receipt.age_bucket] += 1 })
+
+  return {
+    as_of: today,
+    total: aged.length,
+    breaches: aged.filter(receipt => receipt.sla_breached).length,
+    buckets,
+    sla: thresholds,
+    by_branch: rollUp(receipt => receipt.branch || null, receipt => ({ branch: receipt.branch || null })),
+    by_employee: rollUp(
+      receipt => receipt.emp_code || receipt.user_id || null,
+      receipt => ({ emp_code: receipt.emp_code || null, employee_name: receipt.employee_name || null, user_id: receipt.user_id || null, branch: receipt.branch || null })
+    ),
+    oldest: [...aged].sort((a, b) => b.age_days - a.age_days).slice(0, oldestLimit),
+    aged
+  }
+}
@@ -0,0 +1,97 @@
+// Branch hierarchy held in memory for roll-ups and edits
+//
+// branch_hierarchy is an edge collection from a parent branch (e.g. a regional
+// office) to each branch it supervises. A branch has at most one parent.
+
+import { q, loadBranchAliases } from '../config/database.js'
+
+/**
+ * { branches: Map code -> { key, code, name, branch_type }, parent: Map code -> code, children: Map code -> [codes] }
+ */
+export async function loadBranchHierarchy() {
+  const [branches, edges] = await Promise.all([
+    q(`
+      FOR branch IN branches
+      RETURN { key: branch._key, code: branch.branch_code, name: branch.branch_name, branch_type: branch.branch_type, is_active: branch.is_active }
+    `),
+    q(`
+      FOR edge IN branch_hierarchy
+      LET parent = DOCUMENT(edge._from)
+      LET child = DOCUMENT(edge._to)
+      FILTER parent != null AND child != null
+      RETURN { parent: parent.branch_code, child: child.branch_code }
+    `)
+  ])
+
+  const parent = new Map()
+  const children = new Map()
+  for (const edge of edges) {
+    parent.set(edge.child, edge.parent)
+    if (!children.has(edge.parent)) children.set(edge.parent, [])
+    children.get(edge.parent).push(edge.child)
+  }
+  return { branches: new Map(branches.map(branch => [branch.code, branch])), parent, children }
+}
+
+/**
+ * A branch code and every code below it
+ */
+export function subtreeCodes(hierarchy, code) {
+  const codes = []
+  const pending = [code]
+  while (pending.length) {
+    const current = pending.shift()
+    if (codes.includes(current)) continue
+    codes.push(current)
+    pending.push(...(hierarchy.children.get(current) || []))
+  }
+  return codes
+}
+
+/**
+ * Ancestors of a branch from its parent up to the root
+ */
+export function ancestorCodes(hierarchy, code) {
+  const codes = []
+  let current = hierarchy.parent.get(code)
+  while (current && !codes.includes(current)) {
+    codes.push(current)
+    current = hierarchy.parent.get(current)
+  }
+  return codes
+}
+
+/**
+ * Nested tree of the hierarchy: [{ branch_code, branch_name, branch_type, children: [...] }]
+ */
+export function hierarchyTree(hierarchy, rootCodes = null) {
+  const build = (code) => {
+    const branch = hierarchy.branches.get(code)
+    return {
+      branch_code: code,
+      branch_name: branch?.name || null,
+      branch_type: branch?.branch_type || null,
+      children: (hierarchy.children.get(code) || []).sort().map(build)
+    }
+  }
+  const roots = rootCodes || [...hierarchy.branches.keys()].filter(code => !hierarchy.parent.has(code)).sort()
+  return roots.map(build)
+}
+
+/**
+ * A function from a branch value on a receipt or user (name, code or alias) to its branch code
+ */
+export async function branchCodeResolver(hierarchy) {
+  const aliases = await loadBranchAliases()
+  const byName = new Map()
+  for (const branch of hierarchy.branches.values()) {
+    if (branch.name) byName.set(branch.name.trim().toUpperCase(), branch.code)
+    if (branch.code) byName.set(branch.code.trim().toUpperCase(), branch.code)
+  }
+  return (value) => {
+    if (!value) return null
+    const key = String(value).trim().toUpperCase()
+    const alias = aliases.get(key)
+    return alias?.branch_code || byName.get(key) || (alias && byName.get(alias.relationship_manager.toUpperCase())) || null
+  }
+}
@@ -0,0 +1,115 @@
+// Branch counters stored on the branch documents
+//
+// total_employees, total_customers, total_receipts and total_investments are
+// recomputed from users, customers and receipts (legacy branch names resolved
+// through branch_aliases) and stamped with stats_as_of.
+// Writes to those collections schedule a refresh; a scheduled job
+// (npm run branch-stats) and POST /api/branches/recompute-stats force one.
+
+import { q, findBranchAlias, loadBranchAliases } from '../config/database.js'
+
+const REFRESH_DELAY_MS = 30 * 1000
+
+let refreshTimer = null
+
+/**
+ * Recompute the counters of every branch (or of the given branch codes)
+ * and return them
+ */
+export async function recomputeBranchStats(branchCodes = null) {
+  const [branches, employees, customers, receipts] = await Promise.all([
+    q(`
+      FOR branch IN branches
+      ${branchCodes ? 'FILTER branch.branch_code IN @branchCodes' : ''}
+      RETURN { key: branch._key, code: branch.branch_code, name: branch.branch_name }
+    `, branchCodes ? { branchCodes } : {}),
+    q(`
+      FOR user IN users
+      FILTER user.is_active == true AND user.role != "branch"
+      COLLECT branch = LOWER(user.branch), branch_code = user.branch_code WITH COUNT INTO n
+      RETURN { branch, branch_code, n }
+    `),
+    q(`
+      FOR customer IN customers
+      FILTER customer.is_active != false
+      COLLECT branch = LOWER(customer.relationship_manager) WITH COUNT INTO n
+      RETURN { branch, n }
+    `),
+    // Same basis as the branch statistics: Completed, non-deleted receipts
+    q(`
+      FOR receipt IN receipts
+      FILTER receipt.is_deleted == false AND receipt.status == "Completed"
+      COLLECT branch = LOWER(receipt.branch), branch_code = receipt.receipt_branch_code
+      AGGREGATE n = LENGTH(1), amount = SUM(receipt.investment_amount || 0)
+      RETURN { branch, branch_code, n, amount }
+    `)
+  ])
+
+  // Rows carry a branch code, a branch name or both. Names may be legacy spellings
+  // ('KUKAT PALLY', 'H.O'), so they go through branch_aliases before matching a branch;
+  // customer relationship_manager values also match the aliases that map to them.
+  const upper = (value) => String(value || '').trim().toUpperCase()
+  const codeByName = new Map(branches.filter(branch => branch.name).map(branch => [upper(branch.name), branch.code]))
+  const codeByRelationshipManager = new Map([...(await loadBranchAliases()).values()]
+    .filter(alias => alias.branch_code && alias.relationship_manager)
+    .map(alias => [upper(alias.relationship_manager), alias.branch_code]))
+  const resolveCode = async (row) => {
+    if (row.branch_code) return row.branch_code
+    if (!row.branch) return null
+    const alias = await findBranchAlias(row.branch)
+    return alias?.branch_code ||
+      codeByName.get(upper(row.branch)) ||
+      codeByName.get(upper(alias?.relationship_manager)) ||
+      codeByRelationshipManager.get(upper(row.branch)) ||
+      null
+  }
+  const totalsByCode = async (rows) => {
+    const totals = new Map()
+    for (const row of rows) {
+      const code = await resolveCode(row)
+      if (!code) continue
+      const total = totals.get(code) || { n: 0, amount: 0 }
+      total.n += row.n
+      total.amount += Number(row.amount) || 0
+      totals.set(code, total)
+    }
+    return totals
+  }
+  const [employeeTotals, customerTotals, receiptTotals] = await Promise.all([
+    totalsByCode(employees),
+    totalsByCode(customers),
+    totalsByCode(receipts)
+  ])
+
+  const statsAsOf = new Date().toISOString()
+  const stats = branches.map(branch => ({
+    _key: branch.key,
+    branch_code: branch.code,
+    total_employees: employeeTotals.get(branch.code)?.n || 0,
+    total_customers: customerTotals.get(branch.code)?.n || 0,
+    total_receipts: receiptTotals.get(branch.code)?.n || 0,
+    total_investments: receiptTotals.get(branch.code)?.amount || 0,
+    stats_as_of: statsAsOf
+  }))
+
+  if (stats.length) {
+    await q(`
+      FOR stat IN @stats
+      UPDATE { _key: stat._key } WITH UNSET(stat, '_key', 'branch_code') IN branches
+    `, { stats })
+  }
+
+  return stats.map(({ _key, ...stat }) => stat)
+}
+
+/**
+ * Refresh the counters shortly after a change; changes in the meantime share one recompute
+ */
+export function scheduleBranchStatsRefresh() {
+  if (refreshTimer) return
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null
+    recomputeBranchStats().catch(error => console.error('Error refreshing branch stats:', error))
+  }, REFRESH_DELAY_MS)
+  refreshTimer.unref()
+}
@@ -0,0 +1,126 @@
+// Commission from brokerage rate cards
+//
+// A rate card applies to receipts of its product category dated inside its effective
+// range. Optional dimensions (AMC, scheme, FD issuer/scheme, tenure band) narrow it;
+// the most specific matching card wins, then the most recent effective_from.
+
+import { q } from '../config/database.js'
+import { DEFAULT_BROKERAGE_RATE } from '../config/environment.js'
+
+// Optional dimensions and the receipt field each one is matched against
+export const RATE_CARD_DIMENSIONS = {
+  amc_code: 'amc_code',
+  scheme_code: 'scheme_code',
+  fd_issuer_key: 'fd_issuer_key',
+  fd_scheme_id: 'fd_scheme_id'
+}
+
+// Receipt fields needed to price a receipt
+const PRICING_FIELDS = ['_key', 'product_category', 'date', 'investment_amount', 'fd_tenure_months', ...Object.values(RATE_CARD_DIMENSIONS)]
+
+const DEFAULT_CARD = { id: null, name: 'Default rate', rate_percent: Number(DEFAULT_BROKERAGE_RATE) }
+
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : null)
+
+const specificity = (card) =>
+  Object.keys(RATE_CARD_DIMENSIONS).filter(dim => card[dim] != null).length +
+  (card.tenure_min_months != null || card.tenure_max_months != null ? 1 : 0)
+
+/**
+ * Active rate cards, most specific first
+ */
+export async function loadRateCards() {
+  const cards = await q(`
+    FOR card IN brokerage_rates
+    FILTER card.is_active != false
+    RETURN MERGE(UNSET(card, '_id', '_rev'), { id: card._key })
+  `)
+  return cards.sort((a, b) => specificity(b) - specificity(a) || String(b.effective_from).localeCompare(String(a.effective_from)))
+}
+
+export function cardMatches(card, receipt) {
+  if (card.category !== receipt.product_category) return false
+
+  const date = dateOnly(receipt.date)
+  if (date && (date < card.effective_from || (card.effective_to && date > card.effective_to))) return false
+
+  for (const [dim, field] of Object.entries(RATE_CARD_DIMENSIONS)) {
+    if (card[dim] != null && String(card[dim]) !== String(receipt[field] ?? '')) return false
+  }
+
+  if (card.tenure_min_months != null || card.tenure_max_months != null) {
+    const tenure = Number(receipt.fd_tenure_months)
+    if (!tenure) return false
+    if (card.tenure_min_months != null && tenure < card.tenure_min_months) return false
+    if (card.tenure_max_months != null && tenure > card.tenure_max_months) return false
+  }
+  return true
+}
+
+/**
+ * The card that prices a receipt; the default rate when none matches
+ */
+export function findRateCard(receipt, cards) {
+  return cards.find(card => cardMatches(card, receipt)) || DEFAULT_CARD
+}
+
+/**
+ * Commission for a set of receipts with a breakdown by rate card, optionally
+ * split by a receipt field (e.g. branch or product_category)
+ */
+export function summarizeCommissions(receipts, cards, groupField = null) {
+  const newSummary = () => ({ commissions: 0, by_rate_card: new Map() })
+  const total = newSummary()
+  const groups = new Map()
+
+  const add = (summary, card, amount, commission) => {
+    summary.commissions += commission
+    const key = card.id ?? 'default'
+    if (!summary.by_rate_card.has(key)) {
+      summary.by_rate_card.set(key, { rate_card_id: card.id, name: card.name || null, category: card.category || null, rate_percent: card.rate_percent, receipts: 0, amount: 0, commissions: 0 })
+    }
+    const row = summary.by_rate_card.get(key)
+    row.receipts += 1
+    row.amount += amount
+    row.commissions += commission
+  }
+
+  for (const receipt of receipts) {
+    const card = findRateCard(receipt, cards)
+    const amount = Number(receipt.investment_amount) || 0
+    const commission = amount * card.rate_percent / 100
+    add(total, card, amount, commission)
+
+    if (groupField) {
+      const group = receipt[groupField] ?? null
+      if (!groups.has(group)) groups.set(group, newSummary())
+      add(groups.get(group), card, amount, commission)
+    }
+  }
+
+  const finish = (summary) => ({
+    commissions: summary.commissions,
+    by_rate_card: [...summary.by_rate_card.values()].sort((a, b) => b.commissions - a.commissions)
+  })
+
+  return {
+    ...finish(total),
+    groups: new Map([...groups].map(([group, summary]) => [group, finish(summary)]))
+  }
+}
+
+/**
+ * Price the receipts matched by a stats filter clause (built on the `receipt` variable)
+ */
+export async function commissionStats(filterClause, bindVars, groupField = null) {
+  const fields = groupField ? [...PRICING_FIELDS, groupField] : PRICING_FIELDS
+  const [receipts, cards] = await Promise.all([
+    q(`
+      FOR receipt IN receipts
+      ${filterClause}
+      RETURN KEEP(receipt, @pricingFields)
+    `, { ...bindVars, pricingFields: fields }),
+    loadRateCards()
+  ])
+  return summarizeCommissions(receipts, cards, groupField)
+}
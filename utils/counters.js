@@ -0,0 +1,85 @@
+// Atomic counters backed by the `counters` collection
+
+import { q } from '../config/database.js'
+
+const MAX_RETRIES = 5
+
+// Write-write conflict, or two requests racing to create the same counter
+const isRetryable = (error) => error.errorNum === 1200 || error.errorNum === 1210
+
+/**
+ * Increment a counter and return the new value. The counter is created at 1
+ * on first use; `meta` is stored on the counter document when it is created.
+ */
+export async function nextValue(key, meta = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const rows = await q(`
+        UPSERT { _key: @key }
+        INSERT MERGE(@meta, { _key: @key, value: 1, created_at: DATE_ISO8601(DATE_NOW()), updated_at: DATE_ISO8601(DATE_NOW()) })
+        UPDATE { value: OLD.value + 1, updated_at: DATE_ISO8601(DATE_NOW()) }
+        IN counters
+        OPTIONS { exclusive: true }
+        RETURN NEW.value
+      `, { key, meta })
+      return rows[0]
+    } catch (error) {
+      if (attempt < MAX_RETRIES && isRetryable(error)) continue
+      throw error
+    }
+  }
+}
+
+// Counters already seeded in this process
+const seeded = new Set()
+
+/**
+ * Next value for a numeric ID that already exists in a collection (e.g. customers.investor_id).
+ * On first use the counter is seeded from the highest value already stored, so allocation
+ * continues where the old MAX() + 1 approach left off.
+ */
+export async function nextSequentialId(key, collection, field) {
+  if (!seeded.has(key)) {
+    await q(`
+      LET current = FIRST(
+        FOR doc IN @@collection
+        FILTER IS_NUMBER(doc.@field)
+        SORT doc.@field DESC
+        LIMIT 1
+        RETURN doc.@field
+      )
+      INSERT { _key: @key, scope: 'id', collection: @collection, field: @field, value: current || 0, created_at: DATE_ISO8601(DATE_NOW()), updated_at: DATE_ISO8601(DATE_NOW()) }
+      INTO counters
+      OPTIONS { overwriteMode: 'ignore' }
+    `, { key, '@collection': collection, collection, field })
+    seeded.add(key)
+  }
+  return nextValue(key)
+}
+
+/**
+ * Set a counter to an explicit value; the next call to nextValue returns value + 1
+ */
+export async function setCounter(key, value, meta = {}) {
+  const rows = await q(`
+    UPSERT { _key: @key }
+    INSERT MERGE(@meta, { _key: @key, value: @value, created_at: DATE_ISO8601(DATE_NOW()), updated_at: DATE_ISO8601(DATE_NOW()) })
+    UPDATE { value: @value, updated_at: DATE_ISO8601(DATE_NOW()) }
+    IN counters
+    OPTIONS { exclusive: true }
+    RETURN UNSET(NEW, '_id', '_rev')
+  `, { key, value, meta })
+  return rows[0]
+}
+
+/**
+ * All counters of one kind (the `scope` stored in their meta)
+ */
+export async function listCounters(scope) {
+  return q(`
+    FOR counter IN counters
+    FILTER counter.scope == @scope
+    SORT counter._key ASC
+    RETURN UNSET(counter, '_id', '_rev')
+  `, { scope })
+}
@@ -0,0 +1,137 @@
+// Duplicate customer detection: candidate pairs scored by PAN, mobile, email, name and DOB
+
+const NAME_TITLES = new Set(['MR', 'MRS', 'MS', 'MISS', 'DR', 'SMT', 'SHRI', 'SRI', 'KUM', 'LATE'])
+
+// Buckets larger than this (very common names) would explode into too many pairs
+const MAX_BUCKET_SIZE = 50
+
+const WEIGHTS = { pan: 40, mobile: 20, email: 15, name: 15, dob: 10 }
+
+/**
+ * Uppercase, drop titles and punctuation, sort tokens so "KUMAR RAJESH" == "Mr. Rajesh Kumar"
+ */
+export function normalizeName(name) {
+  if (!name) return ''
+  return String(name)
+    .toUpperCase()
+    .replace(/[^A-Z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !NAME_TITLES.has(token))
+    .sort()
+    .join(' ')
+}
+
+const normalizeMobile = (mobile) => {
+  const digits = String(mobile || '').replace(/\D/g, '')
+  return digits.length >= 10 ? digits.slice(-10) : ''
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase()
+
+const normalizePAN = (pan) => String(pan || '').trim().toUpperCase()
+
+const normalizeDOB = (dob) => {
+  if (!dob) return ''
+  const parsed = new Date(dob)
+  return isNaN(parsed.getTime()) ? String(dob).trim() : parsed.toISOString().slice(0, 10)
+}
+
+// Dice coefficient over character bigrams, 0..1
+const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0
+  if (a === b) return 1
+  const bigrams = (s) => {
+    const compact = s.replace(/\s+/g, '')
+    const list = []
+    for (let i = 0; i < compact.length - 1; i++) list.push(compact.slice(i, i + 2))
+    return list
+  }
+  const left = bigrams(a)
+  const right = bigrams(b)
+  if (!left.length || !right.length) return 0
+  const counts = new Map()
+  left.forEach(bg => counts.set(bg, (counts.get(bg) || 0) + 1))
+  let overlap = 0
+  right.forEach(bg => {
+    const n = counts.get(bg)
+    if (n) {
+      overlap++
+      counts.set(bg, n - 1)
+    }
+  })
+  return (2 * overlap) / (left.length + right.length)
+}
+
+const fingerprint = (customer) => ({
+  pan: normalizePAN(customer.pan),
+  mobile: normalizeMobile(customer.mobile),
+  email: normalizeEmail(customer.email),
+  name: normalizeName(customer.name),
+  dob: normalizeDOB(customer.date_of_birth)
+})
+
+/**
+ * Score how likely two customers are the same person (0-100) and say why
+ */
+export function scorePair(a, b) {
+  const fa = fingerprint(a)
+  const fb = fingerprint(b)
+  const reasons = []
+  let score = 0
+
+  if (fa.pan && fa.pan === fb.pan) { score += WEIGHTS.pan; reasons.push('pan') }
+  if (fa.mobile && fa.mobile === fb.mobile) { score += WEIGHTS.mobile; reasons.push('mobile') }
+  if (fa.email && fa.email === fb.email) { score += WEIGHTS.email; reasons.push('email') }
+
+  const similarity = nameSimilarity(fa.name, fb.name)
+  if (similarity >= 0.85) {
+    score += Math.round(WEIGHTS.name * similarity)
+    reasons.push(similarity === 1 ? 'name' : 'similar_name')
+  }
+
+  if (fa.dob && fa.dob === fb.dob) { score += WEIGHTS.dob; reasons.push('dob') }
+
+  return { score, reasons, name_similarity: Number(similarity.toFixed(2)) }
+}
+
+/**
+ * Find candidate duplicate pairs. Customers are only compared when they share
+ * at least one blocking key (PAN, mobile, email or normalised name).
+ */
+export function findDuplicatePairs(customers, minScore = 50) {
+  const buckets = new Map()
+  const addToBucket = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, [])
+    buckets.get(key).push(index)
+  }
+
+  customers.forEach((customer, index) => {
+    const f = fingerprint(customer)
+    if (f.pan) addToBucket(`pan:${f.pan}`, index)
+    if (f.mobile) addToBucket(`mobile:${f.mobile}`, index)
+    if (f.email) addToBucket(`email:${f.email}`, index)
+    if (f.name) addToBucket(`name:${f.name}`, index)
+  })
+
+  const seen = new Set()
+  const pairs = []
+  for (const members of buckets.values()) {
+    if (members.length < 2 || members.length > MAX_BUCKET_SIZE) continue
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pairKey = `${members[i]}:${members[j]}`
+        if (seen.has(pairKey)) continue
+        seen.add(pairKey)
+
+        const a = customers[members[i]]
+        const b = customers[members[j]]
+        const result = scorePair(a, b)
+        if (result.score >= minScore) {
+          pairs.push({ ...result, customers: [a, b] })
+        }
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score)
+}
@@ -0,0 +1,134 @@
+// Employee leaderboard from Completed business
+//
+// Each employee gets the same metrics for this month (to date), last month and
+// the financial year to date, ranked on one metric for one of those periods.
+
+import { q } from '../config/database.js'
+import { getFinancialYear, getFinancialYearRange } from './financial-year.js'
+
+export const LEADERBOARD_METRICS = ['collections', 'receipts', 'new_customers', 'sip_registrations', 'average_ticket']
+export const LEADERBOARD_PERIODS = ['this_month', 'last_month', 'fy_to_date']
+
+/**
+ * Date ranges (YYYY-MM-DD) of the leaderboard periods as of a day
+ */
+export function leaderboardPeriods(today = new Date().toISOString().slice(0, 10)) {
+  const [year, month] = today.split('-').map(Number)
+  const lastMonthStart = new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 10)
+  const lastMonthEnd = new Date(Date.UTC(year, month - 1, 0)).toISOString().slice(0, 10)
+  const fy = getFinancialYear(new Date(year, month - 1, 1))
+
+  return {
+    this_month: { from: `${today.slice(0, 7)}-01`, to: today },
+    last_month: { from: lastMonthStart, to: lastMonthEnd },
+    fy_to_date: { from: getFinancialYearRange(fy).from, to: today, financial_year: fy }
+  }
+}
+
+const emptyMetrics = () => ({ collections: 0, receipts: 0, new_customers: 0, sip_registrations: 0, average_ticket: 0 })
+
+const changePct = (current, previous) => (previous > 0 ? Math.round((current - previous) / previous * 10000) / 100 : null)
+
+/**
+ * Ranked employees with per-period metrics.
+ * `branchCodes` limits the board to those branches (by the employee's branch_code).
+ */
+export async function employeeLeaderboard({ branchCodes = null, rankBy = 'collections', rankPeriod = 'this_month', today } = {}) {
+  const periods = leaderboardPeriods(today)
+  const earliest = [periods.last_month.from, periods.fy_to_date.from].sort()[0]
+  const latest = periods.this_month.to
+
+  const [business, firstReceipts, users] = await Promise.all([
+    q(`
+      FOR receipt IN receipts
+      FILTER receipt.is_deleted == false AND receipt.status == "Completed"
+      FILTER receipt.emp_code != null
+      FILTER receipt.date >= @from AND receipt.date <= @to
+      COLLECT emp_code = receipt.emp_code, date = receipt.date
+      AGGREGATE
+        collections = SUM(receipt.investment_amount || 0),
+        receipts = LENGTH(1),
+        sip_registrations = SUM(receipt.mode == "SIP" || receipt.transaction_type == "SIP" ? 1 : 0)
+      RETURN { emp_code, date, collections, receipts, sip_registrations }
+    `, { from: earliest, to: latest }),
+    // An investor counts as a new customer of the employee on their first Completed receipt
+    q(`
+      FOR receipt IN receipts
+      FILTER receipt.is_deleted == false AND receipt.status == "Completed"
+      FILTER receipt.investor_id != null AND receipt.date != null
+      COLLECT investor_id = receipt.investor_id INTO group = { date: receipt.date, emp_code: receipt.emp_code, key: receipt._key }
+      LET first = FIRST(FOR g IN group SORT g.date ASC, g.key ASC RETURN g)
+      FILTER first.date >= @from AND first.date <= @to AND first.emp_code != null
+      RETURN first
+    `, { from: earliest, to: latest }),
+    q(`
+      FOR user IN users
+      FILTER user.emp_code != null
+      RETURN { emp_code: user.emp_code, user_id: user._key, name: user.name, role: user.role, branch: user.branch, branch_code: user.branch_code, is_active: user.is_active }
+    `)
+  ])
+
+  const usersByCode = new Map(users.map(user => [user.emp_code, user]))
+  const employees = new Map()
+  const employeeFor = (empCode) => {
+    if (!employees.has(empCode)) {
+      const user = usersByCode.get(empCode)
+      employees.set(empCode, {
+        emp_code: empCode,
+        user_id: user?.user_id || null,
+        employee_name: user?.name || null,
+        branch: user?.branch || null,
+        branch_code: user?.branch_code || null,
+        ...Object.fromEntries(LEADERBOARD_PERIODS.map(period => [period, emptyMetrics()])),
+        ranks: {}
+      })
+    }
+    return employees.get(empCode)
+  }
+
+  // Active employees without business still appear on the board
+  for (const user of users) {
+    if (user.role === 'employee' && user.is_active !== false) employeeFor(user.emp_code)
+  }
+
+  const periodsOf = (date) => LEADERBOARD_PERIODS.filter(period => date >= periods[period].from && date <= periods[period].to)
+  for (const row of business) {
+    const employee = employeeFor(row.emp_code)
+    for (const period of periodsOf(row.date)) {
+      employee[period].collections += Number(row.collections) || 0
+      employee[period].receipts += row.receipts
+      employee[period].sip_registrations += row.sip_registrations
+    }
+  }
+  for (const first of firstReceipts) {
+    const employee = employeeFor(first.emp_code)
+    for (const period of periodsOf(first.date)) employee[period].new_customers += 1
+  }
+
+  const rows = [...employees.values()].filter(employee => branchCodes == null || branchCodes.includes(employee.branch_code))
+  for (const employee of rows) {
+    for (const period of LEADERBOARD_PERIODS) {
+      const metrics = employee[period]
+      metrics.average_ticket = metrics.receipts ? Math.round(metrics.collections / metrics.receipts * 100) / 100 : 0
+    }
+    employee.change_vs_last_month = Object.fromEntries(LEADERBOARD_METRICS.map(metric =>
+      [metric, changePct(employee.this_month[metric], employee.last_month[metric])]))
+  }
+
+  // Rank on every metric for the chosen period; ties share a rank
+  for (const metric of LEADERBOARD_METRICS) {
+    const sorted = [...rows].sort((a, b) => b[rankPeriod][metric] - a[rankPeriod][metric])
+    sorted.forEach((employee, index) => {
+      const previous = sorted[index - 1]
+      employee.ranks[metric] = previous && previous[rankPeriod][metric] === employee[rankPeriod][metric]
+        ? previous.ranks[metric]
+        : index + 1
+    })
+  }
+
+  const ranked = rows
+    .map(employee => ({ rank: employee.ranks[rankBy], ...employee }))
+    .sort((a, b) => a.rank - b.rank || b[rankPeriod].collections - a[rankPeriod].collections)
+
+  return { periods, rank_by: rankBy, rank_period: rankPeriod, employees: ranked }
+}
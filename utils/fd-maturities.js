@@ -0,0 +1,88 @@
+// FD maturity tracking shared by the /api/fd routes and the daily reminder job
+
+import { q } from '../config/database.js'
+
+// Reminders go to the owning RM this many days before maturity
+export const REMINDER_DAYS = [30, 15, 7]
+
+export const MATURITY_STATUSES = ['open', 'renewed', 'paid_out']
+
+// Maturity date as YYYY-MM-DD (FD receipts store fd_maturity_date; older ones only renewal_due_date)
+export const MATURITY_DATE_AQL = 'SUBSTRING(receipt.fd_maturity_date || receipt.renewal_due_date, 0, 10)'
+
+export const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`)
+  d.setUTCDate(d.getUTCDate() + days)
+  return d.toISOString().slice(0, 10)
+}
+
+export const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000))
+
+/**
+ * The reminder that is due for a deposit `daysLeft` days from maturity: the
+ * smallest threshold it has reached, so a late job run never sends all three at once
+ */
+export function dueReminder(daysLeft) {
+  if (daysLeft < 0) return null
+  const reached = REMINDER_DAYS.filter(days => daysLeft <= days)
+  return reached.length ? Math.min(...reached) : null
+}
+
+/**
+ * Completed, non-deleted FD receipts maturing between two dates
+ */
+export async function findMaturities({ from, to, branch = null, branches = null, userId = null, status = null }) {
+  const filterConditions = [
+    'receipt.product_category == "FD"',
+    'receipt.is_deleted == false',
+    'receipt.status == "Completed"',
+    `${MATURITY_DATE_AQL} >= @from`,
+    `${MATURITY_DATE_AQL} <= @to`
+  ]
+  const bindVars = { from, to }
+
+  if (branch) {
+    filterConditions.push('receipt.branch == @branch')
+    bindVars.branch = branch
+  }
+  if (branches) {
+    // Upper-cased branch values, e.g. a regional manager's subtree
+    filterConditions.push('UPPER(receipt.branch) IN @branches')
+    bindVars.branches = branches
+  }
+  if (userId) {
+    filterConditions.push('receipt.user_id == @user_id')
+    bindVars.user_id = userId
+  }
+  if (status) {
+    filterConditions.push('(receipt.maturity_status || "open") == @status')
+    bindVars.status = status
+  }
+
+  return q(`
+    FOR receipt IN receipts
+    FILTER ${filterConditions.join(' AND ')}
+    LET maturity_date = ${MATURITY_DATE_AQL}
+    SORT maturity_date ASC
+    RETURN {
+      receipt_id: receipt._key,
+      receipt_no: receipt.receipt_no,
+      investor_id: receipt.investor_id,
+      investor_name: receipt.investor_name,
+      branch: receipt.branch,
+      emp_code: receipt.emp_code,
+      employee_name: receipt.employee_name,
+      user_id: receipt.user_id,
+      issuer: receipt.fd_issuer_name || receipt.issuer_company,
+      scheme_name: receipt.fd_scheme_name || receipt.scheme_name,
+      application_number: receipt.fd_application_number,
+      deposit_amount: TO_NUMBER(receipt.fd_deposit_amount || receipt.investment_amount),
+      maturity_date,
+      maturity_amount: TO_NUMBER(receipt.fd_maturity_amount || receipt.maturity_amount) || null,
+      renewal_amount: TO_NUMBER(receipt.renewal_amount) || null,
+      maturity_status: receipt.maturity_status || 'open',
+      renewed_receipt_id: receipt.renewed_receipt_id || null
+    }
+  `, bindVars)
+}
@@ -0,0 +1,44 @@
+// Indian financial year helpers (April to March)
+//
+// Dates are read in UTC: the YYYY-MM-DD strings passed in parse as UTC midnight,
+// so local-time getters would shift them a day back west of Greenwich.
+
+/**
+ * Financial year label for a date, e.g. 2026-08-15 -> '2026-27'
+ */
+export function getFinancialYear(date = new Date()) {
+  const d = date instanceof Date ? date : new Date(date)
+  const startYear = d.getUTCMonth() >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`
+}
+
+/**
+ * First and last day (YYYY-MM-DD) of a financial year label like '2026-27'
+ */
+export function getFinancialYearRange(label) {
+  const startYear = parseInt(String(label).slice(0, 4), 10)
+  if (isNaN(startYear)) return null
+  return { from: `${startYear}-04-01`, to: `${startYear + 1}-03-31` }
+}
+
+/**
+ * Financial quarter label for a date, e.g. 2026-10-19 -> '2026-27-Q3' (Q1 is April to June)
+ */
+export function getFinancialQuarter(date = new Date()) {
+  const d = date instanceof Date ? date : new Date(date)
+  const quarter = Math.floor(((d.getUTCMonth() + 9) % 12) / 3) + 1
+  return `${getFinancialYear(d)}-Q${quarter}`
+}
+
+/**
+ * First and last day (YYYY-MM-DD) of a financial quarter label like '2026-27-Q3'
+ */
+export function getFinancialQuarterRange(label) {
+  const match = /^(\d{4})-\d{2}-Q([1-4])$/.exec(String(label))
+  if (!match) return null
+  const startYear = parseInt(match[1], 10)
+  const startMonth = 3 + (parseInt(match[2], 10) - 1) * 3 // 0-based month: April = 3
+  const start = new Date(Date.UTC(startYear, startMonth, 1))
+  const end = new Date(Date.UTC(startYear, startMonth + 3, 0))
+  return { from: start.toISOString().slice(0, 10), to: end.toISOString().slice(0, 10) }
+}
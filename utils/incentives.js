@@ -0,0 +1,156 @@
+// Monthly employee incentives from Completed business
+//
+// A policy gives each product category a points weighting and tiered slabs:
+//   { MF: { points_per_lakh: 10, slabs: [{ upto: 1000000, rate_percent: 0.05 }, { upto: null, rate_percent: 0.1 }] } }
+// Slabs are marginal - each part of the month's business earns the rate of the slab it falls in.
+
+import { q } from '../config/database.js'
+
+const LAKH = 100000
+
+export const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/
+
+export const periodRange = (period) => {
+  const [year, month] = period.split('-').map(Number)
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate()
+  return { from: `${period}-01`, to: `${period}-${String(lastDay).padStart(2, '0')}` }
+}
+
+/**
+ * Check a policy's categories block; returns { valid, error }
+ */
+export function validatePolicyCategories(categories) {
+  if (!categories || typeof categories !== 'object' || !Object.keys(categories).length) {
+    return { valid: false, error: 'At least one category rule is required' }
+  }
+  for (const [category, rule] of Object.entries(categories)) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return { valid: false, error: `${category}: rule must be an object` }
+    }
+    if (rule.points_per_lakh != null && (isNaN(Number(rule.points_per_lakh)) || Number(rule.points_per_lakh) < 0)) {
+      return { valid: false, error: `${category}: points_per_lakh must be a non-negative number` }
+    }
+    if (!Array.isArray(rule.slabs) || !rule.slabs.length) {
+      return { valid: false, error: `${category}: at least one slab is required` }
+    }
+    let previous = 0
+    for (const [index, slab] of rule.slabs.entries()) {
+      if (!slab || typeof slab !== 'object') {
+        return { valid: false, error: `${category}: slab ${index + 1} must be an object` }
+      }
+      const rate = Number(slab.rate_percent)
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        return { valid: false, error: `${category}: slab ${index + 1} rate_percent must be between 0 and 100` }
+      }
+      const isLast = index === rule.slabs.length - 1
+      if (slab.upto == null ? !isLast : Number(slab.upto) <= previous) {
+        return { valid: false, error: `${category}: slab limits must increase and only the last slab may be open-ended` }
+      }
+      previous = Number(slab.upto)
+    }
+  }
+  return { valid: true }
+}
+
+/**
+ * Incentive on an amount under marginal slabs, with the amount and incentive per slab
+ */
+export function slabIncentive(amount, slabs) {
+  let lower = 0
+  let incentive = 0
+  const breakdown = []
+  for (const slab of slabs) {
+    const upper = slab.upto == null ? Infinity : Number(slab.upto)
+    const inSlab = Math.max(0, Math.min(amount, upper) - lower)
+    if (inSlab > 0) {
+      const earned = inSlab * Number(slab.rate_percent) / 100
+      incentive += earned
+      breakdown.push({ from: lower, upto: slab.upto ?? null, rate_percent: Number(slab.rate_percent), amount: inSlab, incentive: earned })
+    }
+    lower = upper
+    if (amount <= lower) break
+  }
+  return { incentive, breakdown }
+}
+
+/**
+ * The policy in force for a month (latest effective_from wins)
+ */
+export async function getPolicyForPeriod(period) {
+  const { from, to } = periodRange(period)
+  const policies = await q(`
+    FOR policy IN incentive_policies
+    FILTER policy.is_active != false
+    FILTER policy.effective_from <= @to AND (policy.effective_to == null OR policy.effective_to >= @from)
+    SORT policy.effective_from DESC
+    LIMIT 1
+    RETURN MERGE(UNSET(policy, '_id', '_rev'), { id: policy._key })
+  `, { from, to })
+  return policies[0] || null
+}
+
+/**
+ * Per-employee incentive lines for a month. Business is Completed, non-deleted
+ * receipts dated in the month, grouped by emp_code and product category.
+ */
+export async function computeIncentives(period, policy, { branchCode = null, empCode = null } = {}) {
+  const { from, to } = periodRange(period)
+  const filterConditions = [
+    'receipt.is_deleted == false',
+    'receipt.status == "Completed"',
+    'receipt.emp_code != null',
+    'receipt.date >= @from AND receipt.date <= @to'
+  ]
+  const bindVars = { from, to }
+  if (empCode) {
+    filterConditions.push('receipt.emp_code == @emp_code')
+    bindVars.emp_code = empCode
+  }
+
+  const rows = await q(`
+    FOR receipt IN receipts
+    FILTER ${filterConditions.join(' AND ')}
+    COLLECT emp_code = receipt.emp_code, category = receipt.product_category
+    AGGREGATE business = SUM(TO_NUMBER(receipt.investment_amount || receipt.fd_deposit_amount)), receipts = LENGTH(1)
+    LET user = FIRST(FOR u IN users FILTER u.emp_code == emp_code LIMIT 1 RETURN u)
+    RETURN { emp_code, category, business, receipts, user_id: user._key, employee_name: user.name, branch: user.branch, branch_code: user.branch_code }
+  `, bindVars)
+
+  const employees = new Map()
+  for (const row of rows) {
+    if (branchCode && String(row.branch_code || '').toUpperCase() !== branchCode.toUpperCase()) continue
+    if (!employees.has(row.emp_code)) {
+      employees.set(row.emp_code, {
+        emp_code: row.emp_code,
+        user_id: row.user_id || null,
+        employee_name: row.employee_name || null,
+        branch: row.branch || null,
+        branch_code: row.branch_code || null,
+        categories: [],
+        total_business: 0,
+        total_points: 0,
+        total_incentive: 0
+      })
+    }
+    const employee = employees.get(row.emp_code)
+
+    // Categories the policy does not cover count as business but earn nothing
+    const rule = policy.categories[row.category] || { points_per_lakh: 0, slabs: [] }
+    const points = row.business / LAKH * (Number(rule.points_per_lakh) || 0)
+    const { incentive, breakdown } = slabIncentive(row.business, rule.slabs)
+
+    employee.categories.push({ category: row.category, business: row.business, receipts: row.receipts, points, incentive, slabs: breakdown })
+    employee.total_business += row.business
+    employee.total_points += points
+    employee.total_incentive += incentive
+  }
+
+  return [...employees.values()].sort((a, b) => b.total_incentive - a.total_incentive)
+}
+
+export const runTotals = (employees) => ({
+  employees: employees.length,
+  business: employees.reduce((sum, e) => sum + e.total_business, 0),
+  points: employees.reduce((sum, e) => sum + e.total_points, 0),
+  incentive: employees.reduce((sum, e) => sum + e.total_incentive, 0)
+})
@@ -0,0 +1,233 @@
+// Login failure counters, progressive lockout and the login audit trail
+//
+// Failed attempts are counted per account (emp code or branch name) and per IP
+// in login_failures. Reaching LOGIN_MAX_FAILURES (LOGIN_MAX_IP_FAILURES for an IP)
+// within LOGIN_FAILURE_WINDOW_MINUTES locks it for LOGIN_LOCKOUT_MINUTES, doubling
+// with every further lockout within a day up to LOGIN_MAX_LOCKOUT_MINUTES. A
+// successful login clears its account's counter. Every attempt is written to
+// login_events.
+
+import crypto from 'crypto'
+import { q } from '../config/database.js'
+import { validateDate } from './validators.js'
+import {
+  LOGIN_MAX_FAILURES, LOGIN_MAX_IP_FAILURES, LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_MINUTES, LOGIN_MAX_LOCKOUT_MINUTES
+} from '../config/environment.js'
+
+const MINUTE = 60 * 1000
+const MAX_EVENTS = 500
+// Lockouts further apart than this start the doubling over
+const LOCKOUT_MEMORY_MS = 24 * 60 * MINUTE
+
+export const LOGIN_EVENT_TYPES = ['login', 'branch_login', 'two_factor']
+export const LOGIN_OUTCOMES = ['success', 'failure', 'locked', 'challenge']
+
+const counterKey = (scope, value) => crypto.createHash('sha256').update(`${scope}:${value}`).digest('hex')
+
+// A login attempt: { type, kind ('user' | 'branch'), identifier (emp code or branch name), user_id, branch_code }.
+// Users and branches are separate accounts even when an emp code matches a branch name.
+const accountOf = (attempt) => `${attempt.kind}:${String(attempt.identifier).trim().toLowerCase()}`
+
+// The counters an attempt touches: its account and, when known, its IP
+const countersOf = (req, attempt) => [
+  { scope: 'account', value: accountOf(attempt), threshold: Number(LOGIN_MAX_FAILURES) },
+  ...(req.ip ? [{ scope: 'ip', value: req.ip, threshold: Number(LOGIN_MAX_IP_FAILURES) }] : [])
+]
+
+const lockMinutes = (lockouts) => Math.min(Number(LOGIN_LOCKOUT_MINUTES) * 2 ** (lockouts - 1), Number(LOGIN_MAX_LOCKOUT_MINUTES))
+
+const lockoutOf = (counter) => ({
+  locked: true,
+  scope: counter.scope,
+  locked_until: counter.locked_until,
+  retry_after: Math.max(1, Math.ceil((new Date(counter.locked_until) - Date.now()) / 1000))
+})
+
+/**
+ * Whether an attempt's account or IP is locked out: { locked, scope, locked_until, retry_after (seconds) }
+ */
+export async function checkLockout(req, attempt) {
+  const counters = countersOf(req, attempt)
+  const locked = await q(`
+    FOR counter IN login_failures
+    FILTER counter._key IN @keys AND counter.locked_until > @now
+    SORT counter.locked_until DESC
+    LIMIT 1
+    RETURN counter
+  `, { keys: counters.map(counter => counterKey(counter.scope, counter.value)), now: new Date().toISOString() })
+  return locked.length ? lockoutOf(locked[0]) : { locked: false }
+}
+
+/**
+ * Count a failed attempt; returns the lockout it triggers, if any
+ */
+export async function recordLoginFailure(req, attempt) {
+  const now = new Date()
+  const windowStart = new Date(now.getTime() - Number(LOGIN_FAILURE_WINDOW_MINUTES) * MINUTE).toISOString()
+  let lockout = { locked: false }
+
+  for (const { scope, value, threshold } of countersOf(req, attempt)) {
+    const key = counterKey(scope, value)
+    const [counter] = await q(`
+      UPSERT { _key: @key }
+      INSERT { _key: @key, scope: @scope, value: @value, failures: 1, window_started_at: @now, last_failed_at: @now, lockouts: 0, locked_until: null }
+      UPDATE {
+        failures: OLD.window_started_at < @windowStart ? 1 : OLD.failures + 1,
+        window_started_at: OLD.window_started_at < @windowStart ? @now : OLD.window_started_at,
+        last_failed_at: @now
+      }
+      IN login_failures
+      RETURN NEW
+    `, { key, scope, value, now: now.toISOString(), windowStart })
+
+    if (counter.failures < threshold) continue
+
+    const recentLockout = counter.last_locked_at && now - new Date(counter.last_locked_at) < LOCKOUT_MEMORY_MS
+    const lockouts = (recentLockout ? counter.lockouts : 0) + 1
+    const lockedUntil = new Date(now.getTime() + lockMinutes(lockouts) * MINUTE).toISOString()
+    const [locked] = await q(`
+      UPDATE @key WITH { failures: 0, window_started_at: @now, lockouts: @lockouts, locked_until: @lockedUntil, last_locked_at: @now } IN login_failures
+      RETURN NEW
+    `, { key, now: now.toISOString(), lockouts, lockedUntil })
+    if (!lockout.locked || locked.locked_until > lockout.locked_until) lockout = lockoutOf(locked)
+  }
+  return lockout
+}
+
+/**
+ * Clear an account's failures after a successful login
+ */
+export async function recordLoginSuccess(attempt) {
+  await q(`
+    FOR counter IN login_failures
+    FILTER counter._key == @key
+    UPDATE counter WITH { failures: 0, locked_until: null } IN login_failures
+  `, { key: counterKey('account', accountOf(attempt)) })
+}
+
+// Body of the 429 answer to a locked-out attempt (send Retry-After: retry_after with it)
+export const lockedOutResponse = (lockout) => ({
+  error: 'account_locked',
+  detail: `Too many failed login attempts. Try again in ${lockout.retry_after} seconds.`,
+  locked_until: lockout.locked_until,
+  retry_after: lockout.retry_after
+})
+
+/**
+ * Lift a lockout; returns whether there was one
+ */
+export async function clearLockout(key) {
+  const cleared = await q(`
+    FOR counter IN login_failures
+    FILTER counter._key == @key AND counter.locked_until != null
+    UPDATE counter WITH { failures: 0, lockouts: 0, locked_until: null } IN login_failures
+    RETURN NEW._key
+  `, { key })
+  return cleared.length > 0
+}
+
+/**
+ * Accounts and IPs locked out right now
+ */
+export const activeLockouts = () => q(`
+  FOR counter IN login_failures
+  FILTER counter.locked_until > @now
+  SORT counter.locked_until DESC
+  RETURN { id: counter._key, scope: counter.scope, value: counter.value, lockouts: counter.lockouts, locked_until: counter.locked_until, last_failed_at: counter.last_failed_at }
+`, { now: new Date().toISOString() })
+
+/**
+ * Write a login attempt and its { outcome, reason } to the audit trail.
+ * Never fails the login it records.
+ */
+export async function logLoginEvent(req, { type, identifier = null, user_id = null, branch_code = null }, { outcome, reason = null }) {
+  try {
+    await q(`
+      INSERT @event INTO login_events
+    `, {
+      event: {
+        type,
+        identifier: identifier == null ? null : String(identifier),
+        user_id: user_id == null ? null : String(user_id),
+        branch_code,
+        outcome,
+        reason,
+        ip: req.ip || null,
+        user_agent: req.get('User-Agent') || null,
+        created_at: new Date().toISOString()
+      }
+    })
+  } catch (error) {
+    console.error('Error writing login event:', error)
+  }
+}
+
+/**
+ * Validate login event filters from a query string; returns { valid, error, value }
+ */
+export const parseLoginEventFilters = (query) => {
+  const { identifier, ip, type, outcome, reason, from, to, limit = '50', offset = '0' } = query
+
+  if (type && !LOGIN_EVENT_TYPES.includes(type)) {
+    return { valid: false, error: `type must be one of ${LOGIN_EVENT_TYPES.join(', ')}` }
+  }
+  if (outcome && !LOGIN_OUTCOMES.includes(outcome)) {
+    return { valid: false, error: `outcome must be one of ${LOGIN_OUTCOMES.join(', ')}` }
+  }
+  for (const [value, label] of [[from, 'From date'], [to, 'To date']]) {
+    const dateValidation = validateDate(value, label, false)
+    if (!dateValidation.valid) return dateValidation
+  }
+  const limitValue = Number(limit)
+  const offsetValue = Number(offset)
+  if (!Number.isInteger(limitValue) || limitValue < 1 || limitValue > MAX_EVENTS) {
+    return { valid: false, error: `limit must be a whole number from 1 to ${MAX_EVENTS}` }
+  }
+  if (!Number.isInteger(offsetValue) || offsetValue < 0) {
+    return { valid: false, error: 'offset must be a whole number' }
+  }
+
+  return { valid: true, value: { identifier, ip, type, outcome, reason, from, to, limit: limitValue, offset: offsetValue } }
+}
+
+/**
+ * Filtered login events, newest first: { total, events }
+ */
+export async function findLoginEvents({ userId, identifier, ip, type, outcome, reason, from, to, limit = 50, offset = 0 } = {}) {
+  const filterConditions = []
+  const bindVars = {}
+  const filters = { user_id: userId, identifier, ip, type, outcome, reason }
+  for (const [field, value] of Object.entries(filters)) {
+    if (value == null || value === '') continue
+    filterConditions.push(`event.${field} == @${field}`)
+    bindVars[field] = String(value)
+  }
+  if (from) {
+    filterConditions.push('event.created_at >= @from')
+    bindVars.from = from
+  }
+  if (to) {
+    // Dates without a time include the whole day
+    filterConditions.push('event.created_at <= @to')
+    bindVars.to = /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to
+  }
+
+  const filterClause = filterConditions.length ? `FILTER ${filterConditions.join(' AND ')}` : ''
+  const [total, events] = await Promise.all([
+    q(`
+      FOR event IN login_events
+      ${filterClause}
+      COLLECT WITH COUNT INTO total
+      RETURN total
+    `, bindVars),
+    q(`
+      FOR event IN login_events
+      ${filterClause}
+      SORT event.created_at DESC
+      LIMIT @offset, @limit
+      RETURN MERGE(UNSET(event, '_id', '_rev', '_key'), { id: event._key })
+    `, { ...bindVars, offset, limit })
+  ])
+  return { total: total[0] || 0, events }
+}
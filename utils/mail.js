@@ -0,0 +1,101 @@
+// Outgoing mail through a pluggable transport
+//
+// MAIL_TRANSPORT picks the transport: 'log' (default) prints the message to the
+// console, 'smtp' delivers it to SMTP_HOST:SMTP_PORT, e.g. a local catcher such
+// as MailHog or Mailpit (localhost:1025) in development. Other transports can be
+// added with registerMailTransport(name, send).
+
+import net from 'net'
+import tls from 'tls'
+import os from 'os'
+import {
+  MAIL_TRANSPORT, MAIL_FROM, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD
+} from '../config/environment.js'
+
+const SMTP_TIMEOUT_MS = 15 * 1000
+
+const transports = new Map()
+
+/**
+ * Register a transport: send(message) with message { from, to, subject, text }
+ */
+export const registerMailTransport = (name, send) => { transports.set(name, send) }
+
+/**
+ * Send a plain-text message with the configured transport
+ */
+export async function sendMail({ to, subject, text, from = MAIL_FROM }) {
+  const send = transports.get(MAIL_TRANSPORT)
+  if (!send) throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`)
+  await send({ from, to, subject, text })
+}
+
+registerMailTransport('log', async (message) => {
+  console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`)
+})
+
+// Bare address out of "Name <address>"
+const addressOf = (value) => (String(value).match(/<([^>]+)>/) || [null, value])[1].trim()
+
+const formatMessage = ({ from, to, subject, text }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  `Date: ${new Date().toUTCString()}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: 8bit',
+  '',
+  // Dot-stuffing: a line starting with "." would otherwise end the DATA section
+  ...text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line))
+].join('\r\n')
+
+// Minimal SMTP client: one connection per message, optional AUTH PLAIN, no STARTTLS
+registerMailTransport('smtp', (message) => new Promise((resolve, reject) => {
+  const port = Number(SMTP_PORT)
+  const socket = SMTP_SECURE === 'true'
+    ? tls.connect({ host: SMTP_HOST, port, servername: SMTP_HOST })
+    : net.connect({ host: SMTP_HOST, port })
+
+  const commands = [
+    { send: null, expect: 220 },
+    { send: `EHLO ${os.hostname()}`, expect: 250 },
+    ...(SMTP_USER ? [{ send: `AUTH PLAIN ${Buffer.from(`\0${SMTP_USER}\0${SMTP_PASSWORD}`).toString('base64')}`, expect: 235 }] : []),
+    { send: `MAIL FROM:<${addressOf(message.from)}>`, expect: 250 },
+    { send: `RCPT TO:<${addressOf(message.to)}>`, expect: 250 },
+    { send: 'DATA', expect: 354 },
+    { send: `${formatMessage(message)}\r\n.`, expect: 250, label: 'message' },
+    { send: 'QUIT', expect: 221 }
+  ]
+
+  let buffer = ''
+  let step = 0
+  const fail = (error) => {
+    socket.destroy()
+    reject(error)
+  }
+
+  socket.setEncoding('utf8')
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => fail(new Error('SMTP connection timed out')))
+  socket.on('error', fail)
+  socket.on('data', (chunk) => {
+    buffer += chunk
+    // A reply is complete at a line with a space after the code ("250 OK", not "250-...")
+    const lines = buffer.split('\r\n')
+    const last = lines.findLast(line => /^\d{3} /.test(line))
+    if (!last) return
+    buffer = ''
+
+    const code = Number(last.slice(0, 3))
+    if (code !== commands[step].expect) {
+      const { label, send } = commands[step]
+      return fail(new Error(`SMTP error after ${label || send?.split(' ')[0] || 'connect'}: ${last}`))
+    }
+    step += 1
+    if (step === commands.length) {
+      socket.end()
+      return resolve()
+    }
+    socket.write(`${commands[step].send}\r\n`)
+  })
+}))
@@ -0,0 +1,196 @@
+// SIP/STP/SWP instructions and their instalment schedules
+//
+// An instruction is created from a Completed MF receipt. Its schedule is a list of
+// { seq, due_date, amount, status } where status is scheduled, paused or cancelled.
+
+import { q, getCollection } from '../config/database.js'
+
+export const INSTRUCTION_TYPES = ['SIP', 'STP', 'SWP']
+
+// Perpetual instructions are scheduled this far ahead and extended by the sync job
+export const SCHEDULE_HORIZON_MONTHS = 24
+const MAX_INSTALMENTS = 400
+
+// Step per instalment, as [unit, count]
+const FREQUENCIES = {
+  daily: ['day', 1],
+  weekly: ['day', 7],
+  fortnightly: ['day', 14],
+  monthly: ['month', 1],
+  quarterly: ['month', 3],
+  halfyearly: ['month', 6],
+  semiannual: ['month', 6],
+  annual: ['month', 12],
+  annually: ['month', 12],
+  yearly: ['month', 12]
+}
+
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : null)
+
+export const normalizeFrequency = (frequency) => {
+  const key = String(frequency || '').toLowerCase().replace(/[^a-z]/g, '')
+  return FREQUENCIES[key] ? key : null
+}
+
+// Add whole months, clamping to the end of shorter months (31 Jan + 1 month = 28/29 Feb)
+const stepDate = (startDate, frequency, n) => {
+  const [unit, count] = FREQUENCIES[frequency]
+  const start = new Date(`${startDate}T00:00:00Z`)
+  if (unit === 'day') {
+    start.setUTCDate(start.getUTCDate() + count * n)
+    return start.toISOString().slice(0, 10)
+  }
+  const day = start.getUTCDate()
+  const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + count * n, 1))
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate()
+  target.setUTCDate(Math.min(day, lastDay))
+  return target.toISOString().slice(0, 10)
+}
+
+const horizonFrom = (date) => {
+  const d = new Date(`${date}T00:00:00Z`)
+  d.setUTCMonth(d.getUTCMonth() + SCHEDULE_HORIZON_MONTHS)
+  return d.toISOString().slice(0, 10)
+}
+
+/**
+ * Due dates for an instruction, from its start date until the end date, the
+ * instalment count or (for perpetual instructions) the scheduling horizon
+ */
+export function generateDueDates({ frequency, start_date, end_date = null, installments_count = null }, today) {
+  if (!normalizeFrequency(frequency) || !start_date) return []
+
+  const limit = Math.min(MAX_INSTALMENTS, Number(installments_count) || MAX_INSTALMENTS)
+  const until = end_date || horizonFrom(today > start_date ? today : start_date)
+  const dates = []
+  for (let n = 0; n < limit; n++) {
+    const due = stepDate(start_date, normalizeFrequency(frequency), n)
+    if (due > until) break
+    dates.push(due)
+  }
+  return dates
+}
+
+// Mark instalments inside a pause window
+const applyPause = (schedule, pausedFrom, pausedUntil) => schedule.map(item => {
+  if (item.status !== 'cancelled' && pausedFrom && item.due_date >= pausedFrom && (!pausedUntil || item.due_date <= pausedUntil)) {
+    return { ...item, status: 'paused' }
+  }
+  return item
+})
+
+/**
+ * Build the schedule for an instruction, keeping instalments due before `keepBefore`
+ * exactly as they were (used when modifying an instruction part way through)
+ */
+export function buildSchedule(instruction, today, keepBefore = null) {
+  const kept = keepBefore ? (instruction.schedule || []).filter(item => item.due_date < keepBefore) : []
+  const fresh = generateDueDates(instruction, today)
+    .filter(due => !keepBefore || due >= keepBefore)
+    .map(due => ({ due_date: due, amount: Number(instruction.amount) || 0, status: 'scheduled' }))
+
+  const schedule = [...kept, ...fresh]
+    .slice(0, Number(instruction.installments_count) || MAX_INSTALMENTS)
+    .map((item, index) => ({ ...item, seq: index + 1 }))
+
+  return applyPause(schedule, instruction.paused_from, instruction.paused_until)
+}
+
+/**
+ * Status as of today: a pause ends on its own once paused_until has passed,
+ * and an instruction with no instalments left is completed
+ */
+export function currentStatus(instruction, today) {
+  if (instruction.status === 'cancelled') return 'cancelled'
+  if (instruction.status === 'paused' && (!instruction.paused_until || instruction.paused_until >= today) && instruction.paused_from <= today) {
+    return 'paused'
+  }
+  const remaining = (instruction.schedule || []).some(item => item.due_date >= today && item.status !== 'cancelled')
+  return remaining || instruction.is_perpetual ? 'active' : 'completed'
+}
+
+export function upcomingInstalments(instruction, today, count = 6) {
+  return (instruction.schedule || [])
+    .filter(item => item.due_date >= today && item.status === 'scheduled')
+    .slice(0, count)
+}
+
+/**
+ * Instruction fields captured on an MF receipt, or null when the receipt has none
+ */
+export function instructionFromReceipt(receipt) {
+  const type = INSTRUCTION_TYPES.find(t => t === receipt.transaction_type || t === receipt.mode)
+  if (!type) return null
+
+  const prefix = type.toLowerCase()
+  const endDate = type === 'SIP' ? dateOnly(receipt.sip_end_date) : null
+  const installmentsCount = Number(receipt.installments_count) || null
+  const instruction = {
+    receipt_id: receipt._key,
+    type,
+    investor_id: receipt.investor_id,
+    investor_name: receipt.investor_name || null,
+    branch: receipt.branch || null,
+    emp_code: receipt.emp_code || null,
+    user_id: receipt.user_id || null,
+    amc_name: receipt.amc_name || null,
+    scheme_code: receipt.scheme_code || null,
+    scheme_name: receipt.scheme_name || null,
+    folio: receipt.folio_number || receipt.folio_policy_no || null,
+    frequency: receipt[`${prefix}_frequency`] || null,
+    amount: Number(receipt[`${prefix}_amount`] || receipt.investment_amount) || 0,
+    start_date: dateOnly(receipt[`${prefix}_start_date`]) || dateOnly(receipt.date),
+    end_date: endDate,
+    installments_count: installmentsCount,
+    is_perpetual: !endDate && !installmentsCount
+  }
+  if (type === 'STP') {
+    instruction.target_scheme_code = receipt.stp_target_scheme_code || null
+    instruction.target_scheme_name = receipt.stp_target_scheme_name || null
+  }
+  return instruction
+}
+
+/**
+ * Create the instruction for a receipt unless it already has one.
+ * Returns the new instruction key, or null when nothing was created.
+ */
+export async function createInstructionForReceipt(receipt, userId = null) {
+  const fields = instructionFromReceipt(receipt)
+  if (!fields || !normalizeFrequency(fields.frequency) || !fields.start_date) return null
+
+  const today = new Date().toISOString().slice(0, 10)
+  const now = new Date().toISOString()
+  const instruction = {
+    ...fields,
+    status: 'active',
+    paused_from: null,
+    paused_until: null,
+    created_at: now,
+    updated_at: now,
+    events: [{ action: 'created', at: now, by: userId }]
+  }
+  instruction.schedule = buildSchedule(instruction, today)
+  instruction.schedule_until = instruction.schedule.length ? instruction.schedule[instruction.schedule.length - 1].due_date : null
+
+  try {
+    const result = await getCollection('mf_instructions').save(instruction)
+    return result._key
+  } catch (error) {
+    // receipt_id is unique: the receipt already has an instruction
+    if (error.errorNum === 1210) return null
+    throw error
+  }
+}
+
+/**
+ * Instructions for an investor (investor IDs may be stored as a number or a string)
+ */
+export async function getInvestorInstructions(investorId) {
+  return q(`
+    FOR instruction IN mf_instructions
+    FILTER instruction.investor_id IN [@id, TO_STRING(@id)]
+    SORT instruction.start_date DESC
+    RETURN UNSET(instruction, '_id', '_rev')
+  `, { id: investorId })
+}
@@ -0,0 +1,74 @@
+// Self-service password reset tokens
+//
+// /api/auth/forgot mails a one-time link; only a hash of its token is kept in
+// password_resets. A token works once, within PASSWORD_RESET_TTL_MINUTES, and
+// requesting a new one cancels the older ones.
+
+import crypto from 'crypto'
+import { q } from '../config/database.js'
+import { PASSWORD_RESET_URL, PASSWORD_RESET_TTL_MINUTES } from '../config/environment.js'
+import { sendMail } from './mail.js'
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex')
+
+/**
+ * Create a reset token for an active user and mail them the link.
+ * Users without an email address get nothing.
+ */
+export async function requestPasswordReset(user, { req = null } = {}) {
+  if (!user.email) return false
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  const now = new Date()
+  const expiresAt = new Date(now.getTime() + Number(PASSWORD_RESET_TTL_MINUTES) * 60 * 1000)
+
+  await q(`
+    FOR reset IN password_resets
+    FILTER reset.user_id == @userId AND reset.used_at == null
+    REMOVE reset IN password_resets
+  `, { userId: user._key })
+  await q(`
+    INSERT @reset INTO password_resets
+  `, {
+    reset: {
+      user_id: user._key,
+      token_hash: sha256(token),
+      created_at: now.toISOString(),
+      expires_at: expiresAt.toISOString(),
+      used_at: null,
+      ip: req?.ip || null
+    }
+  })
+
+  const link = PASSWORD_RESET_URL.replace('{token}', encodeURIComponent(token))
+  await sendMail({
+    to: user.name ? `${user.name} <${user.email}>` : user.email,
+    subject: 'Reset your ECS password',
+    text: [
+      `Hello ${user.name || user.emp_code},`,
+      '',
+      `We received a request to reset the password for ${user.emp_code}. Open this link to choose a new password:`,
+      '',
+      link,
+      '',
+      `The link works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for a reset, ignore this email.`
+    ].join('\n')
+  })
+  return true
+}
+
+/**
+ * Use up a reset token; returns the user key it belongs to, or null when it is
+ * unknown, already used or expired
+ */
+export async function consumePasswordReset(token) {
+  if (!token) return null
+  const used = await q(`
+    FOR reset IN password_resets
+    FILTER reset.token_hash == @hash AND reset.used_at == null AND reset.expires_at >= @now
+    LIMIT 1
+    UPDATE reset WITH { used_at: @now } IN password_resets
+    RETURN NEW.user_id
+  `, { hash: sha256(String(token)), now: new Date().toISOString() })
+  return used[0] || null
+}
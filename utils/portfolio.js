@@ -0,0 +1,117 @@
+// Customer holdings built from Completed receipts
+
+import { currentStatus, upcomingInstalments } from './mf-instructions.js'
+
+const amountOf = (receipt) => Number(receipt.investment_amount || receipt.fd_deposit_amount) || 0
+
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : null)
+
+// How each product category is grouped into holdings
+const HOLDING_KEYS = {
+  MF: (r) => ({
+    scheme_code: r.scheme_code || null,
+    scheme_name: r.scheme_name || null,
+    amc_name: r.amc_name || null,
+    folio: r.folio_number || r.folio_policy_no || null
+  }),
+  FD: (r) => ({
+    issuer: r.fd_issuer_name || r.issuer_company || null,
+    scheme_name: r.fd_scheme_name || r.scheme_name || null
+  }),
+  INS: (r) => ({
+    issuer: r.issuer_company || null,
+    policy_no: r.folio_policy_no || r.fdr_demat_policy || null,
+    plan_name: r.scheme_name || null
+  }),
+  BOND: (r) => ({
+    issuer: r.issuer_company || null
+  })
+}
+
+const groupKeyFor = (category, receipt) => {
+  const keyFn = HOLDING_KEYS[category] || ((r) => ({ issuer: r.issuer_company || null, scheme_name: r.scheme_name || null }))
+  const fields = keyFn(receipt)
+  // MF holdings are identified by scheme + folio, not by the display name
+  const identity = category === 'MF'
+    ? [fields.scheme_code || fields.scheme_name, fields.folio]
+    : Object.values(fields)
+  return { key: identity.map(v => String(v ?? '').toUpperCase()).join('|'), fields }
+}
+
+/**
+ * Group receipts into holdings per product category. `instructions` are the
+ * investor's mf_instructions; those active as of today are listed under the
+ * category of the receipt they came from.
+ */
+export function buildPortfolio(receipts, today = new Date().toISOString().slice(0, 10), instructions = []) {
+  const categories = new Map()
+
+  for (const receipt of receipts) {
+    const category = receipt.product_category || 'OTHER'
+    if (!categories.has(category)) {
+      categories.set(category, { category, invested: 0, receipts: 0, holdings: new Map(), active_instructions: [], upcoming_maturities: [] })
+    }
+    const group = categories.get(category)
+    const amount = amountOf(receipt)
+    group.invested += amount
+    group.receipts += 1
+
+    const { key, fields } = groupKeyFor(category, receipt)
+    if (!group.holdings.has(key)) {
+      group.holdings.set(key, { ...fields, invested: 0, receipts: 0, first_date: null, last_date: null, receipt_ids: [] })
+    }
+    const holding = group.holdings.get(key)
+    holding.invested += amount
+    holding.receipts += 1
+    holding.receipt_ids.push(receipt._key)
+    const date = dateOnly(receipt.date)
+    if (date && (!holding.first_date || date < holding.first_date)) holding.first_date = date
+    if (date && (!holding.last_date || date > holding.last_date)) holding.last_date = date
+
+    const maturityDate = dateOnly(receipt.fd_maturity_date || receipt.renewal_due_date)
+    if (category === 'FD' && maturityDate) {
+      const maturity = {
+        receipt_id: receipt._key,
+        issuer: fields.issuer,
+        scheme_name: fields.scheme_name,
+        deposit_amount: amount,
+        maturity_date: maturityDate,
+        maturity_amount: Number(receipt.fd_maturity_amount || receipt.maturity_amount) || null,
+        application_number: receipt.fd_application_number || null
+      }
+      holding.maturities = [...(holding.maturities || []), maturity]
+      if (maturityDate >= today) group.upcoming_maturities.push(maturity)
+    }
+  }
+
+  const receiptCategories = new Map(receipts.map(receipt => [receipt._key, receipt.product_category || 'OTHER']))
+  for (const instruction of instructions) {
+    const group = categories.get(receiptCategories.get(instruction.receipt_id))
+    if (!group || currentStatus(instruction, today) !== 'active') continue
+    group.active_instructions.push({
+      id: instruction._key,
+      receipt_id: instruction.receipt_id,
+      type: instruction.type,
+      scheme_name: instruction.scheme_name || null,
+      target_scheme_name: instruction.target_scheme_name || null,
+      frequency: instruction.frequency || null,
+      amount: instruction.amount,
+      start_date: instruction.start_date,
+      end_date: instruction.end_date || null,
+      is_perpetual: !!instruction.is_perpetual,
+      next_due_date: upcomingInstalments(instruction, today, 1)[0]?.due_date || null
+    })
+  }
+
+  const result = [...categories.values()].map(group => ({
+    ...group,
+    holdings: [...group.holdings.values()].sort((a, b) => b.invested - a.invested),
+    upcoming_maturities: group.upcoming_maturities.sort((a, b) => a.maturity_date.localeCompare(b.maturity_date))
+  }))
+
+  return {
+    as_of: today,
+    total_invested: result.reduce((sum, group) => sum + group.invested, 0),
+    categories: result.sort((a, b) => b.invested - a.invested)
+  }
+}
@@ -0,0 +1,55 @@
+// Server-side receipt numbers: one sequence per branch per financial year
+
+import { q } from '../config/database.js'
+import { RECEIPT_NO_FORMAT } from '../config/environment.js'
+import { nextValue, setCounter, listCounters } from './counters.js'
+import { getFinancialYear } from './financial-year.js'
+
+export const RECEIPT_NO_SCOPE = 'receipt_no'
+
+export const receiptSequenceKey = (branchCode, fy) => `${RECEIPT_NO_SCOPE}-${branchCode}-${fy}`
+
+/**
+ * Render a receipt number from the configured format.
+ * Tokens: {branch}, {fy} (2026-27), {seq} or {seq:N} (zero-padded to N digits)
+ */
+export function formatReceiptNo({ branchCode, fy, seq }, format = RECEIPT_NO_FORMAT) {
+  return format
+    .replace(/\{branch\}/g, branchCode)
+    .replace(/\{fy\}/g, fy)
+    .replace(/\{seq(?::(\d+))?\}/g, (_, width) => String(seq).padStart(Number(width) || 0, '0'))
+}
+
+/**
+ * Allocate the next receipt number for a branch in the financial year of `date`
+ */
+export async function allocateReceiptNo(branchCode, date = new Date()) {
+  const code = String(branchCode).toUpperCase()
+  const fy = getFinancialYear(date)
+  const seq = await nextValue(receiptSequenceKey(code, fy), { scope: RECEIPT_NO_SCOPE, branch_code: code, fy })
+  return { receipt_no: formatReceiptNo({ branchCode: code, fy, seq }), receipt_seq: seq, receipt_fy: fy, receipt_branch_code: code }
+}
+
+export async function listReceiptSequences(fy) {
+  const sequences = await listCounters(RECEIPT_NO_SCOPE)
+  return fy ? sequences.filter(s => s.fy === fy) : sequences
+}
+
+/**
+ * The highest sequence number already issued to a branch in a financial year
+ * (deleted receipts included: their numbers were printed), or 0
+ */
+export async function highestIssuedSeq(branchCode, fy) {
+  const highest = await q(`
+    FOR receipt IN receipts
+    FILTER receipt.receipt_branch_code == @code AND receipt.receipt_fy == @fy
+    COLLECT AGGREGATE highest = MAX(receipt.receipt_seq)
+    RETURN highest
+  `, { code: String(branchCode).toUpperCase(), fy })
+  return highest[0] || 0
+}
+
+export async function resetReceiptSequence(branchCode, fy, value = 0) {
+  const code = String(branchCode).toUpperCase()
+  return setCounter(receiptSequenceKey(code, fy), value, { scope: RECEIPT_NO_SCOPE, branch_code: code, fy })
+}
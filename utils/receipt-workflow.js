@@ -0,0 +1,143 @@
+// Receipt maker-checker workflow
+//
+// Draft -> Submitted -> Branch-verified -> HO-approved -> Completed
+// Any open step can also move to Rejected or Cancelled.
+
+import { q, getCollection, getUserBranch, getUserBranchScope } from '../config/database.js'
+
+export const RECEIPT_STATUSES = [
+  'Draft',
+  'Submitted',
+  'Branch-verified',
+  'HO-approved',
+  'Completed',
+  'Rejected',
+  'Cancelled'
+]
+
+// Statuses still waiting on someone (legacy 'Pending' receipts included)
+export const PENDING_STATUSES = ['Pending', 'Draft', 'Submitted', 'Branch-verified', 'HO-approved']
+
+// Who may make each move: 'owner' is the user who created the receipt (the maker),
+// anything else a permission
+const TRANSITIONS = {
+  'Draft': {
+    'Submitted': ['owner'],
+    'Cancelled': ['owner', 'receipt.cancel']
+  },
+  'Submitted': {
+    'Branch-verified': ['receipt.verify'],
+    'Rejected': ['receipt.verify'],
+    'Cancelled': ['owner', 'receipt.cancel']
+  },
+  'Branch-verified': {
+    'HO-approved': ['receipt.approve'],
+    'Rejected': ['receipt.approve'],
+    'Cancelled': ['receipt.cancel']
+  },
+  'HO-approved': {
+    'Completed': ['receipt.approve'],
+    'Rejected': ['receipt.approve'],
+    'Cancelled': ['receipt.cancel']
+  },
+  // The maker corrects a rejected receipt and sends it through verification again
+  'Rejected': {
+    'Submitted': ['owner']
+  }
+}
+
+// Statuses in which a receipt's details can still be edited; later ones carry an approval
+export const EDITABLE_STATUSES = ['Draft', 'Submitted', 'Rejected']
+
+// Steps the maker may never perform on their own receipt
+const CHECKER_STEPS = new Set(['Branch-verified', 'HO-approved', 'Completed', 'Rejected'])
+
+/**
+ * Receipts created before the workflow carry 'Pending' or no status at all;
+ * they sit in the same place as a freshly submitted receipt.
+ */
+export function normalizeReceiptStatus(status) {
+  return !status || status === 'Pending' ? 'Submitted' : status
+}
+
+/**
+ * Check whether a user, with their role's permissions (a Set), may move a receipt
+ * to the given status
+ * Returns { valid, error, detail } in the same shape as the validators
+ */
+export function checkTransition(receipt, toStatus, user, permissions, comment) {
+  if (!RECEIPT_STATUSES.includes(toStatus)) {
+    return { valid: false, error: 'invalid_status', detail: `Status must be one of: ${RECEIPT_STATUSES.join(', ')}` }
+  }
+
+  const fromStatus = normalizeReceiptStatus(receipt.status)
+  const allowedBy = TRANSITIONS[fromStatus]?.[toStatus]
+  if (!allowedBy) {
+    return { valid: false, error: 'invalid_transition', detail: `Cannot move receipt from ${fromStatus} to ${toStatus}` }
+  }
+
+  const isOwner = String(receipt.user_id) === String(user.sub)
+  const allowed = allowedBy.some(permission => permissions.has(permission)) || (isOwner && allowedBy.includes('owner'))
+  if (!allowed) {
+    return { valid: false, error: 'forbidden', detail: `Your role cannot move a receipt from ${fromStatus} to ${toStatus}` }
+  }
+
+  if (CHECKER_STEPS.has(toStatus)) {
+    if (isOwner) {
+      return { valid: false, error: 'maker_checker_violation', detail: 'The creator of a receipt cannot verify, approve or reject it' }
+    }
+    if (toStatus === 'HO-approved' && String(receipt.status_updated_by) === String(user.sub)) {
+      return { valid: false, error: 'maker_checker_violation', detail: 'The branch verifier cannot also give HO approval' }
+    }
+  }
+
+  if (toStatus === 'Rejected' && (!comment || !String(comment).trim())) {
+    return { valid: false, error: 'comment_required', detail: 'A comment is required when rejecting a receipt' }
+  }
+
+  return { valid: true, from: fromStatus }
+}
+
+/**
+ * Whether a receipt is within the data scope of the user's role: their own
+ * receipts, their branch's, their region's or any
+ */
+export async function isReceiptInScope(receipt, user, scope) {
+  if (scope === 'all') return true
+  if (scope === 'own') return String(receipt.user_id) === String(user.sub)
+  const receiptBranch = String(receipt.branch || '').trim().toUpperCase()
+  if (!receiptBranch) return false
+  if (scope === 'region') {
+    return (await getUserBranchScope(user.sub)).receipt_branches.includes(receiptBranch)
+  }
+  const userBranch = user.branch || await getUserBranch(user.sub)
+  return !!userBranch && String(userBranch).trim().toUpperCase() === receiptBranch
+}
+
+/**
+ * Append an entry to receipt_status_history. Entries are never updated or removed.
+ */
+export async function recordStatusChange(receiptId, fromStatus, toStatus, user, comment = null) {
+  return getCollection('receipt_status_history').save({
+    receipt_id: String(receiptId),
+    from_status: fromStatus,
+    to_status: toStatus,
+    comment: comment ? String(comment).trim() : null,
+    actor_id: user.sub,
+    actor_role: user.role,
+    actor_name: user.name || user.emp_code || user.branch || null,
+    created_at: new Date().toISOString()
+  })
+}
+
+/**
+ * Full status history for a receipt, oldest first
+ */
+export async function getStatusHistory(receiptId) {
+  return q(`
+    FOR entry IN receipt_status_history
+    FILTER entry.receipt_id == @receiptId
+    SORT entry.created_at ASC
+    RETURN UNSET(entry, '_id', '_rev')
+  `, { receiptId: String(receiptId) })
+}
@@ -0,0 +1,122 @@
+// Match brokerage statement lines to our receipts
+//
+// Each line is tried by folio, then FD application number, then PAN + amount + date.
+// A receipt is matched to at most one line.
+
+import { findRateCard } from './brokerage.js'
+
+// Amounts within this many rupees are treated as equal
+export const AMOUNT_TOLERANCE = 1
+
+const normalize = (value) => (value == null ? '' : String(value).trim().toUpperCase())
+
+const daysApart = (a, b) => Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+
+const receiptAmount = (receipt) => Number(receipt.investment_amount || receipt.fd_deposit_amount) || 0
+
+const indexBy = (receipts, keyFn) => {
+  const index = new Map()
+  for (const receipt of receipts) {
+    const key = normalize(keyFn(receipt))
+    if (!key) continue
+    if (!index.has(key)) index.set(key, [])
+    index.get(key).push(receipt)
+  }
+  return index
+}
+
+// Of several candidates, take the unused one closest in amount, then in date
+const pickCandidate = (candidates, line, used) => candidates
+  .filter(receipt => !used.has(receipt._key))
+  .sort((a, b) =>
+    Math.abs(receiptAmount(a) - line.amount) - Math.abs(receiptAmount(b) - line.amount) ||
+    daysApart(String(a.date).slice(0, 10), line.date) - daysApart(String(b.date).slice(0, 10), line.date)
+  )[0] || null
+
+/**
+ * Reconcile statement lines against receipts.
+ * Returns the lines with their match result plus the receipts nobody matched.
+ */
+export function reconcile(lines, receipts, { dateToleranceDays = 3, rateCards = [] } = {}) {
+  const byFolio = indexBy(receipts, r => r.folio_number || r.folio_policy_no)
+  const byApplication = indexBy(receipts, r => r.fd_application_number)
+  const byPan = indexBy(receipts, r => r.pan)
+  const used = new Set()
+
+  const results = lines.map(line => {
+    let receipt = null
+    let method = null
+
+    if (line.folio) {
+      receipt = pickCandidate(byFolio.get(normalize(line.folio)) || [], line, used)
+      method = receipt && 'folio'
+    }
+    if (!receipt && line.application_number) {
+      receipt = pickCandidate(byApplication.get(normalize(line.application_number)) || [], line, used)
+      method = receipt && 'application_number'
+    }
+    if (!receipt && line.pan) {
+      const candidates = (byPan.get(normalize(line.pan)) || []).filter(r =>
+        Math.abs(receiptAmount(r) - line.amount) <= AMOUNT_TOLERANCE &&
+        daysApart(String(r.date).slice(0, 10), line.date) <= dateToleranceDays
+      )
+      receipt = pickCandidate(candidates, line, used)
+      method = receipt && 'pan_amount_date'
+    }
+
+    if (!receipt) {
+      return { ...line, match_status: 'unmatched_theirs', receipt_id: null, match_method: null }
+    }
+
+    used.add(receipt._key)
+    const ourAmount = receiptAmount(receipt)
+    const difference = line.amount - ourAmount
+    const card = findRateCard(receipt, rateCards)
+    const expectedBrokerage = ourAmount * card.rate_percent / 100
+
+    return {
+      ...line,
+      match_status: Math.abs(difference) <= AMOUNT_TOLERANCE ? 'matched' : 'amount_mismatch',
+      match_method: method,
+      receipt_id: receipt._key,
+      receipt_no: receipt.receipt_no || null,
+      our_amount: ourAmount,
+      amount_difference: difference,
+      expected_brokerage: expectedBrokerage,
+      brokerage_difference: line.brokerage === null ? null : line.brokerage - expectedBrokerage
+    }
+  })
+
+  const unmatchedOurs = receipts
+    .filter(receipt => !used.has(receipt._key))
+    .map(receipt => ({
+      receipt_id: receipt._key,
+      receipt_no: receipt.receipt_no || null,
+      date: receipt.date,
+      investor_name: receipt.investor_name || null,
+      pan: receipt.pan || null,
+      folio: receipt.folio_number || receipt.folio_policy_no || null,
+      application_number: receipt.fd_application_number || null,
+      amount: receiptAmount(receipt),
+      branch: receipt.branch || null
+    }))
+
+  const count = (status) => results.filter(line => line.match_status === status).length
+  const sum = (items, field) => items.reduce((total, item) => total + (Number(item[field]) || 0), 0)
+
+  return {
+    lines: results,
+    unmatched_ours: unmatchedOurs,
+    summary: {
+      lines: results.length,
+      matched: count('matched'),
+      amount_mismatches: count('amount_mismatch'),
+      unmatched_theirs: count('unmatched_theirs'),
+      unmatched_ours: unmatchedOurs.length,
+      their_amount: sum(results, 'amount'),
+      our_amount: receipts.reduce((total, receipt) => total + receiptAmount(receipt), 0),
+      their_brokerage: sum(results, 'brokerage'),
+      expected_brokerage: sum(results, 'expected_brokerage')
+    }
+  }
+}
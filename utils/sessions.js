@@ -0,0 +1,239 @@
+// Login sessions: short-lived access tokens plus rotating refresh tokens
+//
+// Every login creates a document in sessions; its access tokens carry the
+// session key as `sid`. A refresh token is `<session key>.<secret>` and only a
+// hash of the secret is stored. Each refresh replaces the secret, and presenting
+// a secret that was already rotated away revokes the whole session, since
+// either the client or an attacker is replaying a stolen token.
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { q } from '../config/database.js'
+import { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } from '../config/environment.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex')
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url')
+
+const refreshExpiry = () => new Date(Date.now() + Number(REFRESH_TOKEN_TTL_DAYS) * DAY).toISOString()
+
+// Access token (JWT) for a session; claims are the login's usual token payload
+const signAccessToken = (claims, sessionKey) => jwt.sign({ ...claims, sid: sessionKey }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL })
+
+const tokenResponse = (claims, sessionKey, secret, expiresAt) => {
+  const token = signAccessToken(claims, sessionKey)
+  return {
+    token,
+    token_expires_at: new Date(jwt.decode(token).exp * 1000).toISOString(),
+    refresh_token: `${sessionKey}.${secret}`,
+    refresh_token_expires_at: expiresAt
+  }
+}
+
+/**
+ * Start a session after a successful login and return its tokens:
+ * { token, token_expires_at, refresh_token, refresh_token_expires_at }
+ * kind is 'user' or 'branch' (branch logins are checked against the branch).
+ */
+export async function createSession(claims, { kind = 'user', req = null } = {}) {
+  const secret = newSecret()
+  const now = new Date().toISOString()
+  const expiresAt = refreshExpiry()
+  const saved = await q(`
+    INSERT @session INTO sessions
+    RETURN NEW._key
+  `, {
+    session: {
+      user_id: String(claims.sub),
+      kind,
+      branch_code: claims.branch_code || null,
+      claims,
+      refresh_token_hash: sha256(secret),
+      previous_token_hash: null,
+      created_at: now,
+      refreshed_at: now,
+      expires_at: expiresAt,
+      revoked_at: null,
+      ip: req?.ip || null,
+      user_agent: req?.get('User-Agent') || null
+    }
+  })
+  return tokenResponse(claims, saved[0], secret, expiresAt)
+}
+
+/**
+ * Exchange a refresh token for new tokens, rotating the refresh token.
+ * Returns { tokens } or { error } ('invalid_refresh_token', 'refresh_token_reused',
+ * 'session_revoked', 'session_expired', 'user_inactive').
+ */
+export async function refreshSession(refreshToken, { req = null } = {}) {
+  const [sessionKey, secret] = String(refreshToken || '').split('.')
+  if (!sessionKey || !secret) return { error: 'invalid_refresh_token' }
+
+  const sessions = await q(`
+    FOR session IN sessions
+    FILTER session._key == @key
+    LIMIT 1
+    RETURN session
+  `, { key: sessionKey })
+  const session = sessions[0]
+  if (!session) return { error: 'invalid_refresh_token' }
+  if (session.revoked_at) return { error: 'session_revoked' }
+  if (session.expires_at < new Date().toISOString()) return { error: 'session_expired' }
+
+  const hash = sha256(secret)
+  if (hash !== session.refresh_token_hash) {
+    if (hash === session.previous_token_hash) {
+      await revokeSession(session._key, { reason: 'refresh_token_reused' })
+      return { error: 'refresh_token_reused' }
+    }
+    return { error: 'invalid_refresh_token' }
+  }
+
+  if (!(await loadSubject(session))?.is_active) {
+    await revokeSession(session._key, { reason: 'user_inactive' })
+    return { error: 'user_inactive' }
+  }
+
+  const nextSecret = newSecret()
+  const expiresAt = refreshExpiry()
+  // Only rotate if nobody rotated this secret in the meantime
+  const rotated = await q(`
+    FOR session IN sessions
+    FILTER session._key == @key AND session.refresh_token_hash == @hash
+    UPDATE session WITH {
+      refresh_token_hash: @nextHash,
+      previous_token_hash: @hash,
+      refreshed_at: @now,
+      expires_at: @expiresAt,
+      ip: @ip,
+      user_agent: @userAgent
+    } IN sessions
+    RETURN NEW._key
+  `, {
+    key: session._key,
+    hash,
+    nextHash: sha256(nextSecret),
+    now: new Date().toISOString(),
+    expiresAt,
+    ip: req?.ip || session.ip,
+    userAgent: req?.get('User-Agent') || session.user_agent
+  })
+  if (!rotated.length) return { error: 'invalid_refresh_token' }
+
+  return { tokens: tokenResponse(session.claims, session._key, nextSecret, expiresAt) }
+}
+
+/**
+ * The user (or, for branch logins, the branch) behind a session:
+ * { is_active, must_change_password }, or null when it no longer exists
+ */
+async function loadSubject(session) {
+  const rows = session.kind === 'branch'
+    ? await q(`
+        FOR branch IN branches
+        FILTER branch.branch_code == @code
+        LIMIT 1
+        RETURN { is_active: branch.is_active != false, must_change_password: branch.must_change_password == true }
+      `, { code: session.branch_code })
+    : await q(`
+        FOR user IN users
+        FILTER user._key == @id
+        LIMIT 1
+        RETURN { is_active: user.is_active == true, must_change_password: user.must_change_password == true }
+      `, { id: session.user_id })
+  return rows[0] || null
+}
+
+/**
+ * Check the session behind an access token: { error, must_change_password }.
+ * error is null when the session is usable, otherwise 'session_revoked',
+ * 'session_expired' or 'user_inactive'.
+ */
+export async function checkSession(sessionKey) {
+  const sessions = await q(`
+    FOR session IN sessions
+    FILTER session._key == @key
+    LIMIT 1
+    RETURN session
+  `, { key: String(sessionKey) })
+  const session = sessions[0]
+  if (!session || session.revoked_at) return { error: 'session_revoked' }
+  if (session.expires_at < new Date().toISOString()) return { error: 'session_expired' }
+  const subject = await loadSubject(session)
+  if (!subject?.is_active) return { error: 'user_inactive' }
+  return { error: null, must_change_password: subject.must_change_password }
+}
+
+/**
+ * Kind of login ('user' or 'branch') behind a session
+ */
+export async function getSessionKind(sessionKey) {
+  const kinds = await q(`
+    FOR session IN sessions
+    FILTER session._key == @key
+    LIMIT 1
+    RETURN session.kind
+  `, { key: String(sessionKey) })
+  return kinds[0] || 'user'
+}
+
+/**
+ * Revoke one session; returns whether it was still active
+ */
+export async function revokeSession(sessionKey, { reason = 'logout', revokedBy = null } = {}) {
+  const revoked = await q(`
+    FOR session IN sessions
+    FILTER session._key == @key AND session.revoked_at == null
+    UPDATE session WITH { revoked_at: @now, revoked_reason: @reason, revoked_by: @revokedBy } IN sessions
+    RETURN NEW._key
+  `, { key: String(sessionKey), now: new Date().toISOString(), reason, revokedBy })
+  return revoked.length > 0
+}
+
+/**
+ * Revoke every active session of a user's own logins; returns how many were revoked.
+ * Branch logins may borrow a user's key as sub, so they are left to revokeBranchSessions.
+ */
+export async function revokeUserSessions(userId, { reason = 'revoked', revokedBy = null } = {}) {
+  const revoked = await q(`
+    FOR session IN sessions
+    FILTER session.user_id == @userId AND session.kind == "user" AND session.revoked_at == null
+    UPDATE session WITH { revoked_at: @now, revoked_reason: @reason, revoked_by: @revokedBy } IN sessions
+    RETURN NEW._key
+  `, { userId: String(userId), now: new Date().toISOString(), reason, revokedBy })
+  return revoked.length
+}
+
+/**
+ * Revoke every active branch login of a branch; returns how many were revoked
+ */
+export async function revokeBranchSessions(branchCode, { reason = 'revoked', revokedBy = null } = {}) {
+  const revoked = await q(`
+    FOR session IN sessions
+    FILTER session.branch_code == @branchCode AND session.kind == "branch" AND session.revoked_at == null
+    UPDATE session WITH { revoked_at: @now, revoked_reason: @reason, revoked_by: @revokedBy } IN sessions
+    RETURN NEW._key
+  `, { branchCode, now: new Date().toISOString(), reason, revokedBy })
+  return revoked.length
+}
+
+/**
+ * Active sessions of a user, newest first
+ */
+export const listUserSessions = (userId) => q(`
+  FOR session IN sessions
+  FILTER session.user_id == @userId AND session.kind == "user" AND session.revoked_at == null AND session.expires_at >= @now
+  SORT session.created_at DESC
+  RETURN {
+    id: session._key,
+    kind: session.kind,
+    created_at: session.created_at,
+    refreshed_at: session.refreshed_at,
+    expires_at: session.expires_at,
+    ip: session.ip,
+    user_agent: session.user_agent
+  }
+`, { userId: String(userId), now: new Date().toISOString() })
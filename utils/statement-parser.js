@@ -0,0 +1,153 @@
+// Parse AMC / issuer brokerage statements (CSV or XLSX) using a source's column mapping
+
+import path from 'path'
+import { Readable } from 'stream'
+import ExcelJS from 'exceljs'
+
+// Statement fields a source may map; amount and date are always required
+export const STATEMENT_FIELDS = ['folio', 'application_number', 'pan', 'investor_name', 'scheme', 'amount', 'date', 'brokerage']
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD-MM-YYYY', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MMM-YYYY', 'DD MMM YYYY']
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 }
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// Excel stores dates as days since 1899-12-30
+const fromExcelSerial = (serial) => new Date(Date.UTC(1899, 11, 30) + serial * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+/**
+ * Statement date as YYYY-MM-DD, or null when it cannot be read in the given format
+ */
+export function parseStatementDate(value, format = 'DD-MM-YYYY') {
+  if (value === null || value === undefined || value === '') return null
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10)
+  if (typeof value === 'number') return fromExcelSerial(value)
+
+  const text = String(value).trim()
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10)
+
+  const parts = text.split(/[-/ ]+/)
+  if (parts.length < 3) return null
+
+  let day, month, year
+  if (format === 'MM/DD/YYYY') {
+    [month, day, year] = parts
+  } else if (format === 'YYYY-MM-DD') {
+    [year, month, day] = parts
+  } else {
+    [day, month, year] = parts
+  }
+  month = MONTHS[String(month).slice(0, 3).toLowerCase()] || Number(month)
+  day = Number(day)
+  year = Number(year) < 100 ? 2000 + Number(year) : Number(year)
+
+  if (!day || !month || !year || month > 12 || day > 31) return null
+  return `${year}-${pad(month)}-${pad(day)}`
+}
+
+/**
+ * Amount as a number: strips currency symbols and thousands separators,
+ * and reads "(1,234.00)" as negative
+ */
+export function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return null
+  if (typeof value === 'number') return value
+  const text = String(value).trim()
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-')
+  const digits = text.replace(/[^0-9.]/g, '')
+  const number = Number(digits)
+  if (!digits || isNaN(number)) return null
+  return negative ? -number : number
+}
+
+// Plain value of an exceljs cell (formulas, rich text and hyperlinks are objects)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null
+  if (value instanceof Date) return value
+  if (typeof value === 'object') {
+    if ('result' in value) return value.result
+    if (value.richText) return value.richText.map(part => part.text).join('')
+    if ('text' in value) return value.text
+    return null
+  }
+  return value
+}
+
+const headerKey = (value) => String(cellValue(value) ?? '').trim().toLowerCase()
+
+async function loadWorksheet(buffer, fileName, sheet) {
+  const workbook = new ExcelJS.Workbook()
+  const ext = path.extname(fileName).toLowerCase()
+
+  if (ext === '.csv') {
+    // Keep every value as text; dates are read with the source's own format
+    return workbook.csv.read(Readable.from(buffer), { map: (value) => (value === '' ? null : value) })
+  }
+  if (ext === '.xlsx') {
+    await workbook.xlsx.load(buffer)
+    const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0]
+    if (!worksheet) throw new Error(`Worksheet ${sheet} not found`)
+    return worksheet
+  }
+  throw new Error('Statement must be a .csv or .xlsx file')
+}
+
+/**
+ * Read statement lines from a CSV/XLSX buffer.
+ * `mapping.columns` maps each statement field to the header text used by the source.
+ * Returns { lines, errors } where errors lists rows that could not be read.
+ */
+export async function parseStatement(buffer, fileName, mapping) {
+  const worksheet = await loadWorksheet(buffer, fileName, mapping.sheet)
+  const headerRow = Number(mapping.header_row) || 1
+
+  const headers = new Map()
+  worksheet.getRow(headerRow).eachCell((cell, colNumber) => {
+    headers.set(headerKey(cell.value), colNumber)
+  })
+
+  const columnFor = {}
+  const missing = []
+  for (const [field, header] of Object.entries(mapping.columns || {})) {
+    if (!header) continue
+    const col = headers.get(String(header).trim().toLowerCase())
+    if (col) columnFor[field] = col
+    else missing.push(header)
+  }
+  if (missing.length) {
+    throw new Error(`Columns not found in statement: ${missing.join(', ')}`)
+  }
+
+  const lines = []
+  const errors = []
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber <= headerRow) return
+
+    const raw = {}
+    for (const [field, col] of Object.entries(columnFor)) {
+      raw[field] = cellValue(row.getCell(col).value)
+    }
+    if (Object.values(raw).every(value => value === null || value === '')) return
+
+    const line = {
+      row: rowNumber,
+      folio: raw.folio != null ? String(raw.folio).trim() : null,
+      application_number: raw.application_number != null ? String(raw.application_number).trim() : null,
+      pan: raw.pan != null ? String(raw.pan).trim().toUpperCase() : null,
+      investor_name: raw.investor_name != null ? String(raw.investor_name).trim() : null,
+      scheme: raw.scheme != null ? String(raw.scheme).trim() : null,
+      amount: parseAmount(raw.amount),
+      date: parseStatementDate(raw.date, mapping.date_format),
+      brokerage: parseAmount(raw.brokerage)
+    }
+
+    if (line.amount === null || !line.date) {
+      errors.push({ row: rowNumber, detail: line.amount === null ? 'Amount could not be read' : 'Date could not be read' })
+      return
+    }
+    lines.push(line)
+  })
+
+  return { lines, errors }
+}
@@ -0,0 +1,141 @@
+// Branch and employee targets against Completed business
+//
+// Periods are a month ('2026-10') or an Indian financial quarter ('2026-27-Q3').
+// A target with category 'ALL' covers the whole business of its branch or employee.
+
+import { q } from '../config/database.js'
+import { getFinancialQuarter, getFinancialQuarterRange } from './financial-year.js'
+
+export const TARGET_SCOPES = ['branch', 'employee']
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * { period, period_type, from, to } for a period label, or null when it is not one
+ */
+export function parsePeriod(period) {
+  if (MONTH_PATTERN.test(period || '')) {
+    const [year, month] = period.split('-').map(Number)
+    const to = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10)
+    return { period, period_type: 'month', from: `${period}-01`, to }
+  }
+  const range = getFinancialQuarterRange(period)
+  return range ? { period, period_type: 'quarter', ...range } : null
+}
+
+export const currentPeriod = (type = 'month', date = new Date()) =>
+  type === 'quarter' ? getFinancialQuarter(date) : date.toISOString().slice(0, 7)
+
+/**
+ * Achievement and run-rate projection: the pace so far carried to the end of the period
+ */
+export function achievement(target, actual, { from, to }, today = new Date().toISOString().slice(0, 10)) {
+  const totalDays = Math.round((new Date(to) - new Date(from)) / DAY) + 1
+  const asOf = today < to ? today : to
+  const elapsedDays = Math.max(0, Math.min(totalDays, Math.round((new Date(asOf) - new Date(from)) / DAY) + 1))
+  const projected = elapsedDays ? actual / elapsedDays * totalDays : 0
+  const pct = (value) => (target > 0 ? Math.round(value / target * 10000) / 100 : null)
+
+  return {
+    target,
+    actual,
+    achievement_pct: pct(actual),
+    projected,
+    projected_pct: pct(projected),
+    remaining: Math.max(0, target - actual),
+    elapsed_days: elapsedDays,
+    total_days: totalDays
+  }
+}
+
+// Completed business in a date range by branch code, employee and category
+async function loadActuals(from, to) {
+  const [rows, branches] = await Promise.all([
+    q(`
+      FOR receipt IN receipts
+      FILTER receipt.is_deleted == false AND receipt.status == "Completed"
+      FILTER receipt.date >= @from AND receipt.date <= @to
+      COLLECT branch = receipt.branch, branch_code = receipt.receipt_branch_code, emp_code = receipt.emp_code, category = receipt.product_category
+      AGGREGATE amount = SUM(receipt.investment_amount || 0)
+      RETURN { branch, branch_code, emp_code, category, amount }
+    `, { from, to }),
+    q(`
+      FOR branch IN branches
+      RETURN { code: branch.branch_code, name: LOWER(branch.branch_name) }
+    `)
+  ])
+
+  // Older receipts only carry the branch name
+  const codeByName = new Map(branches.map(branch => [branch.name, branch.code]))
+  return rows.map(row => ({ ...row, branch_code: row.branch_code || codeByName.get(String(row.branch || '').toLowerCase()) || null }))
+}
+
+const sumActuals = (actuals, target) => actuals
+  .filter(row => (target.scope === 'branch' ? row.branch_code === target.branch_code : row.emp_code === target.emp_code))
+  .filter(row => target.category === 'ALL' || row.category === target.category)
+  .reduce((sum, row) => sum + (Number(row.amount) || 0), 0)
+
+/**
+ * Targets for a period with their achievement.
+ * `filter` narrows by scope, branch_code or branch_codes (branch targets and the
+ * branches' employees) or emp_code.
+ */
+export async function targetAchievement(period, filter = {}) {
+  const range = parsePeriod(period)
+  if (!range) return null
+
+  const filterConditions = ['target.period == @period']
+  const bindVars = { period }
+  if (filter.scope) {
+    filterConditions.push('target.scope == @scope')
+    bindVars.scope = filter.scope
+  }
+  // An empty code still filters (to nothing) rather than lifting the filter
+  if (filter.branch_code != null) {
+    filterConditions.push('target.branch_code == @branch_code')
+    bindVars.branch_code = filter.branch_code
+  }
+  if (filter.branch_codes != null) {
+    filterConditions.push('target.branch_code IN @branch_codes')
+    bindVars.branch_codes = filter.branch_codes
+  }
+  if (filter.emp_code != null) {
+    filterConditions.push('target.emp_code == @emp_code')
+    bindVars.emp_code = filter.emp_code
+  }
+
+  const [targets, actuals] = await Promise.all([
+    q(`
+      FOR target IN targets
+      FILTER ${filterConditions.join(' AND ')}
+      SORT target.scope ASC, target.branch_code ASC, target.emp_code ASC, target.category ASC
+      RETURN MERGE(UNSET(target, '_id', '_rev'), { id: target._key })
+    `, bindVars),
+    loadActuals(range.from, range.to)
+  ])
+
+  const items = targets.map(target => ({
+    id: target.id,
+    scope: target.scope,
+    branch_code: target.branch_code || null,
+    emp_code: target.emp_code || null,
+    category: target.category,
+    ...achievement(Number(target.target_amount) || 0, sumActuals(actuals, target), range)
+  }))
+
+  return { ...range, items }
+}
+
+/**
+ * Roll target rows up per branch code: category rows plus an overall line
+ */
+export function branchTargetSummary(items, branchCode) {
+  const rows = items.filter(item => item.scope === 'branch' && item.branch_code === branchCode)
+  if (!rows.length) return null
+  const overall = rows.find(row => row.category === 'ALL')
+  return {
+    overall: overall || null,
+    by_category: rows.filter(row => row.category !== 'ALL')
+  }
+}
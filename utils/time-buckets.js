@@ -0,0 +1,151 @@
+// Roll daily receipt figures up into weeks, months, financial quarters and years
+//
+// Weeks start on Monday and are labelled by that date; quarters and years follow
+// the Indian financial year ('2026-27-Q3', '2026-27').
+
+import { getFinancialYear, getFinancialYearRange, getFinancialQuarter, getFinancialQuarterRange } from './financial-year.js'
+
+export const GRANULARITIES = ['day', 'week', 'month', 'quarter', 'fy']
+export const COMPARE_MODES = ['previous_period', 'previous_year']
+
+// Receipt expression each breakdown groups by
+export const BREAKDOWNS = {
+  category: 'receipt.product_category',
+  branch: 'receipt.branch',
+  mode: 'receipt.mode',
+  issuer: 'receipt.amc_name || receipt.fd_issuer_name || receipt.issuer_company'
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+const toDate = (value) => new Date(`${value}T00:00:00Z`)
+const toDay = (date) => date.toISOString().slice(0, 10)
+const addDays = (value, days) => toDay(new Date(toDate(value).getTime() + days * DAY))
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+// Move a date by whole months; the last day of a month stays the last day
+function addMonths(value, months) {
+  const d = toDate(value)
+  const year = d.getUTCFullYear()
+  const month = d.getUTCMonth()
+  const isMonthEnd = d.getUTCDate() === lastDayOfMonth(year, month)
+  const target = new Date(Date.UTC(year, month + months, 1))
+  const targetLastDay = lastDayOfMonth(target.getUTCFullYear(), target.getUTCMonth())
+  target.setUTCDate(isMonthEnd ? targetLastDay : Math.min(d.getUTCDate(), targetLastDay))
+  return toDay(target)
+}
+
+/**
+ * The bucket a date (YYYY-MM-DD) falls in: { period, from, to }
+ */
+export function bucketOf(date, granularity) {
+  switch (granularity) {
+    case 'week': {
+      const from = addDays(date, -((toDate(date).getUTCDay() + 6) % 7))
+      return { period: from, from, to: addDays(from, 6) }
+    }
+    case 'month': {
+      const [year, month] = date.split('-').map(Number)
+      return { period: date.slice(0, 7), from: `${date.slice(0, 7)}-01`, to: `${date.slice(0, 7)}-${lastDayOfMonth(year, month - 1)}` }
+    }
+    case 'quarter': {
+      const period = getFinancialQuarter(toDate(date))
+      return { period, ...getFinancialQuarterRange(period) }
+    }
+    case 'fy': {
+      const period = getFinancialYear(toDate(date))
+      return { period, ...getFinancialYearRange(period) }
+    }
+    default:
+      return { period: date, from: date, to: date }
+  }
+}
+
+/**
+ * The same date in the comparison period
+ */
+export function comparisonDate(date, granularity, compare) {
+  if (compare === 'previous_year') {
+    // Weeks keep their weekday, everything else its calendar date
+    return granularity === 'week' ? addDays(date, -364) : addMonths(date, -12)
+  }
+  switch (granularity) {
+    case 'week': return addDays(date, -7)
+    case 'month': return addMonths(date, -1)
+    case 'quarter': return addMonths(date, -3)
+    case 'fy': return addMonths(date, -12)
+    default: return addDays(date, -1)
+  }
+}
+
+const growthPct = (current, previous) => (previous > 0 ? Math.round((current - previous) / previous * 10000) / 100 : null)
+
+const growth = (current, previous) => Object.fromEntries(Object.keys(current).map(field => [field, growthPct(current[field], previous[field])]))
+
+/**
+ * Roll daily rows ({ date, key?, n, amount }) up into buckets.
+ * Buckets are clipped to from/to; with `compare` each bucket carries the same
+ * span of the previous period or year (rows for it must be included) and growth %.
+ * With `breakdown` rows carry a `key` and each bucket lists them.
+ * `commissions` maps a date to its commission total.
+ */
+export function bucketRows(rows, { granularity = 'day', compare = null, breakdown = false, from = null, to = null, commissions = new Map() }) {
+  const sumRange = (rangeFrom, rangeTo) => {
+    const totals = { n: 0, amount: 0, commissions: 0 }
+    const byKey = new Map()
+    for (const row of rows) {
+      if (row.date < rangeFrom || row.date > rangeTo) continue
+      totals.n += row.n
+      totals.amount += Number(row.amount) || 0
+      if (breakdown) {
+        if (!byKey.has(row.key)) byKey.set(row.key, { n: 0, amount: 0 })
+        byKey.get(row.key).n += row.n
+        byKey.get(row.key).amount += Number(row.amount) || 0
+      }
+    }
+    for (const [date, value] of commissions) {
+      if (date >= rangeFrom && date <= rangeTo) totals.commissions += value
+    }
+    return { totals, byKey }
+  }
+
+  const buckets = new Map()
+  for (const row of rows) {
+    if (!row.date || (from && row.date < from) || (to && row.date > to)) continue
+    const bucket = bucketOf(row.date, granularity)
+    if (!buckets.has(bucket.period)) {
+      buckets.set(bucket.period, {
+        period: bucket.period,
+        from: from && bucket.from < from ? from : bucket.from,
+        to: to && bucket.to > to ? to : bucket.to
+      })
+    }
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => a.from.localeCompare(b.from))
+    .map(bucket => {
+      const current = sumRange(bucket.from, bucket.to)
+      const result = { ...(granularity === 'day' ? { date: bucket.period } : {}), ...bucket, ...current.totals }
+
+      let previous = null
+      if (compare) {
+        const previousFrom = comparisonDate(bucket.from, granularity, compare)
+        const previousTo = comparisonDate(bucket.to, granularity, compare)
+        previous = sumRange(previousFrom, previousTo)
+        result.previous = { from: previousFrom, to: previousTo, ...previous.totals }
+        result.growth_pct = growth(current.totals, previous.totals)
+      }
+
+      if (breakdown) {
+        result.breakdown = [...current.byKey.entries()]
+          .map(([key, totals]) => {
+            if (!previous) return { key, ...totals }
+            const previousTotals = previous.byKey.get(key) || { n: 0, amount: 0 }
+            return { key, ...totals, previous: previousTotals, growth_pct: growth(totals, previousTotals) }
+          })
+          .sort((a, b) => b.amount - a.amount)
+      }
+      return result
+    })
+}
@@ -0,0 +1,225 @@
+// TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30-second steps)
+//
+// The second factor belongs to whoever logs in: the user document for
+// /api/auth/login, the branch document for /api/auth/branch-login. It is kept in
+// their two_factor field: { enabled, secret, pending_secret, backup_codes (hashes),
+// last_step, enabled_at }. two_factor_policies (keyed by role) makes it mandatory
+// for a role. Until the second step is done, a login only gets a short-lived
+// challenge token.
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { q } from '../config/database.js'
+import { JWT_SECRET, TWO_FACTOR_ISSUER, TWO_FACTOR_CHALLENGE_TTL } from '../config/environment.js'
+
+const STEP_SECONDS = 30
+const DIGITS = 6
+// Codes from one step either side of now are accepted, for clock drift
+const DRIFT_STEPS = 1
+const BACKUP_CODE_COUNT = 10
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex')
+
+export function base32Encode(buffer) {
+  let bits = ''
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0')
+  let output = ''
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+  }
+  return output
+}
+
+export function base32Decode(value) {
+  const bits = String(value).toUpperCase().replace(/[\s=]/g, '').split('')
+    .map(char => {
+      const index = BASE32_ALPHABET.indexOf(char)
+      if (index === -1) throw new Error(`Invalid base32 character: ${char}`)
+      return index.toString(2).padStart(5, '0')
+    })
+    .join('')
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  return Buffer.from(bytes)
+}
+
+/**
+ * The TOTP code of a base32 secret for a time step
+ */
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS)
+
+/**
+ * The time step a code matches within the allowed drift, or null
+ */
+export function matchTotp(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '')
+  if (!/^\d{6}$/.test(normalized)) return null
+  const step = currentStep(now)
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const candidate = totpCode(secret, step + drift)
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) return step + drift
+  }
+  return null
+}
+
+export const otpauthUri = ({ secret, account, issuer = TWO_FACTOR_ISSUER }) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?` +
+  new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) })
+
+const normalizeBackupCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase()
+
+const newBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(4).toString('hex')
+  return `${code.slice(0, 4)}-${code.slice(4)}`
+})
+
+/**
+ * Who a second factor belongs to: { collection, key, account }.
+ * kind is the session kind ('user' or 'branch').
+ */
+export async function twoFactorSubject(kind, { userId = null, branchCode = null } = {}) {
+  const rows = kind === 'branch'
+    ? await q(`
+        FOR branch IN branches
+        FILTER branch.branch_code == @branchCode
+        LIMIT 1
+        RETURN { collection: 'branches', key: branch._key, account: branch.branch_code, two_factor: branch.two_factor }
+      `, { branchCode })
+    : await q(`
+        FOR user IN users
+        FILTER user._key == @userId
+        LIMIT 1
+        RETURN { collection: 'users', key: user._key, account: user.emp_code, two_factor: user.two_factor }
+      `, { userId: String(userId) })
+  return rows[0] || null
+}
+
+const saveTwoFactor = (subject, twoFactor) => q(`
+  UPDATE @key WITH { two_factor: @twoFactor } IN @@collection
+  OPTIONS { mergeObjects: false }
+`, { key: subject.key, twoFactor, '@collection': subject.collection })
+
+/**
+ * Whether 2FA is mandatory for a role
+ */
+export async function isTwoFactorRequired(role) {
+  const policies = await q(`
+    FOR policy IN two_factor_policies
+    FILTER policy._key == @role
+    RETURN policy.required == true
+  `, { role: String(role) })
+  return policies[0] === true
+}
+
+/**
+ * Start (or restart) enrolment with a new secret; returns { secret, otpauth_uri }
+ */
+export async function beginEnrolment(subject) {
+  const secret = base32Encode(crypto.randomBytes(20))
+  await saveTwoFactor(subject, { ...(subject.two_factor || {}), enabled: subject.two_factor?.enabled === true, pending_secret: secret })
+  return { secret, otpauth_uri: otpauthUri({ secret, account: subject.account }) }
+}
+
+/**
+ * Confirm enrolment with a code from the pending secret; returns the backup
+ * codes (shown once) or null when the code is wrong
+ */
+export async function confirmEnrolment(subject, code) {
+  const pendingSecret = subject.two_factor?.pending_secret
+  const step = pendingSecret ? matchTotp(pendingSecret, code) : null
+  if (step == null) return null
+
+  const backupCodes = newBackupCodes()
+  await saveTwoFactor(subject, {
+    enabled: true,
+    secret: pendingSecret,
+    pending_secret: null,
+    backup_codes: backupCodes.map(backupCode => sha256(normalizeBackupCode(backupCode))),
+    last_step: step,
+    enabled_at: new Date().toISOString()
+  })
+  return backupCodes
+}
+
+/**
+ * Check a TOTP code or a backup code for an enrolled subject. A TOTP code works
+ * once and a backup code is used up.
+ * Returns { valid, method ('totp' | 'backup_code'), backup_codes_left }
+ */
+export async function verifySecondFactor(subject, { code = null, backup_code = null } = {}) {
+  const twoFactor = subject.two_factor
+  if (!twoFactor?.enabled) return { valid: false }
+
+  if (code) {
+    const step = matchTotp(twoFactor.secret, code)
+    if (step == null || step <= (twoFactor.last_step ?? -1)) return { valid: false }
+    // Record the step only if no other request used it in the meantime
+    const claimed = await q(`
+      FOR doc IN @@collection
+      FILTER doc._key == @key AND (doc.two_factor.last_step == null OR doc.two_factor.last_step < @step)
+      UPDATE doc WITH { two_factor: { last_step: @step } } IN @@collection
+      RETURN NEW._key
+    `, { key: subject.key, step, '@collection': subject.collection })
+    return { valid: claimed.length > 0, method: 'totp', backup_codes_left: twoFactor.backup_codes?.length || 0 }
+  }
+
+  if (backup_code) {
+    const hash = sha256(normalizeBackupCode(backup_code))
+    const used = await q(`
+      FOR doc IN @@collection
+      FILTER doc._key == @key AND @hash IN doc.two_factor.backup_codes
+      UPDATE doc WITH { two_factor: { backup_codes: REMOVE_VALUE(doc.two_factor.backup_codes, @hash) } } IN @@collection
+      RETURN LENGTH(NEW.two_factor.backup_codes)
+    `, { key: subject.key, hash, '@collection': subject.collection })
+    return { valid: used.length > 0, method: 'backup_code', backup_codes_left: used[0] ?? 0 }
+  }
+
+  return { valid: false }
+}
+
+/**
+ * Replace the backup codes; returns the new codes
+ */
+export async function regenerateBackupCodes(subject) {
+  const backupCodes = newBackupCodes()
+  await saveTwoFactor(subject, { ...subject.two_factor, backup_codes: backupCodes.map(backupCode => sha256(normalizeBackupCode(backupCode))) })
+  return backupCodes
+}
+
+export const disableTwoFactor = (subject) => saveTwoFactor(subject, { enabled: false })
+
+/**
+ * Short-lived token standing in for a login until its second step is done.
+ * It carries what is needed to start the session afterwards, and the login
+ * attempt so the second step counts against the same account.
+ */
+export function issueChallenge({ kind, role, claims, profile, attempt = null }) {
+  const challengeToken = jwt.sign({ typ: '2fa_challenge', kind, role, claims, profile, attempt }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL })
+  return {
+    challenge_token: challengeToken,
+    challenge_expires_at: new Date(jwt.decode(challengeToken).exp * 1000).toISOString()
+  }
+}
+
+/**
+ * The login behind a challenge token, or null when it is invalid or expired
+ */
+export function readChallenge(challengeToken) {
+  try {
+    const payload = jwt.verify(String(challengeToken), JWT_SECRET)
+    return payload.typ === '2fa_challenge' ? payload : null
+  } catch (error) {
+    return null
+  }
+}